@@ -12,11 +12,12 @@ const myGrid = new Grid(gridContainer, {
     keyField: 'id',
     columns: [
         { key: 'sno', title: 'S.No', index: 0 },
-        {key: 'employeenamestatus', title: 'Employee Name & Status', index: 1, children: [{ key: 'name', title: 'Employee Name', index: 1 },
+        {key: 'employeenamestatus', title: 'Employee Name & Status', index: 1, children: [{ key: 'name', title: 'Employee Name', index: 1, required: true },
         {
             key: 'status',
             title: 'Status',
             index: 2,
+            editorOptions: ['Active', 'Inactive'],
             // ✅ The new render function
             render: (value) => {
                 const color = value === 'Active' ? 'green' : 'red';
@@ -55,18 +56,7 @@ const myGrid = new Grid(gridContainer, {
     },
     addSerialColumn: true,
     editForm: {
-        HTML: `<label for="name">Name:</label>
-        <input type="text" id="name" name="name" required>
-        <br><br>
-        <label for="status">Status:</label>
-        <select id="status" name="status" required>
-          <option value="Active">Active</option>
-          <option value="Inactive">Inactive</option>
-          </select>
-        <br><br>
-        <button type="submit">Save</button>
-        <button type="button" id="cancel-btn" onclick="myGrid.endEdit()">Cancel</button>`,
-        mode: 'inline' // 'inline' | 'popup'
+        mode: 'inline', // 'inline' | 'cell'
     },
     paging: {
                 enabled: false
@@ -77,5 +67,5 @@ const myGrid = new Grid(gridContainer, {
 const exportButton = document.getElementById('export-btn');
 exportButton.addEventListener('click', () => {
     // Call the new public method on your grid instance
-    myGrid.exportToExcel('VesselReport.xls');
+    myGrid.exportToExcel({ filename: 'VesselReport' });
 });
\ No newline at end of file
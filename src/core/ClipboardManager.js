@@ -0,0 +1,458 @@
+import { CellEditor } from "./ui/CellEditor.js";
+import { parseCSV, toCSV } from "./utils/Csv.js";
+import { parseDateValue } from "./utils/DateFunctions.js";
+import { parseNumberValue } from "./utils/Numbers.js";
+
+/**
+ * Manages the cell range selection of a grid and copying/pasting it through the clipboard.
+ *
+ * A range is a rectangle of body cells on the current page, selected with the mouse (drag, or
+ * Shift+click to extend) or with the keyboard (arrows move the active cell, Shift+arrows extend
+ * the range, Ctrl+A selects every cell). Ctrl+C copies the range as tab-separated text plus an
+ * HTML table, so spreadsheets keep the rows and columns. Ctrl+V pastes a tab-separated block
+ * (e.g. copied from Excel) starting at the top-left cell of the range; a single value fills the
+ * whole range. Pasted values are converted to the column types, checked with the column
+ * validation (see {@link CellEditor.validate}) and written to the DataStore; read-only and invalid
+ * cells are skipped. Ctrl+Z undoes the last paste.
+ *
+ * Enabled with `config.clipboard.enabled`.
+ *
+ * @class
+ * @example
+ * const clipboard = new ClipboardManager(gridInstance);
+ * clipboard.setRange({ row: 0, col: 0 }, { row: 2, col: 1 });
+ * const { text, html } = clipboard.getRangeContent();
+ *
+ * @param {Grid} gridInstance - The grid whose cells are selected.
+ *
+ * @property {Object|null} range - The selected range: `{ anchor, focus }` cell positions
+ * (`{ row, col }`: index of the row on the page and of the leaf column).
+ * @property {Array<Array<Object>>} undoStack - The changes of the pastes that can be undone.
+ */
+export class ClipboardManager {
+  /**
+   * Creates an instance of ClipboardManager.
+   * @param {Grid} gridInstance - The grid whose cells are selected.
+   */
+  constructor(gridInstance) {
+    this.grid = gridInstance;
+    this.range = null;
+    this.undoStack = [];
+    this.dragging = false;
+  }
+
+  /**
+   * Whether cell range selection and the clipboard are enabled (`clipboard.enabled`).
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.grid.config.clipboard?.enabled === true;
+  }
+
+  /**
+   * The position of a body cell, or null for cells outside the data columns.
+   * @param {HTMLTableCellElement} td - The cell.
+   * @returns {{row: number, col: number}|null}
+   */
+  getCellPosition(td) {
+    const renderer = this.grid.renderer;
+    const tr = td?.closest("tr[key]");
+    if (!tr || !renderer.getColumnForCell(td)) return null;
+
+    const keyField = this.grid.config.keyField;
+    const row = this._getRows().findIndex(
+      (rowData) => String(renderer.getRowKey(rowData, keyField)) === tr.getAttribute("key")
+    );
+    if (row === -1) return null;
+    const col = td.cellIndex - renderer._getLeadingColumns(renderer._lastRender.config).length;
+    return { row, col };
+  }
+
+  /**
+   * Selects a range of cells. Positions are clamped to the rows of the page and the leaf columns.
+   * @param {{row: number, col: number}} anchor - The cell the range starts from.
+   * @param {{row: number, col: number}} [focus=anchor] - The opposite corner (the active cell).
+   * @returns {boolean} Whether a range is selected (false when the page has no rows).
+   */
+  setRange(anchor, focus = anchor) {
+    const rowCount = this._getRows().length;
+    const colCount = this._getColumns().length;
+    if (rowCount === 0 || colCount === 0) {
+      this.clear();
+      return false;
+    }
+
+    const clamp = (position) => ({
+      row: Math.max(0, Math.min(position.row, rowCount - 1)),
+      col: Math.max(0, Math.min(position.col, colCount - 1)),
+    });
+    this.range = { anchor: clamp(anchor), focus: clamp(focus) };
+    this.highlight();
+    this.grid._emit("cellRangeChanged", { range: this.getRange() });
+    return true;
+  }
+
+  /**
+   * Clears the range selection.
+   */
+  clear() {
+    if (!this.range) return;
+    this.range = null;
+    this.highlight();
+    this.grid._emit("cellRangeChanged", { range: null });
+  }
+
+  /**
+   * The selected range with its bounds, records and columns.
+   * @returns {{startRow: number, endRow: number, startCol: number, endCol: number,
+   * rows: Array<Object>, columns: Array<Object>}|null}
+   */
+  getRange() {
+    if (!this.range) return null;
+    const { anchor, focus } = this.range;
+    const startRow = Math.min(anchor.row, focus.row);
+    const endRow = Math.max(anchor.row, focus.row);
+    const startCol = Math.min(anchor.col, focus.col);
+    const endCol = Math.max(anchor.col, focus.col);
+    return {
+      startRow,
+      endRow,
+      startCol,
+      endCol,
+      rows: this._getRows().slice(startRow, endRow + 1),
+      columns: this._getColumns().slice(startCol, endCol + 1),
+    };
+  }
+
+  /**
+   * Moves the active cell, or with `extend` the focus corner of the range.
+   * @param {number} rowDelta - Rows to move (negative: up).
+   * @param {number} colDelta - Columns to move (negative: left).
+   * @param {boolean} [extend=false] - Extends the range instead of moving it.
+   */
+  move(rowDelta, colDelta, extend = false) {
+    if (!this.range) return;
+    const { anchor, focus } = this.range;
+    const next = { row: focus.row + rowDelta, col: focus.col + colDelta };
+    this.setRange(extend ? anchor : next, next);
+    this.focusActiveCell();
+  }
+
+  /**
+   * Marks the cells of the range (`grid-cell-selected`) and the active cell (`grid-cell-active`).
+   * Inline styles are used so the marks overlay the background of striped and frozen cells.
+   */
+  highlight() {
+    const tbody = this.grid.renderer.tbody;
+    if (!tbody) return;
+
+    tbody
+      .querySelectorAll(":scope > tr > .grid-cell-selected, :scope > tr > .grid-cell-active")
+      .forEach((td) => {
+        td.classList.remove("grid-cell-selected", "grid-cell-active");
+        td.style.boxShadow = "";
+        td.style.outline = "";
+        td.removeAttribute("aria-selected");
+      });
+
+    const range = this.getRange();
+    if (!range) return;
+    for (let row = range.startRow; row <= range.endRow; row++) {
+      for (let col = range.startCol; col <= range.endCol; col++) {
+        const td = this.getCellElement(row, col);
+        if (!td) continue;
+        td.classList.add("grid-cell-selected");
+        td.style.boxShadow = "inset 0 0 0 9999px rgba(33, 150, 243, 0.15)";
+        td.setAttribute("aria-selected", "true");
+      }
+    }
+
+    const active = this.getCellElement(this.range.focus.row, this.range.focus.col);
+    if (active) {
+      active.classList.add("grid-cell-active");
+      active.style.outline = "2px solid #2196f3";
+      active.style.outlineOffset = "-2px";
+    }
+  }
+
+  /**
+   * Focuses the active cell, so keyboard and clipboard events reach the grid.
+   */
+  focusActiveCell() {
+    if (!this.range) return;
+    const td = this.getCellElement(this.range.focus.row, this.range.focus.col);
+    if (!td) return;
+    this.grid.renderer.setActiveCell(td);
+  }
+
+  /**
+   * The rendered cell at a position, if its row is in the DOM.
+   * @param {number} row - The row index on the page.
+   * @param {number} col - The leaf column index.
+   * @returns {HTMLTableCellElement|null}
+   */
+  getCellElement(row, col) {
+    const renderer = this.grid.renderer;
+    const rowData = this._getRows()[row];
+    const tr = rowData && renderer.getRowElement(rowData);
+    if (!tr) return null;
+    const leading = renderer._getLeadingColumns(renderer._lastRender.config).length;
+    return tr.cells[leading + col] || null;
+  }
+
+  /**
+   * Re-applies the range after the grid re-rendered, clamped to the new page.
+   * @param {boolean} [refocus=false] - Moves the focus back to the active cell.
+   */
+  restore(refocus = false) {
+    if (!this.range) return;
+    const rowCount = this._getRows().length;
+    const colCount = this._getColumns().length;
+    if (rowCount === 0 || colCount === 0) {
+      this.clear();
+      return;
+    }
+
+    const clamp = (position) => ({
+      row: Math.min(position.row, rowCount - 1),
+      col: Math.min(position.col, colCount - 1),
+    });
+    this.range = { anchor: clamp(this.range.anchor), focus: clamp(this.range.focus) };
+    this.highlight();
+    if (refocus) this.focusActiveCell();
+  }
+
+  /**
+   * The content of the range as tab-separated text and as an HTML table, using the cell
+   * texts shown in the grid.
+   * @returns {{text: string, html: string}|null}
+   */
+  getRangeContent() {
+    const range = this.getRange();
+    if (!range) return null;
+
+    const renderer = this.grid.renderer;
+    const values = range.rows.map((rowData) =>
+      range.columns.map((column) =>
+        renderer.getCellText(column, rowData, this.grid.config)
+      )
+    );
+    const text = toCSV(values, { delimiter: "\t", lineBreak: "\r\n" });
+    const html = `<table>${values
+      .map(
+        (row) =>
+          `<tr>${row.map((value) => `<td>${renderer.escapeHTML(value)}</td>`).join("")}</tr>`
+      )
+      .join("")}</table>`;
+    return { text, html };
+  }
+
+  /**
+   * Copies the range to the clipboard. With a `copy` event the data is set on the event,
+   * otherwise the asynchronous Clipboard API is used.
+   * @param {ClipboardEvent} [event] - The copy event being handled.
+   * @returns {{text: string, html: string}|null} The copied content.
+   */
+  copy(event) {
+    const content = this.getRangeContent();
+    if (!content) return null;
+
+    if (event?.clipboardData) {
+      event.clipboardData.setData("text/plain", content.text);
+      event.clipboardData.setData("text/html", content.html);
+      event.preventDefault();
+    } else if (navigator.clipboard) {
+      const write =
+        typeof ClipboardItem !== "undefined" && navigator.clipboard.write
+          ? navigator.clipboard.write([
+              new ClipboardItem({
+                "text/plain": new Blob([content.text], { type: "text/plain" }),
+                "text/html": new Blob([content.html], { type: "text/html" }),
+              }),
+            ])
+          : navigator.clipboard.writeText(content.text);
+      write.catch((error) => console.error("Grid: copying to the clipboard failed.", error));
+    }
+
+    this.grid._emit("copied", { range: this.getRange(), ...content });
+    return content;
+  }
+
+  /**
+   * Pastes tab-separated text into the grid, starting at the top-left cell of the range.
+   * Rows and columns beyond the page are dropped. Values are converted to the column types
+   * and validated; read-only and invalid cells are skipped and reported in the `pasted` event.
+   * @param {string} text - The pasted text.
+   * @returns {Array<Object>|null} The applied changes `{ rowData, changes, original }`, or null
+   * when nothing was pasted.
+   */
+  paste(text) {
+    const range = this.getRange();
+    if (!range || text == null) return null;
+
+    let block = parseCSV(String(text), { delimiter: "\t" });
+    if (block.length === 0) return null;
+
+    // A single value fills the whole selected range
+    const rangeRows = range.endRow - range.startRow + 1;
+    const rangeCols = range.endCol - range.startCol + 1;
+    if (block.length === 1 && block[0].length === 1 && rangeRows * rangeCols > 1) {
+      block = Array.from({ length: rangeRows }, () => new Array(rangeCols).fill(block[0][0]));
+    }
+
+    const rows = this._getRows();
+    const columns = this._getColumns();
+    const editManager = this.grid.editManager;
+    const updates = [];
+    const errors = [];
+
+    block.forEach((fields, rowOffset) => {
+      const rowData = rows[range.startRow + rowOffset];
+      if (!rowData) return;
+
+      const changes = {};
+      fields.forEach((field, colOffset) => {
+        const column = columns[range.startCol + colOffset];
+        if (!column) return;
+        const title = column.title || column.key;
+        if (!editManager.isEditable(column, rowData)) {
+          errors.push({ rowData, column, value: field, message: `${title} is read-only.` });
+          return;
+        }
+        const value = ClipboardManager.parseValue(field, column, rowData[column.key]);
+        if (value === undefined) {
+          errors.push({ rowData, column, value: field, message: `${title} must be a date.` });
+          return;
+        }
+        changes[column.key] = value;
+      });
+
+      const candidate = { ...rowData, ...changes };
+      Object.keys(changes).forEach((key) => {
+        const column = columns.find((leaf) => leaf.key === key);
+        const message = CellEditor.validate(column, changes[key], candidate);
+        if (message) {
+          errors.push({ rowData, column, value: changes[key], message });
+          delete changes[key];
+        }
+      });
+
+      if (Object.keys(changes).length > 0) {
+        updates.push({ rowData, changes });
+      }
+    });
+
+    const before = this.grid._emit("beforePaste", { updates, errors, text });
+    if (before.defaultPrevented) return null;
+
+    const store = this.grid.store;
+    const keyField = this.grid.config.keyField;
+    const applied = updates.map(({ rowData, changes }) => {
+      const original = { ...rowData };
+      const key = store.getKeyFieldValue(keyField, rowData);
+      const record = store.updateRecord(key, changes);
+      return { rowData: record || rowData, changes, original };
+    });
+
+    if (applied.length > 0) {
+      this.undoStack.push(
+        applied.map(({ rowData, changes, original }) => ({
+          key: store.getKeyFieldValue(keyField, rowData),
+          previous: Object.fromEntries(Object.keys(changes).map((key) => [key, original[key]])),
+        }))
+      );
+      const limit = this.grid.config.clipboard?.undoLimit ?? 20;
+      while (this.undoStack.length > limit) this.undoStack.shift();
+
+      // Select the pasted cells
+      this.range = {
+        anchor: { row: range.startRow, col: range.startCol },
+        focus: {
+          row: range.startRow + block.length - 1,
+          col: range.startCol + Math.max(...block.map((fields) => fields.length)) - 1,
+        },
+      };
+      this.grid._refreshView();
+    }
+
+    this.grid._emit("pasted", { changes: applied, errors });
+    return applied.length > 0 ? applied : null;
+  }
+
+  /**
+   * Undoes the last paste, restoring the previous values through the DataStore. Rows that get
+   * their loaded values back are no longer reported by {@link DataStore#getChanges}.
+   * @returns {boolean} Whether there was something to undo.
+   */
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return false;
+
+    const restored = entry
+      .map(({ key, previous }) => this.grid.store.updateRecord(key, previous))
+      .filter(Boolean);
+    this.grid._refreshView();
+    this.grid._emit("pasteUndone", { rows: restored });
+    return true;
+  }
+
+  /**
+   * Converts a pasted text to a value for a column, based on its editor type. Dates keep the
+   * shape of the current value (Date, timestamp, "/Date(ms)/" or string).
+   * @param {string} text - The pasted text.
+   * @param {Object} column - The leaf column.
+   * @param {*} currentValue - The current value of the cell.
+   * @returns {*} The value; `undefined` for text that is not a valid date in a date column.
+   */
+  static parseValue(text, column, currentValue) {
+    const trimmed = String(text).trim();
+    switch (CellEditor.resolveType(column)) {
+      case "number": {
+        if (trimmed === "") return null;
+        const number = parseNumberValue(trimmed);
+        // Left as text (e.g. "1,5") so the validation reports it
+        return Number.isFinite(number) ? number : trimmed;
+      }
+      case "checkbox": {
+        const lower = trimmed.toLowerCase();
+        if (["true", "yes", "y", "1"].includes(lower)) return true;
+        if (["false", "no", "n", "0", ""].includes(lower)) return false;
+        return trimmed;
+      }
+      case "date": {
+        if (trimmed === "") return null;
+        const day = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const date = day
+          ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]))
+          : parseDateValue(trimmed);
+        if (!date) return undefined;
+        if (currentValue instanceof Date) return date;
+        if (typeof currentValue === "number") return date.getTime();
+        if (typeof currentValue === "string" && /\/Date\(-?\d+\)\//.test(currentValue)) {
+          return `/Date(${date.getTime()})/`;
+        }
+        return trimmed;
+      }
+      default:
+        return text;
+    }
+  }
+
+  /**
+   * The records of the current page, in display order.
+   * @returns {Array<Object>}
+   * @private
+   */
+  _getRows() {
+    return this.grid.renderer.renderedRows || [];
+  }
+
+  /**
+   * The leaf columns, in display order.
+   * @returns {Array<Object>}
+   * @private
+   */
+  _getColumns() {
+    return this.grid.renderer._lastRender?.leafColumns || [];
+  }
+}
@@ -0,0 +1,222 @@
+import { findColumnPath, sortByIndex } from "./utils/Columns.js";
+
+/**
+ * Manages reordering columns by dragging their headers (HTML5 drag and drop).
+ *
+ * A header is dropped before or after one of its siblings: a leaf column moves within its parent
+ * group, a group moves with all of its columns. Hovering any header inside a sibling group targets
+ * that group. A line on the left or right edge of the target header shows where the column lands.
+ *
+ * Frozen columns stay on the left: a column that is not frozen cannot be dropped before a frozen
+ * sibling, and a frozen column cannot be dropped after one that is not. With
+ * `columnReorder.allowFreezeChange`, such drops are allowed and the column takes the frozen state
+ * of the zone it lands in. Columns with `reorderable: false` cannot be dragged.
+ *
+ * The move goes through {@link Grid#moveColumn}, which renumbers `index` and emits
+ * `columnsChanged`.
+ *
+ * Enabled with `config.columnReorder.enabled`.
+ *
+ * @class
+ * @example
+ * const columnDrag = new ColumnDragManager(gridInstance);
+ *
+ * @param {Grid} gridInstance - The grid whose headers are dragged.
+ *
+ * @property {Object|null} drag - The column being dragged: `{ column, parent, siblings, parentFrozen, th }`.
+ * @property {Object|null} target - The current drop position: `{ th, after, toIndex, freeze }`.
+ */
+export class ColumnDragManager {
+  /**
+   * Creates an instance of ColumnDragManager.
+   * @param {Grid} gridInstance - The grid whose headers are dragged.
+   */
+  constructor(gridInstance) {
+    this.grid = gridInstance;
+    this.drag = null;
+    this.target = null;
+  }
+
+  /**
+   * Whether header drag and drop is enabled (`columnReorder.enabled`).
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.grid.config.columnReorder?.enabled === true;
+  }
+
+  /**
+   * Whether a header column can be dragged.
+   * @param {Object} column - A column definition or header.
+   * @returns {boolean}
+   */
+  canDrag(column) {
+    return this.isEnabled() && column.key != null && column.reorderable !== false;
+  }
+
+  /**
+   * Starts dragging a header.
+   * @param {HTMLTableCellElement} th - The dragged header cell.
+   * @param {DragEvent} event - The dragstart event.
+   */
+  start(th, event) {
+    const path = findColumnPath(this.grid.config.columns, th.dataset.key);
+    const column = path?.[path.length - 1];
+    if (!column || !this.canDrag(column)) {
+      event.preventDefault();
+      return;
+    }
+
+    const parent = path.length > 1 ? path[path.length - 2] : null;
+    this.drag = {
+      column,
+      parent,
+      siblings: sortByIndex(parent ? parent.children : this.grid.config.columns),
+      // Frozen state inherited from the groups above the siblings
+      parentFrozen: path.slice(0, -1).some((ancestor) => ancestor.freeze === true),
+      th,
+    };
+
+    if (event.dataTransfer) {
+      event.dataTransfer.effectAllowed = "move";
+      event.dataTransfer.setData("text/plain", column.key); // Firefox only drags with data
+    }
+    th.style.opacity = "0.5";
+  }
+
+  /**
+   * Updates the drop position while dragging over a header. The drop is allowed (the event's
+   * default prevented) only over a sibling, at a position the frozen-column rules accept.
+   * @param {HTMLTableCellElement|null} th - The header cell under the pointer, null outside the header.
+   * @param {DragEvent} event - The dragover event.
+   */
+  over(th, event) {
+    if (!this.drag) return;
+    const target = th ? this._getDropTarget(th, event.clientX) : null;
+    this._showIndicator(target);
+    if (!target) return;
+
+    event.preventDefault();
+    if (event.dataTransfer) event.dataTransfer.dropEffect = "move";
+  }
+
+  /**
+   * Moves the dragged column to the current drop position.
+   * @param {DragEvent} event - The drop event.
+   */
+  drop(event) {
+    const { drag, target } = this;
+    this.end();
+    if (!drag || !target) return;
+    event.preventDefault();
+
+    const { column } = drag;
+    const previousFreeze = column.freeze;
+    if (target.freeze !== undefined) {
+      column.freeze = target.freeze;
+    }
+    const from = drag.siblings.indexOf(column);
+    if (from === target.toIndex) {
+      // Only the frozen state changed
+      if (target.freeze !== undefined) {
+        const parentKey = drag.parent ? drag.parent.key ?? null : null;
+        this.grid._onColumnsChanged({ action: "move", key: column.key, from, to: from, parentKey });
+      }
+      return;
+    }
+    if (!this.grid.moveColumn(column.key, target.toIndex)) {
+      column.freeze = previousFreeze; // Move cancelled by a beforeColumnMove listener
+    }
+  }
+
+  /**
+   * Ends the drag: removes the drop indicator and restores the dragged header.
+   */
+  end() {
+    this._showIndicator(null);
+    if (this.drag?.th) this.drag.th.style.opacity = "";
+    this.drag = null;
+  }
+
+  /**
+   * Resolves the drop position for a header under the pointer.
+   * @param {HTMLTableCellElement} th - The header cell under the pointer.
+   * @param {number} clientX - The pointer position.
+   * @returns {Object|null} `{ th, after, toIndex, freeze }` (`freeze` only set when the drop
+   *   changes the frozen state of the column), or null when the column can't be dropped there.
+   * @private
+   */
+  _getDropTarget(th, clientX) {
+    const { column, siblings, parentFrozen } = this.drag;
+    const path = findColumnPath(this.grid.config.columns, th.dataset.key);
+    // The hovered header, or the group containing it, must be a sibling of the dragged column
+    const sibling = path?.find((entry) => siblings.includes(entry));
+    if (!sibling || sibling === column) return null;
+
+    const siblingTh = this._getHeaderCell(sibling.key);
+    if (!siblingTh) return null;
+    const rect = siblingTh.getBoundingClientRect();
+    const after = clientX > rect.left + rect.width / 2;
+
+    const from = siblings.indexOf(column);
+    const position = siblings.indexOf(sibling) + (after ? 1 : 0);
+    const toIndex = position > from ? position - 1 : position;
+
+    // Frozen columns must stay before the others
+    const order = siblings.filter((entry) => entry !== column);
+    order.splice(toIndex, 0, column);
+    const isFrozen = (entry) => parentFrozen || entry.freeze === true;
+    const visible = order.filter((entry) => entry.hidden !== true);
+    const at = visible.indexOf(column);
+    const frozen = isFrozen(column);
+    const misplaced = frozen
+      ? visible.slice(0, at).some((entry) => !isFrozen(entry))
+      : visible.slice(at + 1).some(isFrozen);
+
+    let freeze;
+    if (misplaced) {
+      if (parentFrozen || this.grid.config.columnReorder.allowFreezeChange !== true) return null;
+      freeze = !frozen;
+    }
+    return { th: siblingTh, after, toIndex, freeze };
+  }
+
+  /**
+   * The rendered header cell of a column.
+   * @param {string} key - The column key.
+   * @returns {HTMLTableCellElement|null}
+   * @private
+   */
+  _getHeaderCell(key) {
+    const thead = this.grid.renderer.table?.tHead;
+    if (!thead) return null;
+    return (
+      Array.from(thead.querySelectorAll("th[data-key]")).find(
+        (th) => th.dataset.key === key
+      ) || null
+    );
+  }
+
+  /**
+   * Draws the drop indicator (an inset line on the left or right edge of the target header),
+   * removing the previous one.
+   * @param {Object|null} target - The drop position, or null to remove the indicator.
+   * @private
+   */
+  _showIndicator(target) {
+    const previous = this.target;
+    if (previous && (!target || previous.th !== target.th || previous.after !== target.after)) {
+      previous.th.style.boxShadow = previous.boxShadow;
+      previous.th.classList.remove("grid-drop-before", "grid-drop-after");
+    }
+    if (target && previous?.th === target.th && previous.after === target.after) {
+      this.target = { ...target, boxShadow: previous.boxShadow };
+      return;
+    }
+
+    this.target = target && { ...target, boxShadow: target.th.style.boxShadow };
+    if (!target) return;
+    target.th.classList.add(target.after ? "grid-drop-after" : "grid-drop-before");
+    target.th.style.boxShadow = `inset ${target.after ? "-3px" : "3px"} 0 0 0 #2196f3`;
+  }
+}
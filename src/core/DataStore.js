@@ -1,3 +1,12 @@
+import { parseDateValue, startOfDay } from "./utils/DateFunctions.js";
+import { parseNumberValue } from "./utils/Numbers.js";
+import { getDatatype } from "./utils/Columns.js";
+
+// ISO dates such as "2024-03-01" or "2024-03-01T10:30:00Z"
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * DataStore is a utility class for managing, sorting, and filtering tabular data.
  * It maintains both the original data and a viewable subset that can be sorted or filtered.
@@ -7,11 +16,13 @@
  * @example
  * const store = new DataStore([{ id: 1, name: 'Alice' }], { addSerialColumn: true });
  * store.sortData('name', 'desc');
+ * store.sortData([{ key: 'vessel', order: 'asc' }, { key: 'eta', order: 'desc' }]);
  * const filtered = store.getData();
  *
  * @param {Array<Object>} [dataSource=[]] - The initial array of data objects to store.
  * @param {Object} [config={}] - Configuration options for the DataStore.
  * @param {boolean} [config.addSerialColumn] - If true, adds a serial number column ('sno') to each data row.
+ * @param {string} [config.keyField] - The key field(s) identifying records (comma-separated for composite keys).
  *
  * @property {Object} config - Configuration options for the DataStore.
  * @property {Array<Object>} originalData - The pristine, untouched data array.
@@ -20,6 +31,7 @@
  * @method setData
  * Sets the main data source for the store, optionally adding a serial column.
  * @param {Array<Object>} dataSource - The array of data objects to be stored.
+ * @param {number} [serialOffset=0] - Offset added to the serial numbers (e.g. for server-side pages).
  *
  * @method getData
  * Retrieves the current processed data from the store.
@@ -30,27 +42,72 @@
  * @param {string} key - The key to extract unique values for.
  * @returns {Array} Array of unique values.
  *
+ * @method groupData
+ * Groups rows by one or more keys into nested groups.
+ * @param {Array<string>} groupKeys - The keys to group by, outermost first.
+ * @param {Array<Object>} [rows] - The rows to group (defaults to the view data).
+ * @returns {Array<Object>} The top-level groups.
+ *
+ * @method getValueCounts
+ * Lists every distinct value of a column with the number of rows passing the given filters that have it
+ * (0 for values found only in rows that are filtered out).
+ * @param {string} key - The column key.
+ * @param {Object} [filterMap={}] - Filters the rows must pass.
+ * @param {Function|null} [rowFilter] - An additional row test.
+ * @returns {Array<{value: *, count: number}>} The values with their row counts.
+ *
  * @method getRecordById
  * Gets a record by its key field value.
- * @param {string|number} id - The value of the key field.
- * @param {string} [idKey='id'] - The property name of the key field (supports comma-separated composite keys).
+ * @param {string|number} id - The value of the key field (for composite keys, the JSON array of the parts as
+ * returned by `getKeyFieldValue`).
+ * @param {string} [idKey] - The property name of the key field (supports comma-separated composite keys). Defaults to the configured `keyField`.
  * @returns {Object|undefined} The matching record or undefined if not found.
  *
  * @method getKeyFieldValue
  * Gets the value of the key field for a given row.
  * @param {string} keyField - The key field name (can be comma-separated for composite keys).
  * @param {Object} row - The row data object.
- * @returns {string|number} The value of the key field.
+ * @returns {string|number} The value of the key field; for composite keys the JSON array of the parts, e.g. '["MSC",12]'.
+ *
+ * @method updateRecord
+ * Applies changes to the record with the given key field value and tracks it as updated (until its
+ * original values are restored).
+ * @param {string|number} id - The value of the key field.
+ * @param {Object} changes - The properties to update.
+ * @returns {Object|undefined} The updated record or undefined if not found.
+ *
+ * @method addRecord
+ * Inserts a new record and tracks it as added.
+ * @param {Object} record - The record to insert.
+ * @param {number} [index] - Position in the original data.
+ * @returns {Object|undefined} The inserted record.
+ *
+ * @method removeRecord
+ * Removes a record and tracks it as removed.
+ * @param {string|number} id - The value of the key field.
+ * @returns {Object|undefined} The removed record.
+ *
+ * @method getChanges
+ * Returns the added, updated and removed records since the last accept/reject.
+ * @returns {{added: Array<Object>, updated: Array<Object>, removed: Array<Object>}}
+ *
+ * @method acceptChanges
+ * Marks all pending changes as saved.
+ *
+ * @method rejectChanges
+ * Reverts all pending changes.
  *
  * @method sortData
- * Sorts the view data by a given key and order.
- * Handles various data types and uses a cache to optimize normalization.
- * @param {string} key - The key to sort by.
- * @param {string} [order="asc"] - The sort order ('asc' or 'desc').
+ * Sorts the view data by a given key and order, or by a list of sort keys (multi-column sort).
+ * The sort is stable and compares values by the column's `datatype`, `sortValue` or `sortComparator`.
+ * @param {string|Array<{key: string, order: string, column: Object}>} key - The key to sort by, or the sort keys by priority.
+ * @param {string} [order="asc"] - The sort order ('asc' or 'desc') when sorting by a single key.
  *
  * @method filterData
  * Filters the view data based on the provided filter state.
- * @param {Object} filterMap - An object mapping column keys to arrays of accepted values.
+ * @param {Object} filterMap - An object mapping column keys to arrays of accepted values, or to condition
+ * filters `{ type, logic, conditions }` (see {@link DataStore.createConditionMatcher}).
+ * @param {Function|null} [rowFilter] - An additional `(row) => boolean` test.
  */
 export class DataStore {
     /**
@@ -70,19 +127,23 @@ export class DataStore {
      * Sets the main data source for the store.
      * Processes the data by adding a serial column (sno) if configured, and stores a pristine copy in `originalData` and a working copy in `viewData`.
      * @param {Array} dataSource - The array of data objects to be stored.
+     * @param {number} [serialOffset=0] - Offset added to the serial numbers, so that a page
+     * loaded from the server continues the numbering of the previous pages.
      */
-    setData(dataSource) {
+    setData(dataSource, serialOffset = 0) {
         let dataToStore = [...dataSource];
+        this._serialOffset = serialOffset;
 
         // Add sno if not present
         if (this.config.addSerialColumn && dataToStore.length > 0) {
             dataToStore.forEach((element, index) => {
-                element['sno'] = index + 1;
+                element['sno'] = serialOffset + index + 1;
             });
         }
 
         this.originalData = dataToStore;
         this.viewData = [...this.originalData];
+        this._resetChanges();
     }
 
     /**
@@ -106,112 +167,598 @@ export class DataStore {
 
     /**
      * Gets a record by its key field value.
-     * @param {string|number} id - The value of the key field.
-     * @param {string} idKey - The property name of the key field (e.g., 'RecordID', 'id'). Defaults to 'id'.
+     * @param {string|number} id - The value of the key field (for composite keys, the JSON array of the parts).
+     * @param {string} idKey - The property name of the key field (e.g., 'RecordID', 'id', 'vessel,voyage'). Defaults to the configured `keyField`, or 'id'.
      * @returns {Object|undefined} The matching record or undefined if not found.
      */
-    getRecordById(id, idKey = 'id') {
-        
-        return this.originalData.find(record => {return idKey.split(',').every((key) => record[key] == id);});
+    getRecordById(id, idKey = this.config.keyField || 'id') {
+        return this.originalData.find(this._createKeyMatcher(id, idKey));
+    }
+
+    /**
+     * Creates a test checking whether a record has the given key field value.
+     * For composite keys (e.g. 'vessel,voyage') the value is the JSON array of the parts,
+     * as produced by `getKeyFieldValue`, and the parts are compared field by field.
+     * @param {string|number} id - The key field value.
+     * @param {string} idKey - The key field name (can be comma-separated for composite keys).
+     * @returns {Function} `(record) => boolean`.
+     * @private
+     */
+    _createKeyMatcher(id, idKey) {
+        const keys = idKey.split(',');
+        if (keys.length === 1) {
+            return record => record[keys[0]] == id;
+        }
+        let parts;
+        try {
+            parts = JSON.parse(id);
+        } catch (error) {
+            return () => false; // Not a composite key value
+        }
+        if (!Array.isArray(parts) || parts.length !== keys.length) return () => false;
+        return record => keys.every((key, index) => String(record[key] ?? null) === String(parts[index]));
     }
 
     /**
      * Gets the value of the key field for a given row.
      * @param {string} keyField - The key field name (can be comma-separated for composite keys).
      * @param {Object} row - The row data object.
-     * @returns {string|number} The value of the key field.
+     * @returns {string|number} The value of the key field; for composite keys the JSON array of the parts,
+     * so that parts may contain any character (e.g. commas).
      */
     getKeyFieldValue(keyField, row) {
-        return keyField.split(',').map(key => row[key]).join(',');
+        const keys = keyField.split(',');
+        if (keys.length === 1) return [row[keys[0]]].join('');
+        return JSON.stringify(keys.map(key => row[key] ?? null));
     }
 
     /**
-     * Sorts the view data by a given key and order.
-     * Handles various data types (strings, numbers, dates, booleans, nulls) and uses a cache to optimize normalization.
-     * @param {string} key - The key to sort by.
-     * @param {string} [order="asc"] - The sort order ('asc' or 'desc').
+     * Applies changes to the record with the given key field value.
+     * The record object is updated in place, so the view data reflects the change without re-filtering.
+     * A record whose changes are reverted (e.g. an undone paste) is no longer tracked as updated.
+     * @param {string|number} id - The value of the key field.
+     * @param {Object} changes - The properties to update.
+     * @param {string} [idKey] - The key field name. Defaults to the configured `keyField`.
+     * @returns {Object|undefined} The updated record or undefined if not found.
      */
-    sortData(key, order = "asc") {
-        const dir = order === "asc" ? 1 : -1;
-        const cache = new Map();
+    updateRecord(id, changes, idKey = this.config.keyField || 'id') {
+        const record = this.getRecordById(id, idKey);
+        if (!record) return undefined;
 
-        const normalize = (val) => {
-            if (cache.has(val)) return cache.get(val);
+        const key = this.getKeyFieldValue(idKey, record);
+        // Remember the pristine version the first time an existing record changes
+        if (!this._changes.added.has(key) && !this._changes.updated.has(key)) {
+            this._changes.updated.set(key, { ...record });
+        }
 
-            let normVal = val;
+        Object.assign(record, changes);
 
-            // Handle null/undefined
-            if (normVal == null) {
-                cache.set(val, null);
-                return null;
-            }
+        // A changed key field moves the tracked entry to the new key
+        const newKey = this.getKeyFieldValue(idKey, record);
+        if (newKey !== key) {
+            ['added', 'updated'].forEach(type => {
+                if (this._changes[type].has(key)) {
+                    this._changes[type].set(newKey, this._changes[type].get(key));
+                    this._changes[type].delete(key);
+                }
+            });
+        }
 
-            // Convert Dates
-            if (normVal instanceof Date || (!isNaN(Date.parse(normVal)))) {
-                normVal = new Date(normVal).getTime();
-                cache.set(val, normVal);
-                return normVal;
+        const pristine = this._changes.updated.get(newKey);
+        if (pristine && this._isPristine(record, pristine)) {
+            this._changes.updated.delete(newKey);
+        }
+        return record;
+    }
+
+    /**
+     * Whether a record has the same values as its pristine version.
+     * @param {Object} record - The current record.
+     * @param {Object} pristine - The record as it was loaded.
+     * @returns {boolean}
+     * @private
+     */
+    _isPristine(record, pristine) {
+        const keys = new Set([...Object.keys(record), ...Object.keys(pristine)]);
+        return [...keys].every(key => Object.is(record[key], pristine[key]));
+    }
+
+    /**
+     * Inserts a new record. The view data is not re-filtered or re-sorted; callers are
+     * expected to re-apply their filter and sort state.
+     * @param {Object} record - The record to insert. It must have a value for the key field(s).
+     * @param {number} [index] - Position in the original data. Appended when omitted.
+     * @returns {Object|undefined} The inserted record, or undefined if its key is missing or already used.
+     */
+    addRecord(record, index) {
+        const idKey = this.config.keyField || 'id';
+        const key = this.getKeyFieldValue(idKey, record);
+
+        if (idKey.split(',').some(field => record[field] === undefined || record[field] === null)) {
+            console.error(`DataStore: cannot add a record without a value for the key field '${idKey}'.`);
+            return undefined;
+        }
+        if (this.getRecordById(key, idKey)) {
+            console.error(`DataStore: a record with key '${key}' already exists.`);
+            return undefined;
+        }
+
+        const position = index === undefined ? this.originalData.length : Math.max(0, Math.min(index, this.originalData.length));
+        this.originalData.splice(position, 0, record);
+        this.viewData.push(record);
+
+        this._changes.added.set(key, record);
+        this._renumberSerials();
+        return record;
+    }
+
+    /**
+     * Removes the record with the given key field value.
+     * @param {string|number} id - The value of the key field.
+     * @returns {Object|undefined} The removed record, or undefined if not found.
+     */
+    removeRecord(id) {
+        const idKey = this.config.keyField || 'id';
+        const record = this.getRecordById(id, idKey);
+        if (!record) return undefined;
+
+        const key = this.getKeyFieldValue(idKey, record);
+        const position = this.originalData.indexOf(record);
+        this.originalData.splice(position, 1);
+        this.viewData = this.viewData.filter(row => row !== record);
+
+        if (this._changes.added.has(key)) {
+            // Added and removed again: nothing to sync
+            this._changes.added.delete(key);
+        } else {
+            const pristine = this._changes.updated.get(key) || { ...record };
+            this._changes.updated.delete(key);
+            this._changes.removed.set(key, { record, pristine, position });
+        }
+
+        this._renumberSerials();
+        return record;
+    }
+
+    /**
+     * Returns the records changed since the data was set or the changes were last accepted.
+     * @returns {{added: Array<Object>, updated: Array<Object>, removed: Array<Object>}}
+     * `updated` holds the current versions, `removed` the versions as they were loaded.
+     */
+    getChanges() {
+        return {
+            added: [...this._changes.added.values()],
+            updated: [...this._changes.updated.keys()].map(key => this.getRecordById(key)).filter(Boolean),
+            removed: [...this._changes.removed.values()].map(entry => entry.pristine),
+        };
+    }
+
+    /**
+     * Whether there are pending changes.
+     * @returns {boolean}
+     */
+    hasChanges() {
+        return this._changes.added.size > 0 || this._changes.updated.size > 0 || this._changes.removed.size > 0;
+    }
+
+    /**
+     * Marks all pending changes as saved.
+     */
+    acceptChanges() {
+        this._resetChanges();
+    }
+
+    /**
+     * Reverts all pending changes: added records are removed, updated records get their
+     * original values back and removed records are re-inserted at their original position.
+     * The view data is reset to the (unfiltered, unsorted) original data.
+     */
+    rejectChanges() {
+        const addedRecords = new Set(this._changes.added.values());
+        this.originalData = this.originalData.filter(record => !addedRecords.has(record));
+
+        this._changes.updated.forEach((pristine, key) => {
+            const record = this.getRecordById(key);
+            if (!record) return;
+            Object.keys(record).forEach(prop => delete record[prop]);
+            Object.assign(record, pristine);
+        });
+
+        [...this._changes.removed.values()]
+            .sort((a, b) => a.position - b.position)
+            .forEach(({ record, pristine, position }) => {
+                Object.keys(record).forEach(prop => delete record[prop]);
+                Object.assign(record, pristine);
+                this.originalData.splice(Math.min(position, this.originalData.length), 0, record);
+            });
+
+        this._renumberSerials();
+        this.viewData = [...this.originalData];
+        this._resetChanges();
+    }
+
+    /**
+     * Clears the change tracking.
+     * @private
+     */
+    _resetChanges() {
+        this._changes = { added: new Map(), updated: new Map(), removed: new Map() };
+    }
+
+    /**
+     * Renumbers the serial column ('sno') after records were added or removed.
+     * @private
+     */
+    _renumberSerials() {
+        if (!this.config.addSerialColumn) return;
+        const offset = this._serialOffset || 0;
+        this.originalData.forEach((record, index) => {
+            record['sno'] = offset + index + 1;
+        });
+    }
+
+    /**
+     * Sorts the view data by a given key and order, or by several sort keys in priority order.
+     * The sort is stable: rows that are equal on every sort key keep their previous order.
+     *
+     * A sort key may carry its column definition (`{ key, order, column }`), which decides how values compare:
+     * - `column.sortComparator(a, b, rowA, rowB)`: full control, returns a negative, zero or positive number (ascending).
+     * - `column.sortValue(row)`: the value to sort by, e.g. derived from several fields.
+     * - `column.datatype`: 'number', 'date' (including "/Date(123)/" strings), 'boolean' or 'string'.
+     * - `column.naturalSort`: compare strings in natural order ("Unit 2" before "Unit 10").
+     * Without a datatype, numbers, booleans, Date objects, "/Date(123)/" and ISO date strings are recognized;
+     * everything else compares as case-insensitive text. Empty values sort last in ascending order.
+     *
+     * @param {string|Array<{key: string, order: string, column: Object}>} key - The key to sort by, or the sort keys (highest priority first).
+     * @param {string} [order="asc"] - The sort order ('asc' or 'desc') when sorting by a single key.
+     */
+    sortData(key, order = "asc") {
+        const sortKeys = (Array.isArray(key) ? key : [{ key, order }])
+            .filter(entry => entry && entry.key != null)
+            .map(entry => ({
+                key: entry.key,
+                dir: entry.order === "desc" ? -1 : 1,
+                column: entry.column || {},
+            }));
+        if (sortKeys.length === 0) return;
+
+        const collator = new Intl.Collator(undefined, { sensitivity: "base" });
+        const naturalCollator = new Intl.Collator(undefined, { sensitivity: "base", numeric: true });
+
+        const compareValues = (valA, valB, natural) => {
+            if (valA === valB) return 0;
+            if (typeof valA === "number" && typeof valB === "number") {
+                return valA - valB;
             }
+            return (natural ? naturalCollator : collator).compare(String(valA), String(valB));
+        };
 
-            // Normalize booleans
-            if (typeof normVal === "boolean") {
-                normVal = normVal ? 1 : 0;
-                cache.set(val, normVal);
-                return normVal;
+        const comparators = sortKeys.map(({ key: sortKey, dir, column }) => {
+            if (typeof column.sortComparator === "function") {
+                return (a, b) => column.sortComparator(a.row[sortKey], b.row[sortKey], a.row, b.row) * dir;
             }
+            return (a, b, i) => {
+                const valA = a.values[i];
+                const valB = b.values[i];
+                if (valA === valB) return 0;
+                if (valA == null) return 1 * dir;
+                if (valB == null) return -1 * dir;
+                return compareValues(valA, valB, column.naturalSort === true) * dir;
+            };
+        });
 
-            // Try numeric conversion
-            if (!isNaN(normVal) && normVal !== "") {
-                normVal = Number(normVal);
+        // Normalize each value once per sort key (cached by raw value), unless a sortValue accessor is used
+        const valueGetters = sortKeys.map(({ key: sortKey, column }) => {
+            if (typeof column.sortComparator === "function") return () => null;
+            const datatype = getDatatype(column);
+            const cache = new Map();
+            const normalize = (val) => {
+                if (cache.has(val)) return cache.get(val);
+                const normVal = DataStore.normalizeSortValue(val, datatype);
                 cache.set(val, normVal);
                 return normVal;
+            };
+            if (typeof column.sortValue === "function") {
+                return (row) => DataStore.normalizeSortValue(column.sortValue(row), datatype);
             }
+            return (row) => normalize(row[sortKey]);
+        });
 
-            // Default to string (case-insensitive)
-            normVal = String(normVal).toLowerCase();
-            cache.set(val, normVal);
-            return normVal;
-        };
+        // Keep each row's position as the final tie-breaker for stability
+        const decorated = this.viewData.map((row, index) => ({
+            row,
+            index,
+            values: valueGetters.map(getValue => getValue(row)),
+        }));
 
         // Sort viewData, not the original source
-        this.viewData.sort((a, b) => {
-            let valA = normalize(a[key]);
-            let valB = normalize(b[key]);
+        decorated.sort((a, b) => {
+            for (let i = 0; i < comparators.length; i++) {
+                const result = comparators[i](a, b, i);
+                if (result !== 0) return result;
+            }
+            return a.index - b.index;
+        });
 
-            if (valA === valB) return 0;
-            if (valA == null) return 1 * dir;
-            if (valB == null) return -1 * dir;
+        this.viewData = decorated.map(entry => entry.row);
+    }
 
-            if (typeof valA === "number" && typeof valB === "number") {
-                return (valA - valB) * dir;
+    /**
+     * Converts a raw value into a comparable sort value: a number for numbers, dates and booleans,
+     * a lower-cased string for text, or null for empty values.
+     * @param {*} val - The raw value.
+     * @param {string} [datatype] - The column datatype ('number', 'date', 'boolean', 'string' or an alias,
+     * see `getDatatype`); guessed when empty.
+     * @returns {number|string|null}
+     */
+    static normalizeSortValue(val, datatype = "") {
+        if (val == null || val === "") return null;
+
+        switch (getDatatype(datatype)) {
+            case "number":
+                return parseNumberValue(val);
+            case "date": {
+                const date = parseDateValue(val);
+                return date ? date.getTime() : null;
             }
+            case "boolean":
+                return val === true || val === 1 || String(val).toLowerCase() === "true" ? 1 : 0;
+            case "string":
+                return String(val).toLowerCase();
+        }
 
-            return String(valA).localeCompare(String(valB), undefined, { sensitivity: "base" }) * dir;
-        });
+        // No datatype: recognize the unambiguous cases only
+        if (typeof val === "boolean") return val ? 1 : 0;
+        if (typeof val === "number") return val;
+        if (val instanceof Date) return isNaN(val.getTime()) ? null : val.getTime();
+
+        const text = String(val).trim();
+        const number = parseNumberValue(text);
+        if (number !== null) return number;
+        if (/^\/Date\(-?\d+\)\/$/.test(text) || ISO_DATE_PATTERN.test(text)) {
+            const date = parseDateValue(text);
+            if (date) return date.getTime();
+        }
+        return text.toLowerCase();
     }
 
     /**
      * Filters the view data based on the provided filter state.
-     * @param {Object} filterMap - An object mapping column keys to arrays of accepted values.
+     * A column's filter is either an array of accepted values (checklist filter) or a condition filter
+     * `{ type, logic, conditions }`; a row must pass the filters of all columns.
+     * @param {Object} filterMap - An object mapping column keys to their filter.
+     * @param {Function|null} [rowFilter] - An additional `(row) => boolean` test, e.g. a quick search.
      */
-    filterData(filterMap = {}) {
+    filterData(filterMap = {}, rowFilter = null) {
         const filterKeys = Object.keys(filterMap);
 
 
-        if (filterKeys.length === 0) {
+        if (filterKeys.length === 0 && !rowFilter) {
             this.viewData = [...this.originalData];
             return;
         }
 
+        const test = this._createRowTest(filterMap, rowFilter);
+        this.viewData = this.originalData.filter(test);
+    }
 
-        this.viewData = this.originalData.filter(row => {
-            // Use `every()` for an efficient "AND" check.
-            // It checks if the row passes the test for ALL filter keys.
-            // It also short-circuits, stopping as soon as a condition fails.
-            return filterKeys.every(key => {
-                // If the row's value for the key is in our list of allowed values, it passes.
-                return filterMap[key].includes(row[key]);
+    /**
+     * Groups rows by one or more keys, preserving the row order: groups appear in the order of their
+     * first row, so sort the data by the group keys first to get contiguous, ordered groups.
+     * @param {Array<string>} groupKeys - The keys to group by, outermost first.
+     * @param {Array<Object>} [rows=this.viewData] - The rows to group.
+     * @returns {Array<{id: string, key: string, value: *, level: number, rows: Array<Object>, children: Array|null}>}
+     * The top-level groups; `id` identifies a group by the path of group values, `rows` holds all rows
+     * of the group and `children` the sub-groups (null at the innermost level).
+     */
+    groupData(groupKeys, rows = this.viewData) {
+        const build = (groupRows, level, parentPath) => {
+            const key = groupKeys[level];
+            const groups = new Map();
+            groupRows.forEach(row => {
+                const value = row[key] ?? null;
+                // Dates group by time, not by object identity
+                const groupValue = value instanceof Date ? value.getTime() : value;
+                if (!groups.has(groupValue)) {
+                    const path = [...parentPath, groupValue];
+                    groups.set(groupValue, { id: JSON.stringify(path), path, key, value, level, rows: [] });
+                }
+                groups.get(groupValue).rows.push(row);
+            });
+
+            return [...groups.values()].map(({ path, ...group }) => ({
+                ...group,
+                children: level + 1 < groupKeys.length ? build(group.rows, level + 1, path) : null,
+            }));
+        };
+        return groupKeys.length > 0 ? build(rows, 0, []) : [];
+    }
+
+    /**
+     * Lists every distinct value of a column in the original data, with the number of rows passing
+     * the given filters that have it; values found only in rows that are filtered out count 0.
+     * Null and undefined values are counted together under `null` (shown as "(Blanks)" in the filter menu),
+     * and equal dates count as one value.
+     * @param {string} key - The column key.
+     * @param {Object} [filterMap={}] - Filters the rows must pass, e.g. the filters of the other columns.
+     * @param {Function|null} [rowFilter] - An additional `(row) => boolean` test.
+     * @returns {Array<{value: *, count: number}>} The values in natural order, blanks last.
+     */
+    getValueCounts(key, filterMap = {}, rowFilter = null) {
+        const test = this._createRowTest(filterMap, rowFilter);
+        const counts = new Map(); // Value key -> { value, count }
+        this.originalData.forEach(row => {
+            const value = row[key] ?? null;
+            const valueKey = DataStore.getValueKey(value);
+            let entry = counts.get(valueKey);
+            if (!entry) {
+                entry = { value, count: 0 };
+                counts.set(valueKey, entry);
+            }
+            if (test(row)) entry.count++;
+        });
+
+        const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+        return [...counts.values()]
+            .sort((a, b) => {
+                if (a.value === null) return 1;
+                if (b.value === null) return -1;
+                return collator.compare(String(a.value), String(b.value));
             });
+    }
+
+    /**
+     * The identity of a cell value for list filters and value counts: a Date is keyed by its time,
+     * so equal dates held in different Date objects are the same value.
+     * @param {*} value - The cell value.
+     * @returns {*} The key.
+     */
+    static getValueKey(value) {
+        return value instanceof Date ? `\u0000date:${value.getTime()}` : value;
+    }
+
+    /**
+     * Builds the row test for a filter state: every column filter and the optional row filter must pass.
+     * @param {Object} filterMap - An object mapping column keys to their filter.
+     * @param {Function|null} [rowFilter] - An additional `(row) => boolean` test.
+     * @returns {function(Object): boolean}
+     * @private
+     */
+    _createRowTest(filterMap = {}, rowFilter = null) {
+        // Prepare each column's test once (e.g. compile regular expressions), not once per row
+        const tests = Object.keys(filterMap).map(key => {
+            const filter = filterMap[key];
+            if (Array.isArray(filter)) {
+                // If the row's value for the key is in our list of allowed values, it passes.
+                // `null` in the list stands for the blanks (null or undefined).
+                const allowed = new Set(filter.map(DataStore.getValueKey));
+                return row => allowed.has(DataStore.getValueKey(row[key] ?? null));
+            }
+            const matcher = DataStore.createConditionMatcher(filter);
+            return row => matcher(row[key]);
         });
+        if (rowFilter) tests.push(rowFilter);
+
+        // Use `every()` for an efficient "AND" check: it short-circuits as soon as a column fails.
+        return row => tests.every(test => test(row));
+    }
+
+    /**
+     * Builds a predicate for a condition filter.
+     *
+     * The filter is `{ type, logic, conditions }`: `type` is 'number', 'date' or 'text', `logic` is
+     * 'and' (default) or 'or', and each condition is `{ operator, value, value2 }`. Operators:
+     * - all types: 'equals', 'notEquals', 'blank', 'notBlank'
+     * - number: 'greaterThan', 'greaterThanOrEqual', 'lessThan', 'lessThanOrEqual', 'between' (`value`..`value2`)
+     * - date (compared by calendar day): 'before', 'after', 'between', 'inLastDays' (`value` = number of days)
+     * - text (case-insensitive): 'contains', 'notContains', 'startsWith', 'endsWith', 'regex'
+     *
+     * @param {Object} filter - The condition filter.
+     * @returns {function(*): boolean}
+     */
+    static createConditionMatcher(filter = {}) {
+        const type = filter.type || "text";
+        const tests = (filter.conditions || [])
+            .map(condition => DataStore._createConditionTest(type, condition))
+            .filter(Boolean);
+
+        if (tests.length === 0) return () => true;
+        if (filter.logic === "or") {
+            return value => tests.some(test => test(value));
+        }
+        return value => tests.every(test => test(value));
+    }
+
+    /**
+     * Builds the test for one condition of a condition filter.
+     * @param {string} type - 'number', 'date' or 'text'.
+     * @param {Object} condition - `{ operator, value, value2 }`.
+     * @returns {function(*): boolean|null} The test, or null if the condition can't be applied.
+     * @private
+     */
+    static _createConditionTest(type, condition) {
+        const { operator } = condition || {};
+        const isBlank = value => value == null || String(value).trim() === "";
+
+        if (operator === "blank") return isBlank;
+        if (operator === "notBlank") return value => !isBlank(value);
+
+        if (type === "number") {
+            const toNumber = parseNumberValue;
+            const target = toNumber(condition.value);
+            const target2 = toNumber(condition.value2);
+            if (target == null) return null;
+
+            const compare = {
+                equals: num => num === target,
+                notEquals: num => num !== target,
+                greaterThan: num => num > target,
+                greaterThanOrEqual: num => num >= target,
+                lessThan: num => num < target,
+                lessThanOrEqual: num => num <= target,
+                between: num => target2 != null && num >= Math.min(target, target2) && num <= Math.max(target, target2),
+            }[operator];
+            if (!compare) return null;
+            return value => {
+                const num = toNumber(value);
+                if (num == null) return operator === "notEquals";
+                return compare(num);
+            };
+        }
+
+        if (type === "date") {
+            if (operator === "inLastDays") {
+                const days = parseNumberValue(condition.value);
+                if (!(days > 0)) return null;
+                return value => {
+                    const day = startOfDay(value);
+                    const today = startOfDay(new Date());
+                    return day != null && day <= today && day > today - days * DAY_MS;
+                };
+            }
+
+            const target = startOfDay(condition.value);
+            const target2 = startOfDay(condition.value2);
+            if (target == null) return null;
+
+            const compare = {
+                equals: day => day === target,
+                notEquals: day => day !== target,
+                before: day => day < target,
+                after: day => day > target,
+                between: day => target2 != null && day >= Math.min(target, target2) && day <= Math.max(target, target2),
+            }[operator];
+            if (!compare) return null;
+            return value => {
+                const day = startOfDay(value);
+                if (day == null) return operator === "notEquals";
+                return compare(day);
+            };
+        }
+
+        // Text
+        if (isBlank(condition.value)) return null;
+        const target = String(condition.value).toLowerCase();
+        if (operator === "regex") {
+            let pattern;
+            try {
+                pattern = new RegExp(condition.value, "i");
+            } catch (error) {
+                console.error(`DataStore: invalid filter pattern "${condition.value}".`, error);
+                return null;
+            }
+            return value => pattern.test(value == null ? "" : String(value));
+        }
+
+        const compare = {
+            equals: text => text === target,
+            notEquals: text => text !== target,
+            contains: text => text.includes(target),
+            notContains: text => !text.includes(target),
+            startsWith: text => text.startsWith(target),
+            endsWith: text => text.endsWith(target),
+        }[operator];
+        if (!compare) return null;
+        return value => compare(value == null ? "" : String(value).toLowerCase());
     }
 }
@@ -0,0 +1,223 @@
+/**
+ * Manages master-detail rows: a row expanded with the toggle of the detail column is followed
+ * by a detail row spanning the full width of the table, showing the content returned by
+ * `detail.renderer(rowData, { grid, container })`.
+ *
+ * The renderer returns an HTML string, a DOM node, or a promise of either for content that is
+ * loaded lazily (a loading text is shown meanwhile); it may also fill `container` itself and
+ * return nothing. The content is created once per row and kept, so a nested {@link Grid} in it
+ * keeps its state, and so do the expanded rows (by `keyField`) when the grid is sorted, filtered
+ * or paged. {@link DetailManager#refresh} re-creates the content of a row.
+ *
+ * Enabled with a `config.detail.renderer` function. Not available with `virtualScroll`, whose window
+ * math assumes rows of a fixed height; the detail configuration is then ignored.
+ *
+ * @class
+ * @example
+ * const grid = new Grid(container, {
+ *   keyField: 'id',
+ *   columns,
+ *   detail: {
+ *     renderer: (rowData) => {
+ *       const element = document.createElement('div');
+ *       new Grid(element, { keyField: 'lineId', columns: lineColumns, dataSource: { mode: 'json', source: rowData.lines } });
+ *       return element;
+ *     },
+ *   },
+ * });
+ *
+ * @param {Grid} gridInstance - The grid whose rows are expanded.
+ *
+ * @property {Set<string>} expanded - The keys of the expanded rows.
+ */
+export class DetailManager {
+  /**
+   * Creates an instance of DetailManager.
+   * @param {Grid} gridInstance - The grid whose rows are expanded.
+   */
+  constructor(gridInstance) {
+    this.grid = gridInstance;
+    this.expanded = new Set();
+    this._contents = new Map(); // Row key -> detail content element
+
+    if (this._hasRenderer() && this.grid.config.virtualScroll?.enabled) {
+      console.warn(
+        "Grid: Master-detail rows are not available with virtual scrolling; 'detail' is ignored."
+      );
+    }
+  }
+
+  /**
+   * Whether rows have details: `detail.renderer` is configured and virtual scrolling is off.
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this._hasRenderer() && this.grid.config.virtualScroll?.enabled !== true;
+  }
+
+  /**
+   * Whether a detail renderer is configured.
+   * @returns {boolean}
+   * @private
+   */
+  _hasRenderer() {
+    return typeof this.grid.config.detail?.renderer === "function";
+  }
+
+  /**
+   * Whether the detail of a row is expanded.
+   * @param {string} key - The row key.
+   * @returns {boolean}
+   */
+  isExpanded(key) {
+    return this.expanded.has(String(key));
+  }
+
+  /**
+   * Expands or collapses the detail of a row and re-renders the grid.
+   * With `detail.single`, expanding a row collapses the others.
+   * @param {string} key - The row key.
+   * @param {boolean} [expanded] - The new state; toggles when omitted.
+   * @returns {boolean} Whether the row has a detail.
+   * @fires Grid#detailToggled
+   */
+  toggle(key, expanded = !this.isExpanded(key)) {
+    if (!this.isEnabled()) return false;
+    const id = String(key);
+    const rowData = this.grid.store.getRecordById(id, this.grid.config.keyField);
+    if (!rowData || this.grid.config.detail.isExpandable?.(rowData) === false) return false;
+    if (expanded === this.isExpanded(id)) return true;
+
+    if (expanded) {
+      if (this.grid.config.detail.single) this.expanded.clear();
+      this.expanded.add(id);
+    } else {
+      this.expanded.delete(id);
+    }
+    this.grid.render();
+    this.grid._emit("detailToggled", { key: id, rowData, expanded });
+    return true;
+  }
+
+  /**
+   * Collapses every expanded row.
+   */
+  collapseAll() {
+    if (this.expanded.size === 0) return;
+    this.expanded.clear();
+    this.grid.render();
+  }
+
+  /**
+   * Drops the content of a row's detail, so the renderer runs again (e.g. after the row changed).
+   * @param {string} key - The row key.
+   */
+  refresh(key) {
+    const id = String(key);
+    this._contents.get(id)?.remove();
+    this._contents.delete(id);
+    if (this.isExpanded(id)) this.grid.render();
+  }
+
+  /**
+   * Forgets the expanded state and content of rows that no longer exist.
+   * @param {Function} exists - `(key) => boolean`.
+   */
+  prune(exists) {
+    this.expanded.forEach((key) => {
+      if (!exists(key)) this.expanded.delete(key);
+    });
+    this._contents.forEach((_, key) => {
+      if (!exists(key)) this._contents.delete(key);
+    });
+  }
+
+  /**
+   * Puts the content into the rendered detail rows, creating it on first use.
+   * Called after every render, since rendering replaces the rows.
+   */
+  attach() {
+    const tbody = this.grid.renderer.tbody;
+    if (!tbody || !this.isEnabled()) return;
+
+    tbody.querySelectorAll(":scope > tr.grid-detail-row").forEach((row) => {
+      const cell = row.cells[0];
+      const content = this._getContent(row.dataset.detailKey);
+      if (cell && content && content.parentNode !== cell) cell.appendChild(content);
+    });
+  }
+
+  /**
+   * The content element of a row's detail, running the renderer the first time.
+   * @param {string} key - The row key.
+   * @returns {HTMLDivElement|null} The element, or null when the row doesn't exist.
+   * @private
+   */
+  _getContent(key) {
+    if (this._contents.has(key)) return this._contents.get(key);
+    const rowData = this.grid.store.getRecordById(key, this.grid.config.keyField);
+    if (!rowData) return null;
+
+    const element = document.createElement("div");
+    element.className = "grid-detail-content";
+    this._contents.set(key, element);
+
+    let content;
+    try {
+      content = this.grid.config.detail.renderer(rowData, {
+        grid: this.grid,
+        container: element,
+      });
+    } catch (error) {
+      this._showError(element, key, error);
+      return element;
+    }
+
+    if (typeof content?.then === "function") {
+      const labels = this.grid.config.detail.labels || {};
+      element.setAttribute("aria-busy", "true");
+      element.textContent = labels.loading || "Loading...";
+      content.then(
+        (loaded) => {
+          element.removeAttribute("aria-busy");
+          element.textContent = "";
+          this._fill(element, loaded);
+        },
+        (error) => {
+          element.removeAttribute("aria-busy");
+          this._showError(element, key, error);
+        }
+      );
+    } else {
+      this._fill(element, content);
+    }
+    return element;
+  }
+
+  /**
+   * Puts renderer output into the content element.
+   * @param {HTMLDivElement} element - The content element.
+   * @param {string|Node|null|undefined} content - HTML, a node, or nothing when the renderer filled the element.
+   * @private
+   */
+  _fill(element, content) {
+    if (content instanceof Node) {
+      element.appendChild(content);
+    } else if (content != null) {
+      element.innerHTML = String(content);
+    }
+  }
+
+  /**
+   * Shows that the detail could not be rendered.
+   * @param {HTMLDivElement} element - The content element.
+   * @param {string} key - The row key.
+   * @param {*} error - The error thrown or rejected by the renderer.
+   * @private
+   */
+  _showError(element, key, error) {
+    console.error(`Grid: Failed to render the detail of row "${key}".`, error);
+    const labels = this.grid.config.detail.labels || {};
+    element.textContent = labels.error || "The details could not be loaded.";
+  }
+}
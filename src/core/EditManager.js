@@ -0,0 +1,301 @@
+import { CellEditor } from "./ui/CellEditor.js";
+import { EditDialog } from "./ui/EditDialog.js";
+
+/**
+ * Manages the editing of grid records.
+ *
+ * Three modes are supported through `config.editForm.mode`:
+ * - `inline`: every editable cell of the row is replaced by an editor, with a Save/Cancel bar below the row.
+ * - `cell`: a single cell is edited (started by double-clicking it); Enter or leaving the cell saves it.
+ * - `popup`: a modal {@link EditDialog} generated from the column definitions.
+ *
+ * Values are validated per column (see {@link CellEditor.validate}); errors are shown next to the
+ * editor and block the save. A successful save updates the record in the DataStore and re-renders
+ * only the edited row.
+ *
+ * @class
+ * @example
+ * const editManager = new EditManager(gridInstance);
+ * editManager.startRowEdit(rowData);
+ *
+ * @param {Grid} gridInstance - The grid whose records are edited.
+ *
+ * @property {Object|null} session - The active edit session, if any.
+ */
+export class EditManager {
+  /**
+   * Creates an instance of EditManager.
+   * @param {Grid} gridInstance - The grid whose records are edited.
+   */
+  constructor(gridInstance) {
+    this.grid = gridInstance;
+    this.session = null;
+  }
+
+  /**
+   * Whether a column can be edited. A column's `editable` flag (a boolean or a
+   * `(rowData) => boolean` function) decides; without it the serial column and the
+   * key field(s) are read-only and every other column is editable.
+   * @param {Object} column - The leaf column definition.
+   * @param {Object} [rowData] - The record being edited.
+   * @returns {boolean}
+   */
+  isEditable(column, rowData) {
+    if (typeof column.editable === "function") {
+      return column.editable(rowData) !== false;
+    }
+    if (typeof column.editable === "boolean") {
+      return column.editable;
+    }
+    const keyFields = (this.grid.config.keyField || "").split(",");
+    return column.key !== "sno" && !keyFields.includes(column.key);
+  }
+
+  /**
+   * Starts editing a whole row inline. Any edit in progress is cancelled first.
+   * @param {Object} rowData - The record to edit.
+   * @returns {boolean} Whether the edit started (false if the row is not rendered).
+   */
+  startRowEdit(rowData) {
+    this.cancel();
+
+    const renderer = this.grid.renderer;
+    const tr = renderer.getRowElement(rowData);
+    if (!tr) return false;
+
+    const editors = [];
+    Array.from(tr.cells).forEach((td) => {
+      const column = renderer.getColumnForCell(td);
+      if (!column || !this.isEditable(column, rowData)) return;
+      editors.push(this._mountEditor(td, column, rowData));
+    });
+
+    const actionsRow = this._createActionsRow(tr.cells.length);
+    tr.insertAdjacentElement("afterend", actionsRow);
+    tr.classList.add("grid-row-editing");
+
+    this.session = { mode: "inline", rowData, tr, editors, actionsRow };
+    editors[0]?.editor.focus();
+    return true;
+  }
+
+  /**
+   * Starts editing a single cell. Any edit in progress is cancelled first.
+   * @param {Object} rowData - The record to edit.
+   * @param {string} columnKey - The key of the column to edit.
+   * @returns {boolean} Whether the edit started.
+   */
+  startCellEdit(rowData, columnKey) {
+    this.cancel();
+
+    const renderer = this.grid.renderer;
+    const tr = renderer.getRowElement(rowData);
+    if (!tr) return false;
+
+    const td = Array.from(tr.cells).find(
+      (cell) => renderer.getColumnForCell(cell)?.key === columnKey
+    );
+    const column = td && renderer.getColumnForCell(td);
+    if (!column || !this.isEditable(column, rowData)) return false;
+
+    const entry = this._mountEditor(td, column, rowData);
+    this.session = { mode: "cell", rowData, tr, editors: [entry] };
+
+    // Leaving the cell saves it (or keeps it open while the value is invalid)
+    entry.editor.input.addEventListener("blur", () => {
+      setTimeout(() => {
+        if (this.session?.editors[0] === entry) this.save();
+      }, 0);
+    });
+
+    entry.editor.focus();
+    return true;
+  }
+
+  /**
+   * Opens a modal dialog with a field for every editable column. The dialog is attached to
+   * the grid's render root, so it also works when the grid renders inside a Shadow DOM.
+   * @param {Object} rowData - The record to edit.
+   * @returns {Promise<Object|null>} Resolves with the updated record, or null if the dialog was cancelled.
+   */
+  async startPopupEdit(rowData) {
+    this.cancel();
+
+    const renderRoot = this.grid.renderer.container;
+    const dialog = new EditDialog({
+      title: this.grid.config.editForm?.title,
+      labels: this.grid.config.editForm?.labels,
+      columns: this.grid.config.columns,
+      rowData,
+      root: renderRoot instanceof ShadowRoot ? renderRoot : document.body,
+      isEditable: (column) => this.isEditable(column, rowData),
+      choicesFor: (column) =>
+        CellEditor.resolveType(column) === "select"
+          ? this.grid.store.getUniqueValues(column.key)
+          : undefined,
+      withTime: /[Hh]/.test(this.grid.config.dateFormat || ""),
+    });
+
+    const edited = await dialog.open();
+    if (!edited) return null;
+
+    const changes = {};
+    dialog.editors.forEach(({ column }) => {
+      changes[column.key] = edited[column.key];
+    });
+    return this._commit(rowData, changes);
+  }
+
+  /**
+   * Replaces the content of a cell with an editor for the column.
+   * @param {HTMLTableCellElement} td - The cell.
+   * @param {Object} column - The leaf column definition.
+   * @param {Object} rowData - The record being edited.
+   * @returns {{td: HTMLTableCellElement, column: Object, editor: CellEditor}}
+   * @private
+   */
+  _mountEditor(td, column, rowData) {
+    const editor = new CellEditor(column, rowData[column.key], {
+      choices:
+        CellEditor.resolveType(column) === "select"
+          ? this.grid.store.getUniqueValues(column.key)
+          : undefined,
+      withTime: /[Hh]/.test(this.grid.config.dateFormat || ""),
+    });
+
+    editor.input.addEventListener("keydown", (event) => {
+      if (event.key === "Enter" && editor.type !== "select") {
+        event.preventDefault();
+        this.save();
+      } else if (event.key === "Escape") {
+        event.preventDefault();
+        this.cancel();
+      }
+    });
+    // Keep clicks inside the editor away from the grid's row/header handlers
+    editor.element.addEventListener("click", (event) =>
+      event.stopPropagation()
+    );
+    editor.element.addEventListener("dblclick", (event) =>
+      event.stopPropagation()
+    );
+
+    td.innerHTML = "";
+    td.appendChild(editor.element);
+    return { td, column, editor };
+  }
+
+  /**
+   * Creates the row holding the Save and Cancel buttons of an inline row edit.
+   * @param {number} colSpan - The number of cells the bar spans.
+   * @returns {HTMLTableRowElement}
+   * @private
+   */
+  _createActionsRow(colSpan) {
+    const row = document.createElement("tr");
+    row.className = "grid-edit-actions";
+    const cell = document.createElement("td");
+    cell.colSpan = colSpan;
+    cell.style.textAlign = "right";
+
+    const saveButton = document.createElement("button");
+    saveButton.type = "button";
+    saveButton.className = "btn btn-sm btn-primary grid-edit-save";
+    saveButton.textContent = "Save";
+
+    const cancelButton = document.createElement("button");
+    cancelButton.type = "button";
+    cancelButton.className = "btn btn-sm btn-secondary grid-edit-cancel";
+    cancelButton.textContent = "Cancel";
+    cancelButton.style.marginLeft = "5px";
+
+    cell.appendChild(saveButton);
+    cell.appendChild(cancelButton);
+    row.appendChild(cell);
+
+    row.addEventListener("click", (event) => {
+      event.stopPropagation();
+      if (event.target.closest(".grid-edit-save")) this.save();
+      if (event.target.closest(".grid-edit-cancel")) this.cancel();
+    });
+    return row;
+  }
+
+  /**
+   * Validates the edited values and, if they are all valid, writes them to the DataStore
+   * and re-renders the row. Invalid values are reported next to their editors.
+   * @returns {Object|null} The updated record, or null if validation failed or nothing is being edited.
+   */
+  save() {
+    const session = this.session;
+    if (!session) return null;
+
+    const changes = {};
+    session.editors.forEach(({ column, editor }) => {
+      changes[column.key] = editor.getValue();
+    });
+    const candidate = { ...session.rowData, ...changes };
+
+    let firstInvalid = null;
+    session.editors.forEach(({ column, editor }) => {
+      const error = CellEditor.validate(column, changes[column.key], candidate);
+      editor.setError(error);
+      if (error && !firstInvalid) firstInvalid = editor;
+    });
+    if (firstInvalid) {
+      firstInvalid.focus();
+      return null;
+    }
+
+    this._teardown();
+    return this._commit(session.rowData, changes);
+  }
+
+  /**
+   * Writes validated changes to the DataStore, re-renders the row and the footer and calls `editForm.onSave`.
+   * @param {Object} rowData - The record being edited.
+   * @param {Object} changes - The edited values by column key.
+   * @returns {Object|undefined} The updated record, or undefined when it no longer exists in the store.
+   * @private
+   */
+  _commit(rowData, changes) {
+    const original = { ...rowData };
+    const keyValue = this.grid.store.getKeyFieldValue(
+      this.grid.config.keyField,
+      rowData
+    );
+    const record = this.grid.store.updateRecord(keyValue, changes);
+    if (!record) {
+      // The record was removed while it was edited: nothing was saved
+      this.grid.renderer.updateRow(rowData);
+      return undefined;
+    }
+    this.grid.renderer.updateRow(record);
+    this.grid.renderer.updateFooter(this.grid.getFooterAggregates());
+
+    if (typeof this.grid.config.editForm?.onSave === "function") {
+      this.grid.config.editForm.onSave(record, original);
+    }
+    this.grid._emit("edited", { rowData: record, original });
+    return record;
+  }
+
+  /**
+   * Cancels the active edit and restores the row as it was.
+   */
+  cancel() {
+    const session = this.session;
+    if (!session) return;
+    this._teardown();
+    this.grid.renderer.updateRow(session.rowData);
+  }
+
+  /**
+   * Removes the edit UI that lives outside the row and clears the session.
+   * @private
+   */
+  _teardown() {
+    this.session?.actionsRow?.remove();
+    this.session = null;
+  }
+}
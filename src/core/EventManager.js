@@ -18,23 +18,123 @@ export class EventManager {
      */
     constructor(gridInstance) {
         this.grid = gridInstance;
-        this.container = gridInstance.container;
+        // Listen on the render root (the ShadowRoot in shadow DOM mode), so event targets
+        // are the real grid elements instead of the retargeted host element
+        this.container = gridInstance.renderer.container;
         this.attachEvents();
     }
 
+    /**
+     * Resolves the record of a body row element through the DataStore.
+     * @param {HTMLTableRowElement} rowElement - A body row with a `key` attribute.
+     * @returns {{key: string, rowData: Object|undefined}}
+     * @private
+     */
+    _resolveRow(rowElement) {
+        const key = rowElement.getAttribute('key');
+        return { key, rowData: this.grid.store.getRecordById(key, this.grid.config.keyField) };
+    }
+
+    /**
+     * Adds a delegated listener to the container. Events from detail rows are left to the detail
+     * content (e.g. a nested grid), so that they aren't handled as events of this grid's rows.
+     * @param {string} type - The event type.
+     * @param {Function} handler - Called with the event.
+     * @private
+     */
+    _listen(type, handler) {
+        this.container.addEventListener(type, (event) => {
+            const detailRow = event.target.closest?.('.grid-detail-row');
+            if (detailRow && this.container.contains(detailRow)) return;
+            handler(event);
+        });
+    }
+
+    /**
+     * Navigates to the page typed into the pager's "go to page" input, clamped to the valid range.
+     * @param {HTMLInputElement} input - The go-to-page input.
+     * @private
+     */
+    _goToPageFromInput(input) {
+        const { currentPage, totalPages } = this.grid.pagingState;
+        const requested = parseInt(input.value, 10);
+        if (isNaN(requested)) {
+            input.value = currentPage;
+            return;
+        }
+        const page = Math.min(Math.max(requested, 1), Math.max(totalPages, 1));
+        if (page === currentPage) {
+            input.value = currentPage;
+            return;
+        }
+        this.grid.goToPage(page);
+        this.container.querySelector('.grid-goto-page')?.focus();
+    }
+
     /**
      * Attaches event listeners to the container element for handling grid interactions.
      * 
      * Handles the following click events:
      * - Action menu trigger clicks: Delegates to grid's action menu handler.
      * - Pager button clicks: Navigates to the selected page using the grid's pagination handler.
+     * - Selection checkbox clicks: Toggles the row (Shift selects a range) or, in the header, all rows.
+     * - Group header clicks: Expands or collapses the group.
+     * - Detail expander clicks: Expands or collapses the detail row below the row.
+     * - Body row clicks: Updates the row selection (if enabled) and emits the grid's `cellClick`
+     *   and `rowClick` events with the row data.
      * - Header cell clicks: Handles sorting or filter icon clicks in the grid header.
+     * - Column chooser button clicks: Opens or closes the column chooser.
+     *
+     * With `columnChooser.enabled`, the header context menu opens the column chooser too.
+     * With `columnReorder.enabled`, headers can be dragged onto their siblings to reorder the
+     * columns (see {@link ColumnDragManager}).
+     *
+     * Handles double clicks on body rows: emits `rowDoubleClick` and starts a cell edit when
+     * `editForm.mode` is 'cell', and Arrow keys between row checkboxes (Shift extends the selection).
+     *
+     * With `clipboard.enabled`, mouse drags, Shift+click and Shift+arrows select cell ranges that
+     * Ctrl+C copies and Ctrl+V pastes into (see {@link ClipboardManager}); Ctrl+Z undoes a paste.
+     *
+     * Keys pressed on a focused header or body cell navigate the table, sort, open the filter
+     * menu or edit (see {@link KeyboardNavigator}).
+     *
+     * The pager's page-size selector changes the page size and its "go to page" input navigates on
+     * Enter or change (out-of-range numbers are clamped to the first/last page).
+     *
+     * Typing in the toolbar's quick-search box runs the search after `quickSearch.debounce` ms;
+     * Escape clears it.
+     *
+     * Events from inside detail rows are ignored (see {@link EventManager#_listen}).
      *
      * @returns {void}
      */
     attachEvents() {
-        this.container.addEventListener('click', (event) => {
-            
+        this._listen('click', (event) => {
+
+            // --- Selection Checkbox Logic ---
+            if (event.target.classList.contains('row-select')) {
+                const rowElement = event.target.closest('tr[key]');
+                if (rowElement) {
+                    this.grid.handleRowSelection(rowElement.getAttribute('key'), {
+                        shiftKey: event.shiftKey,
+                        toggle: true,
+                    });
+                }
+                return;
+            }
+            if (event.target.classList.contains('select-all')) {
+                this.grid.toggleSelectAll(event.target.checked);
+                return;
+            }
+
+            // --- Detail Expander Click Logic ---
+            const detailToggle = event.target.closest('.grid-detail-toggle');
+            if (detailToggle) {
+                const rowElement = detailToggle.closest('tr[key]');
+                if (rowElement) this.grid.toggleDetail(rowElement.getAttribute('key'));
+                return;
+            }
+
             // --- Action Menu Trigger Click Logic ---
             const actionTrigger = event.target.closest('.action-trigger');
             if (actionTrigger) {
@@ -46,6 +146,22 @@ export class EventManager {
                 return;
             }
 
+            // --- Column Chooser Button Logic ---
+            const chooserButton = event.target.closest('.grid-column-chooser-button');
+            if (chooserButton) {
+                event.stopPropagation(); // Don't let the document click close the new popup
+                this.grid.toggleColumnChooser(chooserButton);
+                return;
+            }
+
+            // --- Views Menu Button Logic ---
+            const viewsButton = event.target.closest('.grid-views-button');
+            if (viewsButton && this.grid.views) {
+                event.stopPropagation(); // Don't let the document click close the new menu
+                this.grid.views.toggleMenu(viewsButton);
+                return;
+            }
+
             // --- Pager Click Logic ---
             const pagerButton = event.target.closest('.grid-pager button');
             if (pagerButton && !pagerButton.disabled) {
@@ -54,18 +170,246 @@ export class EventManager {
                 return; // Stop processing
             }
 
+            // --- Group Header Click Logic ---
+            const groupRow = event.target.closest('tr.grid-group-row');
+            if (groupRow) {
+                this.grid.toggleGroup(groupRow.dataset.groupId);
+                return;
+            }
+
+            // --- Row / Cell Click Logic ---
+            const bodyCell = event.target.closest('td');
+            const bodyRow = bodyCell?.closest('tr[key]');
+            if (bodyRow) {
+                const { key, rowData } = this._resolveRow(bodyRow);
+                if (!rowData) return;
+
+                if (this.grid.selection && this.grid.config.selection.selectOnRowClick) {
+                    this.grid.handleRowSelection(key, {
+                        shiftKey: event.shiftKey,
+                        ctrlKey: event.ctrlKey || event.metaKey,
+                    });
+                }
+
+                const column = this.grid.renderer.getColumnForCell(bodyCell);
+                if (column) {
+                    this.grid._emit('cellClick', {
+                        rowData, key, column,
+                        value: rowData[column.key],
+                        cell: bodyCell,
+                        originalEvent: event,
+                    });
+                }
+                this.grid._emit('rowClick', { rowData, key, row: bodyRow, originalEvent: event });
+                return;
+            }
+
             // --- Header Click Logic ---
             const headerCell = event.target.closest('th');
             if (!headerCell) return;
 
             const key = headerCell.dataset.key;
+            if (!key) return; // Leading headers (action, selection) don't sort
 
             if (event.target.classList.contains('filter-icon')) {
                 event.stopPropagation();
                 this.grid.handleFilterIconClick(key, event.target);
             } else {
-                this.grid.handleHeaderClick(key);
+                this.grid.handleHeaderClick(key, { additive: event.shiftKey });
             }
         });
+
+        // The header context menu (right click, or the context menu key) opens the column chooser
+        this._listen('contextmenu', (event) => {
+            const chooser = this.grid.config.columnChooser;
+            if (!chooser?.enabled || chooser.headerMenu === false) return;
+            const headerCell = event.target.closest('th');
+            if (!headerCell || !this.grid.renderer.table?.contains(headerCell)) return;
+
+            event.preventDefault();
+            event.stopPropagation();
+            this.grid.toggleColumnChooser(headerCell);
+        });
+
+        // --- Column Drag & Drop Logic (columnReorder.enabled) ---
+        const getHeaderCell = (event) => {
+            const th = event.target.closest?.('th[data-key]');
+            return th && this.grid.renderer.table?.tHead?.contains(th) ? th : null;
+        };
+        this._listen('dragstart', (event) => {
+            const th = getHeaderCell(event);
+            if (th && this.grid.columnDrag.isEnabled()) this.grid.columnDrag.start(th, event);
+        });
+        this._listen('dragover', (event) => {
+            this.grid.columnDrag.over(getHeaderCell(event), event);
+        });
+        this._listen('drop', (event) => {
+            if (this.grid.columnDrag.drag) this.grid.columnDrag.drop(event);
+        });
+        this._listen('dragend', () => {
+            this.grid.columnDrag.end();
+        });
+
+        this._listen('dblclick', (event) => {
+            const cell = event.target.closest('td');
+            const rowElement = cell?.closest('tr[key]');
+            if (!rowElement) return;
+
+            const { key, rowData } = this._resolveRow(rowElement);
+            if (!rowData) return;
+
+            this.grid._emit('rowDoubleClick', { rowData, key, row: rowElement, originalEvent: event });
+
+            // --- Cell Edit Logic (editForm.mode === 'cell') ---
+            if (this.grid.config.editForm?.mode !== 'cell') return;
+
+            const column = this.grid.renderer.getColumnForCell(cell);
+            if (column) {
+                this.grid.startEdit(rowData, column.key);
+            }
+        });
+
+        // --- Keyboard Range Selection Logic ---
+        // Arrow keys move between row checkboxes; with Shift the selection range follows.
+        this._listen('keydown', (event) => {
+            if (!event.target.classList?.contains('row-select')) return;
+            if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') return;
+
+            const rows = Array.from(event.target.closest('tbody').querySelectorAll(':scope > tr[key]'));
+            const index = rows.indexOf(event.target.closest('tr[key]'));
+            const nextRow = rows[index + (event.key === 'ArrowDown' ? 1 : -1)];
+            if (!nextRow) return;
+
+            event.preventDefault();
+            nextRow.querySelector('.row-select')?.focus();
+            if (event.shiftKey) {
+                this.grid.handleRowSelection(nextRow.getAttribute('key'), { shiftKey: true });
+            }
+        });
+
+        // --- Cell Range & Clipboard Logic ---
+        // Dragging over body cells selects a range; Shift+click extends it from the anchor.
+        this._listen('mousedown', (event) => {
+            const clipboard = this.grid.clipboard;
+            if (!clipboard.isEnabled() || event.button !== 0) return;
+            if (event.target.closest('input, select, textarea, button, a, .action-trigger, .cell-editor')) return;
+
+            const cell = event.target.closest('td');
+            const position = cell && clipboard.getCellPosition(cell);
+            if (!position) return;
+
+            event.preventDefault(); // No text selection while dragging over cells
+            if (event.shiftKey && clipboard.range) {
+                clipboard.setRange(clipboard.range.anchor, position);
+            } else {
+                clipboard.setRange(position);
+            }
+            clipboard.focusActiveCell();
+
+            clipboard.dragging = true;
+            document.addEventListener('mouseup', () => { clipboard.dragging = false; }, { once: true });
+        });
+
+        this._listen('mouseover', (event) => {
+            const clipboard = this.grid.clipboard;
+            if (!clipboard.dragging || !clipboard.range) return;
+
+            const cell = event.target.closest('td');
+            const position = cell && clipboard.getCellPosition(cell);
+            const { anchor, focus } = clipboard.range;
+            if (position && (position.row !== focus.row || position.col !== focus.col)) {
+                clipboard.setRange(anchor, position);
+                clipboard.focusActiveCell();
+            }
+        });
+
+        // Arrows move the active cell (Shift extends the range), Ctrl+A selects all cells,
+        // Ctrl+Z undoes the last paste and Escape clears the range.
+        // Arrow keys are handled by the keyboard navigation below, which moves the range too
+        this._listen('keydown', (event) => {
+            const clipboard = this.grid.clipboard;
+            if (!clipboard.isEnabled() || !clipboard.range) return;
+            if (!event.target.classList?.contains('grid-cell-active')) return;
+
+            const ctrlKey = event.ctrlKey || event.metaKey;
+            if (ctrlKey && event.key.toLowerCase() === 'a') {
+                event.preventDefault();
+                clipboard.setRange({ row: 0, col: 0 }, { row: Infinity, col: Infinity });
+                clipboard.focusActiveCell();
+            } else if (ctrlKey && event.key.toLowerCase() === 'z') {
+                event.preventDefault();
+                this.grid.undo();
+            } else if (event.key === 'Escape') {
+                clipboard.clear();
+            }
+        });
+
+        // Copying and pasting from the active cell uses the range; inputs keep the native behavior
+        this._listen('copy', (event) => {
+            const clipboard = this.grid.clipboard;
+            if (!clipboard.isEnabled() || !clipboard.range) return;
+            if (!event.target.classList?.contains('grid-cell-active')) return;
+            clipboard.copy(event);
+        });
+
+        this._listen('paste', (event) => {
+            const clipboard = this.grid.clipboard;
+            if (!clipboard.isEnabled() || !clipboard.range) return;
+            if (!event.target.classList?.contains('grid-cell-active')) return;
+            event.preventDefault();
+            clipboard.paste(event.clipboardData?.getData('text/plain'));
+        });
+
+        // --- Keyboard Navigation Logic (WAI-ARIA grid) ---
+        // The focused cell becomes the table's single tab stop, also when focused by a click
+        this._listen('focusin', (event) => {
+            const cell = event.target.closest?.('th[aria-colindex], td[aria-colindex]');
+            if (cell && this.grid.renderer.table?.contains(cell)) {
+                this.grid.renderer.setActiveCell(cell, false);
+            }
+        });
+
+        this._listen('keydown', (event) => {
+            if (event.defaultPrevented) return;
+            this.grid.keyboard.handleKeyDown(event);
+        });
+
+        // --- Pager Logic (page size and go-to-page) ---
+        this._listen('change', (event) => {
+            const target = event.target;
+            if (target.classList?.contains('grid-page-size')) {
+                this.grid.setPageSize(target.value);
+                this.container.querySelector('.grid-page-size')?.focus();
+            } else if (target.classList?.contains('grid-goto-page')) {
+                this._goToPageFromInput(target);
+            }
+        });
+
+        this._listen('keydown', (event) => {
+            if (!event.target.classList?.contains('grid-goto-page')) return;
+            if (event.key !== 'Enter') return;
+            event.preventDefault();
+            this._goToPageFromInput(event.target);
+        });
+
+        // --- Quick Search Logic ---
+        this._listen('input', (event) => {
+            if (!event.target.classList?.contains('grid-quick-search')) return;
+
+            clearTimeout(this._searchTimer);
+            const term = event.target.value;
+            this._searchTimer = setTimeout(() => {
+                this.grid.quickSearch(term);
+            }, this.grid.config.quickSearch?.debounce ?? 300);
+        });
+
+        this._listen('keydown', (event) => {
+            if (!event.target.classList?.contains('grid-quick-search')) return;
+            if (event.key !== 'Escape') return;
+
+            clearTimeout(this._searchTimer);
+            event.target.value = '';
+            this.grid.quickSearch('');
+        });
     }
 }
\ No newline at end of file
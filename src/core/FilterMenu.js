@@ -1,8 +1,14 @@
 import { MultiSelect } from './ui/MultiSelect.js';
+import { ConditionFilter } from './ui/ConditionFilter.js';
 
 /**
  * A popup filter menu component that allows users to select multiple items and apply the selection.
- * 
+ * For number, date and text filters it shows a {@link ConditionFilter} form instead of the checklist.
+ *
+ * The checklist has a search box, a "(Select all)" toggle and, for `{ value, count }` items, the number
+ * of matching rows next to each value. "Clear filter" removes the column's filter. The menu closes on
+ * Escape or an outside click, and moves back into the viewport when it would overflow it.
+ *
  * @class
  * @example
  * const menu = new FilterMenu({
@@ -11,15 +17,22 @@ import { MultiSelect } from './ui/MultiSelect.js';
  *   anchor: document.getElementById('filter-btn'),
  *   onApply: (selected) => { console.log(selected); }
  * });
- * 
+ *
  * @param {Object} options - Configuration options for the filter menu.
- * @param {Array} options.values - The list of selectable items.
- * @param {Array} options.selection - The initially selected items.
+ * @param {Array} options.values - The list of selectable items (values or `{ value, label, count }`).
+ * @param {Array|Object} options.selection - The initially selected items, or the current condition filter.
+ * @param {string} [options.filterType='list'] - 'list' (value checklist), 'number', 'date' or 'text' (condition filter).
  * @param {HTMLElement} options.anchor - The DOM element to anchor the menu to.
- * @param {Function} options.onApply - Callback invoked with the selected items when the user clicks "Apply".
+ * @param {Function} options.onApply - Callback invoked with the selected items (or the condition filter,
+ * null when no condition is complete) when the user clicks "Apply"; with an empty selection (or null)
+ * when the user clicks "Clear filter".
+ * @param {Object} [options.labels] - Button texts: `apply`, `clear`, plus the MultiSelect labels
+ * (`search`, `selectAll`, `blanks`).
+ * @param {Function} [options.returnFocus] - Moves the focus back when the menu closes with the focus
+ * inside it (Escape, "Apply", "Clear filter"); by default the anchor is focused.
  */
 export class FilterMenu {
-    
+
     /**
      * Creates a new FilterMenu instance and attaches it to the DOM.
      * @param {Object} options - Options for the filter menu (values, selection, anchor, onApply).
@@ -27,53 +40,125 @@ export class FilterMenu {
     constructor(options) {
         this.onApply = options.onApply;
         this.anchorElement = options.anchor; // For positioning
-        
+        this.returnFocus = options.returnFocus;
+        this.labels = { apply: 'Apply', clear: 'Clear filter', ...options.labels };
+
         this.element = this._createMenuElement(options);
-        
+
         document.body.appendChild(this.element);
-        
+
         this._positionMenu();
-        
+
+        this._onKeyDown = (event) => {
+            if (event.key === 'Escape') {
+                // Escape in a search box with text clears the search (see MultiSelect) instead
+                if (event.target.classList?.contains('multiselect-search') && event.target.value) return;
+                event.stopPropagation();
+                this.close(true);
+            }
+        };
+        document.addEventListener('keydown', this._onKeyDown, true);
+
+        this._onDocumentClick = () => this.close();
         setTimeout(() => {
-            document.addEventListener("click", this.close.bind(this), { once: true });
+            document.addEventListener("click", this._onDocumentClick, { once: true });
         }, 0);
+
+        // Start typing right away: focus the search box or the first condition
+        this.element.querySelector('.multiselect-search, .condition-operator')?.focus();
     }
 
     /**
-     * Creates a filter menu DOM element with multi-select options and an apply button.
+     * Creates a filter menu DOM element with multi-select options (or a condition form) and an apply button.
      *
      * @param {Object} options - Configuration options for the menu.
      * @param {Array} options.values - The list of selectable items for the MultiSelect component.
-     * @param {Array} options.selection - The initially selected items.
-     * @returns {HTMLDivElement} The constructed menu element containing the MultiSelect and apply button.
+     * @param {Array|Object} options.selection - The initially selected items, or the current condition filter.
+     * @param {string} [options.filterType='list'] - The kind of filter to show.
+     * @returns {HTMLDivElement} The constructed menu element containing the filter and apply button.
      */
     _createMenuElement(options) {
         const menu = document.createElement('div');
         menu.className = 'filter-menu';
+        menu.setAttribute('role', 'dialog');
+        menu.setAttribute('aria-label', 'Filter');
         // Stop clicks inside the menu from closing it
         menu.addEventListener('click', e => e.stopPropagation());
 
-        const multiSelect = new MultiSelect({
-            items: options.values,
-            initialSelection: options.selection
+        const filterType = options.filterType || 'list';
+        let content;
+        let getResult;
+        let emptyResult;
+        if (filterType === 'list') {
+            const multiSelect = new MultiSelect({
+                items: options.values,
+                initialSelection: Array.isArray(options.selection) ? options.selection : []
+            }, {
+                style: { minWidth: '150px', maxHeight: '200px', padding: '0 8px', margin: '0', listStyleType: 'none' },
+                searchable: true,
+                selectAll: true,
+                labels: options.labels
+            });
+            content = multiSelect.element;
+            content.style.padding = '6px 0';
+            getResult = () => multiSelect.getSelection();
+            emptyResult = [];
+        } else {
+            const conditionFilter = new ConditionFilter({
+                type: filterType,
+                filter: Array.isArray(options.selection) ? null : options.selection
+            });
+            content = conditionFilter.element;
+            getResult = () => (conditionFilter.validate() ? conditionFilter.getFilter() : undefined);
+            emptyResult = null;
+        }
+
+        // Enter in a text field applies the filter
+        content.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && event.target.tagName === 'INPUT' && event.target.type !== 'checkbox') {
+                event.preventDefault();
+                applyButton.click();
+            }
         });
 
+        const buttons = document.createElement('div');
+        buttons.className = 'filter-menu-buttons';
+        Object.assign(buttons.style, { display: 'flex', justifyContent: 'space-between', gap: '6px', padding: '4px 8px 6px' });
+
         const applyButton = document.createElement('button');
-        applyButton.textContent = 'Apply';
+        applyButton.type = 'button';
+        applyButton.className = 'filter-menu-apply';
+        applyButton.textContent = this.labels.apply;
         applyButton.addEventListener('click', () => {
-            this.onApply(multiSelect.getSelection());
+            const result = getResult();
+            if (result === undefined) return; // Invalid input, keep the menu open
+            this.onApply(result);
             this.close();
         });
 
-        menu.appendChild(multiSelect.element);
-        menu.appendChild(applyButton);
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.className = 'filter-menu-clear';
+        clearButton.textContent = this.labels.clear;
+        clearButton.addEventListener('click', () => {
+            this.onApply(emptyResult);
+            this.close();
+        });
+
+        buttons.appendChild(applyButton);
+        buttons.appendChild(clearButton);
+
+        menu.appendChild(content);
+        menu.appendChild(buttons);
         return menu;
     }
 
 
-    
+
     /**
-     * Positions the filter menu relative to the anchor element.
+     * Positions the filter menu relative to the anchor element, keeping it inside the viewport:
+     * it shifts left when it would overflow on the right, and opens above the anchor when there
+     * is no room below.
      * @private
      */
     _positionMenu() {
@@ -85,16 +170,41 @@ export class FilterMenu {
         this.element.style.border = '1px solid #ccc';
         this.element.style.backgroundColor = 'white';
         this.element.style.zIndex = '999';
+
+        const menuRect = this.element.getBoundingClientRect();
+        const margin = 4;
+        if (menuRect.right > window.innerWidth - margin) {
+            const left = Math.max(margin, window.innerWidth - menuRect.width - margin);
+            this.element.style.left = `${left + window.scrollX}px`;
+        }
+        if (menuRect.bottom > window.innerHeight - margin) {
+            const top = rect.top - menuRect.height >= margin
+                ? rect.top - menuRect.height
+                : Math.max(margin, window.innerHeight - menuRect.height - margin);
+            this.element.style.top = `${top + window.scrollY}px`;
+        }
     }
 
     /**
      * Closes and removes the filter menu from the DOM.
+     * @param {boolean} [restoreFocus] - Moves the focus back to the grid (`returnFocus`, or else
+     * the anchor). By default only when the focus was inside the menu.
      */
-    close() {
+    close(restoreFocus) {
+        document.removeEventListener('keydown', this._onKeyDown, true);
+        document.removeEventListener('click', this._onDocumentClick);
+        const hadFocus = !!this.element?.contains(document.activeElement);
         // Check if the element still exists before trying to remove it
         if (this.element) {
             this.element.remove();
             this.element = null; // Clean up reference
         }
+        if (restoreFocus ?? hadFocus) {
+            if (typeof this.returnFocus === 'function') {
+                this.returnFocus();
+            } else {
+                this.anchorElement?.focus?.();
+            }
+        }
     }
-}
\ No newline at end of file
+}
@@ -3,8 +3,28 @@ import { Renderer } from "./Renderer.js";
 import { EventManager } from "./EventManager.js";
 import { FilterMenu } from "./FilterMenu.js";
 import { Dropdown } from "./ui/Dropdown.js";
+import { ColumnChooser } from "./ui/ColumnChooser.js";
 import { ExcelExporter } from "./ui/ExcelExporter.js";
-import { formatDate } from "./utils/DateFunctions.js";
+import { CsvExporter } from "./ui/CsvExporter.js";
+import { ServerDataSource } from "./ServerDataSource.js";
+import { StateStorage } from "./StateStorage.js";
+import { EditManager } from "./EditManager.js";
+import { ClipboardManager } from "./ClipboardManager.js";
+import { KeyboardNavigator } from "./KeyboardNavigator.js";
+import { ColumnDragManager } from "./ColumnDragManager.js";
+import { ViewManager } from "./ViewManager.js";
+import { DetailManager } from "./DetailManager.js";
+import { EventEmitter } from "./utils/EventEmitter.js";
+import { SelectionModel } from "./SelectionModel.js";
+import {
+  formatDate,
+  parseDateValue,
+  toExcelDateFormat,
+} from "./utils/DateFunctions.js";
+import { computeAggregate } from "./utils/Aggregates.js";
+import { parseNumberValue } from "./utils/Numbers.js";
+import { parseCSV, toCSV } from "./utils/Csv.js";
+import { findColumnPath, getDatatype, sortByIndex } from "./utils/Columns.js";
 
 /**
  * Represents a dynamic, interactive data grid component.
@@ -35,25 +55,185 @@ import { formatDate } from "./utils/DateFunctions.js";
  * @param {Object} [config.paging] - Pagination configuration.
  * @param {boolean} [config.paging.enabled=true] - Whether pagination is enabled.
  * @param {number} [config.paging.pageSize=10] - Number of records per page.
+ * @param {Array<number>} [config.paging.pageSizes=[10, 25, 50, 100]] - Choices of the page-size selector.
+ * @param {number} [config.paging.maxPageLinks=7] - Number of numbered page links shown around the current page.
+ * @param {boolean} [config.paging.showFirstLast=true] - Shows the first/last page buttons.
+ * @param {boolean} [config.paging.showPageSizes=true] - Shows the page-size selector.
+ * @param {boolean} [config.paging.showGoTo=true] - Shows the "go to page" input.
+ * @param {boolean} [config.paging.showSummary=true] - Shows the "Showing 21–30 of 412 records" summary.
+ * @param {Object} [config.paging.labels] - Texts: `first`, `previous`, `next`, `last`, `page`, `pageSize`, `goTo`,
+ * `summary` (with `{from}`, `{to}`, `{total}`, `{page}`, `{pages}` placeholders) and `empty`.
  * @param {Object} [config.dataSource] - Data source configuration.
- * @param {string} [config.dataSource.mode] - Data mode: 'url' or 'json'.
- * @param {string|Array} [config.dataSource.source] - URL string or JSON data array.
+ * @param {string} [config.dataSource.mode] - Data mode: 'url', 'json', 'csv' or 'server'.
+ * @param {string|Array} [config.dataSource.source] - URL string, JSON data array or CSV text.
+ * @param {Object} [config.dataSource.csv] - CSV mode: options of {@link Grid#loadFromCSV}.
+ * @param {Function} [config.dataSource.buildRequest] - Server mode: maps the query `{ page, pageSize, sortState, filterState }` to `{ url, options }`.
+ * @param {Function} [config.dataSource.parseResponse] - Server mode: maps the response JSON to `{ rows, totalRecords }`.
+ * @param {Function} [config.dataSource.fetch] - Server mode: `fetch` compatible function, e.g. a local mock.
+ * @param {Function} [config.dataSource.getUniqueValues] - Server mode: `(key, { filterState, search }) => Array|Promise<Array>`
+ * providing filter menu values (plain values or `{ value, count }`); `filterState` holds the other columns' filters.
  * @param {string} [config.keyField] - Unique key field for identifying records.
- * @param {Object} [config.sorting] - Initial sorting configuration.
+ * @param {Object|Array<Object>} [config.sorting] - Initial sorting: `{ key, order }` or an array of them for a multi-column sort (first = highest priority).
  * @param {Object} [config.style] - Custom style configuration for the grid container.
  * @param {Object} [config.actionColumn] - Configuration for row action menus.
+ * @param {Object} [config.editForm] - Editing configuration.
+ * @param {string} [config.editForm.mode='inline'] - 'inline' edits the whole row, 'cell' edits one cell (double-click),
+ * 'popup' opens a modal form generated from the columns.
+ * @param {string} [config.editForm.title] - Title of the popup form.
+ * @param {Function} [config.editForm.onSave] - Called with `(updatedRecord, originalRecord)` after a successful save.
+ * Columns control their editor with `editable` (boolean or `(rowData) => boolean`, inherited by group children),
+ * `editor` ('text', 'number', 'date', 'select', 'checkbox'; defaults from `datatype`),
+ * `editorOptions` (select choices), `required` and `validate(value, rowData)` (returns an error message or false when invalid).
+ * Columns choose their filter with `filter` ('list', 'number', 'date', 'text'); by default number and date
+ * columns (`datatype`) get condition filters and all others a value checklist.
+ * Columns control their sorting with `datatype` ('number', 'date', 'boolean', 'string'), `naturalSort`
+ * ("Unit 2" before "Unit 10"), `sortValue(row)` (the value to sort by) or `sortComparator(a, b, rowA, rowB)`.
  * @param {boolean} [config.renderInShadowDom=false] - Whether to render the grid inside a Shadow DOM.
+ * @param {Object} [config.selection] - Row selection configuration.
+ * @param {string} [config.selection.mode] - 'single' or 'multi'. Selection is disabled when not set.
+ * @param {boolean} [config.selection.checkboxColumn=false] - Adds a checkbox column (with a select-all header checkbox in multi mode).
+ * @param {string} [config.selection.selectAllScope='page'] - What the header checkbox selects: 'page' or 'filtered' (all rows passing the filters).
+ * @param {boolean} [config.selection.selectOnRowClick=true] - Clicking a row selects it (Ctrl/Cmd toggles, Shift selects a range).
+ * @param {boolean} [config.selection.freeze=false] - Freezes the checkbox column.
+ * @param {Object<string, Function>} [config.on] - Event handlers registered before the initial load, e.g. `{ dataLoaded: fn }`.
  * @param {string} [config.dateFormat='yyyy-MM-dd HH:mm'] - Format string for date values (e.g., 'yyyy-MM-dd HH:mm').
  * @param {Array<string>} [config.customCSS=[]] - An array of URLs for external stylesheets to be applied. // NEW
+ * @param {Object} [config.virtualScroll] - Virtualized body rendering for large row counts.
+ * @param {boolean} [config.virtualScroll.enabled=false] - Only materialize the rows in the viewport plus a buffer.
+ * @param {number} [config.virtualScroll.rowHeight=33] - Estimated row height in pixels (corrected after the first render).
+ * @param {number} [config.virtualScroll.buffer=10] - Number of extra rows rendered above and below the viewport.
+ * @param {number|string} [config.virtualScroll.height] - Height of the scroll container, if not set by CSS.
+ * @param {Object} [config.grouping] - Row grouping.
+ * @param {string|Array<string>} [config.grouping.by] - Key(s) to group by, outermost first.
+ * @param {boolean} [config.grouping.collapsed=false] - Whether groups start collapsed.
+ * @param {string} [config.grouping.pageBy='rows'] - Page by 'rows' or by top-level 'groups' (client modes only).
+ * @param {boolean} [config.grouping.showFooter=true] - Shows group footers with the column aggregates.
+ * Columns with `aggregate` ('sum', 'avg', 'min', 'max', 'count', 'distinct' or `(values, rows, column) => value`)
+ * show it in the group footers and the table footer, formatted by `aggregateFormatter(value, aggregate, column)`
+ * when given (dates use `dateFormat`).
+ * @param {Object} [config.footer] - Table footer (`<tfoot>`) with the column aggregates over all filtered rows.
+ * @param {boolean} [config.footer.enabled=true] - Shows the footer when a column has an `aggregate`.
+ * @param {boolean} [config.footer.sticky=true] - Keeps the footer at the bottom of the scroll area.
+ * In server mode the footer shows the `aggregates` returned by `parseResponse`, falling back to the loaded page.
+ * @param {Object} [config.filterMenu] - Column filter menu options.
+ * @param {boolean} [config.filterMenu.cascade=false] - Only list values that match rows given the other columns' filters.
+ * @param {Object} [config.filterMenu.labels] - Texts: `apply`, `clear`, `search`, `selectAll`, `blanks`.
+ * @param {Object} [config.quickSearch] - Toolbar search box filtering the rows across columns.
+ * @param {boolean} [config.quickSearch.enabled=false] - Shows the search box.
+ * @param {Array<string>} [config.quickSearch.columns] - Keys of the searched columns (default: all).
+ * @param {string} [config.quickSearch.placeholder='Search...'] - Placeholder of the search box.
+ * @param {number} [config.quickSearch.debounce=300] - Delay in ms after typing before the search runs.
+ * @param {boolean} [config.quickSearch.highlight=true] - Highlights the matches in the cells.
+ * @param {Object} [config.resizableColumns] - Resizing columns by dragging the right edge of their headers (mouse,
+ * pen or touch). Resizing a group header spreads the change over its columns; double-clicking the edge fits the
+ * columns to the content of the current page. The widths are stored in the column definitions.
+ * @param {boolean} [config.resizableColumns.enabled=false] - Adds the resize handles.
+ * @param {number} [config.resizableColumns.minWidth=50] - Minimum column width in pixels.
+ * @param {number} [config.resizableColumns.maxWidth=500] - Maximum column width in pixels.
+ * @param {Object} [config.columnReorder] - Reordering columns by dragging their headers (see {@link ColumnDragManager}).
+ * Columns with `reorderable: false` cannot be dragged.
+ * @param {boolean} [config.columnReorder.enabled=false] - Makes the headers draggable.
+ * @param {boolean} [config.columnReorder.allowFreezeChange=false] - Allows dropping columns across the frozen zone
+ * boundary; the column then becomes frozen or unfrozen.
+ * @param {Object} [config.columnChooser] - Popup with a checkbox per column to show or hide it (see {@link ColumnChooser}).
+ * Columns with `hidden: true` are not shown; `hideable: false` keeps a column from being unchecked.
+ * @param {boolean} [config.columnChooser.enabled=false] - Shows a toolbar button opening the column chooser.
+ * @param {boolean} [config.columnChooser.headerMenu=true] - Also opens it from the header context menu (right click).
+ * @param {string} [config.columnChooser.label='Columns'] - Text of the toolbar button and title of the popup.
+ * @param {Object} [config.views] - Named views: saved sort, filters, search, grouping and column layout, switched
+ * from a toolbar menu and shared as JSON files or links (see {@link ViewManager}).
+ * @param {boolean} [config.views.enabled=false] - Shows the views menu button in the toolbar.
+ * @param {string} [config.views.label='Views'] - Text of the button when no view is active.
+ * @param {Array<Object>} [config.views.views=[]] - Initial views `{ name, state }`, used when none are saved in the `stateStorage`.
+ * @param {string} [config.views.urlParam='view'] - Name of the URL fragment parameter of view links.
+ * @param {Object} [config.views.labels] - Texts of the menu: `save`, `delete`, `copyLink`, `export`, `import`,
+ * `namePrompt` and `linkPrompt`.
+ * @param {Object} [config.stateStorage] - Saves the state (see {@link Grid#getState}) whenever it changes and
+ * restores it when the grid is created. Passing this section enables it.
+ * @param {string} [config.stateStorage.id] - Id of the grid in the storage (default: the container's id).
+ * @param {string|Object} [config.stateStorage.storage='local'] - 'local', 'session', or a custom storage with
+ * `getItem`, `setItem` and `removeItem` (see {@link StateStorage}).
+ * @param {number} [config.stateStorage.version=1] - Version of the saved state; increase it when the columns change.
+ * @param {Function} [config.stateStorage.migrate] - `(state, savedVersion) => state|null` upgrades a state saved
+ * with another version; states of other versions are discarded without it.
+ * @param {Object} [config.detail] - Master-detail rows: an expander column whose toggle shows a full-width detail
+ * row below the row (see {@link DetailManager}). Expanded rows are kept by `keyField` across sorting and paging.
+ * Not available with `virtualScroll` (the section is then ignored).
+ * @param {Function} [config.detail.renderer] - `(rowData, { grid, container }) => content` creates the detail: an
+ * HTML string, a DOM node (e.g. the container of a nested Grid) or a promise of either for lazy loading. Enables the
+ * expander column. Called once per row; {@link Grid#refreshDetail} calls it again.
+ * @param {Function} [config.detail.isExpandable] - `(rowData) => boolean`; rows for which it returns false get no toggle.
+ * @param {boolean} [config.detail.single=false] - Expanding a row collapses the others.
+ * @param {string} [config.detail.width='32px'] - Width of the expander column.
+ * @param {boolean} [config.detail.freeze=false] - Freezes the expander column.
+ * @param {Object} [config.detail.labels] - Texts: `column`, `expand`, `collapse` (accessible names), `loading` and
+ * `error` (shown while a promise is pending and when it fails).
+ * @param {Object} [config.clipboard] - Cell range selection and clipboard (see {@link ClipboardManager}).
+ * @param {boolean} [config.clipboard.enabled=false] - Enables selecting cell ranges, copying and pasting them.
+ * @param {number} [config.clipboard.undoLimit=20] - Number of pastes that can be undone with Ctrl+Z.
  * * @property {HTMLElement} container - The container element for the grid.
  * @property {Object} config - The configuration object for the grid.
- * @property {Object} sortState - The current sorting state.
- * @property {Object} filterState - The current filter state.
+ * @property {Array<{key: string, order: string}>} sortState - The current sort keys, highest priority first.
+ * @property {string} searchTerm - The current quick-search term.
+ * @property {Object} filterState - The current filter state: per column key, an array of accepted values or a
+ * condition filter `{ type, logic, conditions }`.
  * @property {Object} pagingState - The current pagination state.
  * @property {DataStore} store - The data store instance managing grid data.
  * @property {Renderer} renderer - The renderer instance responsible for DOM updates.
  * @property {EventManager} eventManager - The event manager for grid events.
+ * @property {KeyboardNavigator} keyboard - The keyboard navigation of the table (WAI-ARIA grid pattern).
  * @property {FilterMenu|null} activeFilterMenu - The currently open filter menu, if any.
+ * @property {ColumnChooser|null} activeColumnChooser - The currently open column chooser, if any.
+ * @property {StateStorage|null} stateStorage - The storage of the saved state, when `stateStorage` is enabled.
+ * @property {ViewManager|null} views - The named views, when `views` is enabled.
+ * @property {DetailManager} details - The expanded detail rows (see `config.detail`).
+ *
+ * @fires Grid#beforeSort - Cancellable. `{ key, order, sortState }` before the data is sorted; `sortState` is the
+ * requested sort and `key`/`order` its primary (or the clicked) column.
+ * @fires Grid#sorted - `{ key, order, sortState }` after the data was sorted.
+ * @fires Grid#beforeFilter - Cancellable. `{ key, selection }` before a column filter changes.
+ * @fires Grid#filterChanged - `{ key, selection, filterState }` after a column filter changed.
+ * @fires Grid#searchChanged - `{ term }` after the quick-search term changed.
+ * @fires Grid#beforePageChange - Cancellable. `{ page, previousPage }` before navigating to another page.
+ * @fires Grid#pageChanged - `{ page, previousPage }` after navigating to another page.
+ * @fires Grid#pageSizeChanged - `{ pageSize, previousPageSize }` after the page size changed.
+ * @fires Grid#dataLoaded - `{ data, totalRecords }` after data was loaded from the data source.
+ * @fires Grid#loadError - `{ error }` when loading data failed; `{ error, key }` when loading the values of a
+ * column's filter menu failed.
+ * @fires Grid#rowClick - `{ rowData, key, row, originalEvent }` when a body row is clicked.
+ * @fires Grid#cellClick - `{ rowData, key, column, value, cell, originalEvent }` when a body cell is clicked.
+ * @fires Grid#rowDoubleClick - `{ rowData, key, row, originalEvent }` when a body row is double-clicked.
+ * @fires Grid#beforeEdit - Cancellable. `{ rowData, columnKey, mode }` before an edit starts.
+ * @fires Grid#edited - `{ rowData, original }` after an edit was saved.
+ * @fires Grid#rowAdded - `{ rowData }`, Grid#rowUpdated - `{ rowData, patch }`, Grid#rowRemoved - `{ rowData }`.
+ * @fires Grid#selectionChanged - `{ selectedKeys, selectedRows, added, removed }` when the row selection changes.
+ * @fires Grid#groupToggled - `{ groupId, expanded }` after a group was expanded or collapsed.
+ * @fires Grid#groupingChanged - `{ groupBy }` after the grouping keys changed.
+ * @fires Grid#detailToggled - `{ key, rowData, expanded }` after the detail of a row was expanded or collapsed.
+ * @fires Grid#rendered - `{ data }` after the grid was rendered, with the rows currently shown.
+ * @fires Grid#cellRangeChanged - `{ range }` when the selected cell range changes (null when cleared).
+ * @fires Grid#copied - `{ range, text, html }` after the cell range was copied.
+ * @fires Grid#beforePaste - Cancellable. `{ updates, errors, text }` before pasted values are written.
+ * @fires Grid#pasted - `{ changes, errors }` after a paste; `errors` lists the skipped read-only or invalid cells.
+ * @fires Grid#pasteUndone - `{ rows }` after a paste was undone.
+ * @fires Grid#beforeColumnMove - Cancellable. `{ key, from, to, parentKey }` before a column is moved among its
+ * siblings (by {@link Grid#moveColumn} or by dragging its header).
+ * @fires Grid#columnsChanged - `{ action, key, columns }` after columns were shown ('show'), hidden ('hide'),
+ * moved ('move', with `from`, `to` and `parentKey`) or replaced ('set'). `columns` holds the definitions with
+ * their updated `index` and `hidden` values, e.g. to persist them.
+ * @fires Grid#columnResized - `{ key, width, columns }` after a column or group was resized by dragging its header
+ * edge or auto-fitted by double-clicking it. `width` is the new width in pixels and `columns` lists the
+ * `{ key, width }` of the resized leaf columns, whose `width` is also stored in their definitions.
+ * @fires Grid#stateRestored - `{ state }` after {@link Grid#setState} restored a state.
+ * @fires Grid#viewApplied - `{ name, state }` after a named view was applied.
+ * @fires Grid#viewsChanged - `{ action, name, views }` after a view was saved ('save'), deleted ('delete') or
+ * views were imported ('import').
+ *
+ * @example
+ * grid.on('beforeSort', (event) => {
+ *   if (event.key === 'sno') event.preventDefault(); // veto sorting by the serial column
+ * });
+ * grid.on('rowClick', ({ rowData }) => console.log(rowData));
  */
 export class Grid {
   /**
@@ -63,7 +243,7 @@ export class Grid {
    * @param {Array<Object>} [config.columns=[]] - An array of column definitions to control rendering.
    * @param {boolean} [config.addSerialColumn=false] - A flag to automatically add a serial number column.
    * @param {Object} [config.dataSource] - The data source configuration.
-   * @param {string} [config.dataSource.mode] - The data mode, either 'url' or 'json'.
+   * @param {string} [config.dataSource.mode] - The data mode: 'url', 'json', 'csv' or 'server'.
    * @param {string|Array} [config.dataSource.source] - The URL string or the JSON data array.
    * @param {boolean} [config.renderInShadowDom=false] - Whether to render the grid inside a Shadow DOM.
    * @param {string} [config.dateFormat='yyyy-MM-dd HH:mm'] - Format string for date values (e.g., 'yyyy-MM-dd HH:mm').
@@ -76,22 +256,30 @@ export class Grid {
       columns: [],
       addSerialColumn: false,
       filterData: true,
-      paging: {
-        enabled: true,
-        pageSize: 10, // Default page size
-      },
       style: { overflow: "scroll", margin: 0 },
       renderInShadowDom: false,
       dateFormat: "yyyy-MM-dd HH:mm",
       customCSS: [], // NEW DEFAULT: empty array
-      resizableColumns: {
-        enabled: config.resizableColumns?.enabled || false,
-        minWidth: config.resizableColumns?.minWidth || 50,
-        maxWidth: config.resizableColumns?.maxWidth || 500,
-      },
       nullPlaceholder: "-",
       ...config, // User config override defaults
 
+      // deep spread, so that only setting `enabled` keeps the width limits
+      resizableColumns: {
+        enabled: false,
+        minWidth: 50,
+        maxWidth: 500,
+        ...config.resizableColumns,
+      },
+
+      // deep spread for paging
+      paging: {
+        enabled: true,
+        pageSize: 10, // Default page size
+        pageSizes: [10, 25, 50, 100],
+        maxPageLinks: 7,
+        ...config.paging,
+      },
+
       // deep spread for styleRules
       styleRules: {
         td: {
@@ -106,6 +294,63 @@ export class Grid {
         cursor: "pointer",
         ...config.thStyle,
       },
+      virtualScroll: {
+        enabled: false,
+        rowHeight: 33,
+        buffer: 10,
+        ...config.virtualScroll,
+      },
+      grouping: {
+        by: [],
+        collapsed: false,
+        pageBy: "rows",
+        showFooter: true,
+        ...config.grouping,
+      },
+      footer: {
+        enabled: true,
+        sticky: true,
+        ...config.footer,
+      },
+      clipboard: {
+        enabled: false,
+        undoLimit: 20,
+        ...config.clipboard,
+      },
+      columnReorder: {
+        enabled: false,
+        allowFreezeChange: false,
+        ...config.columnReorder,
+      },
+      columnChooser: {
+        enabled: false,
+        headerMenu: true,
+        label: "Columns",
+        ...config.columnChooser,
+      },
+      quickSearch: {
+        enabled: false,
+        columns: null,
+        placeholder: "Search...",
+        debounce: 300,
+        highlight: true,
+        ...config.quickSearch,
+      },
+      views: {
+        enabled: false,
+        label: "Views",
+        urlParam: "view",
+        views: [],
+        ...config.views,
+      },
+      stateStorage: {
+        enabled: !!config.stateStorage,
+        storage: "local",
+        id: containerElement.id || null,
+        version: 1,
+        migrate: null,
+        ...config.stateStorage,
+      },
     };
 
     //this.config.customCSS = [...this.config.customCSS, ...['https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.0/css/all.min.css']];
@@ -115,9 +360,29 @@ export class Grid {
         "Grid requires a unique 'keyField' in the configuration for identifying records."
       );
     }
-    this.sortState = { key: null, order: "asc", ...config.sorting };
+    this.sortState = Grid.normalizeSorting(config.sorting);
     this.filterState = {};
+    this.searchTerm = "";
+    this._searchTextCache = new WeakMap(); // Row -> searched text, see _getSearchText
+    this._searchTextColumns = null;
+    this._toggledGroups = new Set(); // Group ids whose expanded state differs from the default
+    this._pendingStates = []; // States restored before the columns were generated
     this.activeFilterMenu = null;
+    this.activeColumnChooser = null;
+
+    // Selection is keyed by keyField, so it survives sorting, filtering and paging
+    this.selection = null;
+    if (["single", "multi"].includes(this.config.selection?.mode)) {
+      this.config.selection = {
+        checkboxColumn: false,
+        selectAllScope: "page",
+        selectOnRowClick: true,
+        ...this.config.selection,
+      };
+      this.selection = new SelectionModel({
+        mode: this.config.selection.mode,
+      });
+    }
     this.pagingState = {
       currentPage: 1,
       pageSize: this.config.paging.pageSize,
@@ -127,6 +392,7 @@ export class Grid {
 
     this.store = new DataStore([], {
       addSerialColumn: this.config.addSerialColumn,
+      keyField: this.config.keyField,
     });
 
     // --- START Shadow DOM/Renderer Setup ---
@@ -144,15 +410,129 @@ export class Grid {
     this.renderer = new Renderer(renderRoot);
     // --- END Shadow DOM/Renderer Setup ---
 
+    this.events = new EventEmitter();
+    // Handlers passed in the config are registered before the first load, so they also see
+    // the initial `dataLoaded` and `rendered` events
+    Object.entries(config.on || {}).forEach(([eventName, handler]) =>
+      this.events.on(eventName, handler)
+    );
+
     this.eventManager = new EventManager(this);
+    this.editManager = new EditManager(this);
+    this.clipboard = new ClipboardManager(this);
+    this.keyboard = new KeyboardNavigator(this);
+    this.columnDrag = new ColumnDragManager(this);
+    this.details = new DetailManager(this);
+    // Rows rendered while virtual scrolling get the range marks and detail contents too
+    this.renderer.onRowsRendered = () => {
+      this.clipboard.highlight();
+      this.details.attach();
+    };
+    // Widths set by dragging a header edge are kept in the column definitions, so renders keep them
+    this.renderer.onColumnResized = (key, columns) => {
+      columns.forEach((entry) => {
+        const column = this.getColumn(entry.key);
+        if (column) column.width = `${entry.width}px`;
+      });
+      this._emit("columnResized", {
+        key,
+        width: columns.reduce((sum, entry) => sum + entry.width, 0),
+        columns,
+      });
+    };
     this.exporter = new ExcelExporter();
+    this.csvExporter = new CsvExporter();
+
+    this.stateStorage = null;
+    if (this.config.stateStorage.enabled) {
+      this._setupStateStorage();
+    }
+
+    this.views = null;
+    if (this.config.views.enabled) {
+      this.views = new ViewManager(this);
+      // A shared link takes precedence over the saved state
+      this.views.restoreUrlView();
+    }
 
     this.init();
   }
 
+  /**
+   * Restores the saved state and saves the state again whenever it changes.
+   * @private
+   */
+  _setupStateStorage() {
+    if (!this.config.stateStorage.id) {
+      console.error(
+        "Grid: 'stateStorage' requires an 'id' (or a container element with an id)."
+      );
+      return;
+    }
+    this.stateStorage = new StateStorage(this.config.stateStorage);
+
+    const saved = this.stateStorage.load();
+    if (saved) this._restoreInitialState(saved);
+
+    [
+      "sorted",
+      "filterChanged",
+      "searchChanged",
+      "pageChanged",
+      "pageSizeChanged",
+      "columnsChanged",
+      "columnResized",
+      "groupingChanged",
+      "stateRestored",
+    ].forEach((eventName) => this.events.on(eventName, () => this.saveState()));
+  }
+
+  /**
+   * Restores a state before the first load, e.g. the saved state or a view from the URL.
+   * Auto-generated columns (no `columns` configured) only exist after the first load, so the
+   * state is kept until then; otherwise their sort, filters and settings would be dropped.
+   * @param {Object} state - The state to restore.
+   * @returns {boolean} Whether the state is valid and was (or will be) applied.
+   * @private
+   */
+  _restoreInitialState(state) {
+    if (this.config.columns.length === 0) {
+      const migrated = this._migrateState(state);
+      if (!migrated) return false;
+      this._pendingStates.push({
+        ...migrated,
+        version: this.config.stateStorage.version,
+      });
+      return true;
+    }
+    if (!this._applyState(state)) return false;
+    // The initial load starts on the restored page instead of page 1
+    this._restoredPage = this.pagingState.currentPage;
+    return true;
+  }
+
+  /**
+   * Applies the states restored before the columns were generated (see `_restoreInitialState`).
+   * @returns {boolean} Whether a state was applied.
+   * @private
+   */
+  _applyPendingStates() {
+    const states = this._pendingStates;
+    this._pendingStates = [];
+    let applied = false;
+    states.forEach((state) => {
+      if (this._applyState(state)) {
+        this._restoredPage = this.pagingState.currentPage;
+        applied = true;
+      }
+    });
+    return applied;
+  }
+
   /**
    * Initializes the grid by fetching and loading data based on the configured data source.
-   * It supports two modes: fetching from a URL or using a local JSON array.
+   * It supports four modes: fetching from a URL, using a local JSON array, parsing CSV text,
+   * or requesting each page from a server that sorts, filters and pages the data.
    * @async
    * @private
    */
@@ -179,11 +559,25 @@ export class Grid {
       await this.loadFromURL(source, urlOpts);
     } else if (mode === "json") {
       this.loadFromJSON(source);
+    } else if (mode === "csv") {
+      this.loadFromCSV(source);
+    } else if (mode === "server") {
+      this.serverSource = new ServerDataSource(this.config.dataSource);
+      await this.loadFromServer();
     } else {
-      console.error("Unsupported mode. Available modes: url, json");
+      console.error("Unsupported mode. Available modes: url, json, csv, server");
     }
   }
 
+  /**
+   * Whether sorting, filtering and paging are delegated to the server.
+   * @returns {boolean}
+   * @private
+   */
+  _isServerMode() {
+    return !!this.serverSource;
+  }
+
   /**
    * A private helper method that sets the data in the store, and then automatically
    * generates columns if not provided, before triggering a render.
@@ -193,8 +587,11 @@ export class Grid {
   _setDataAndRender(data) {
     this.store.setData(data);
 
-    // Reset to page 1 whenever new data is set
-    this.pagingState.currentPage = 1;
+    // Keep the selection of rows that still exist after a reload
+    if (this.selection) {
+      this.selection.prune((key) => !!this.store.getRecordById(key));
+    }
+    this.details.prune((key) => !!this.store.getRecordById(key));
 
     // If no columns are defined by the user, generate them automatically
     if (this.config.columns.length === 0 && this.store.getData().length > 0) {
@@ -205,9 +602,67 @@ export class Grid {
           index: key === "sno" ? 0 : index + 1, // If it's 'sno', its index is 0, otherwise normal
         })
       );
+      this._applyPendingStates();
     }
 
+    // Reset to page 1 whenever new data is set (the first load may restore a saved page)
+    this.pagingState.currentPage = this._restoredPage ?? 1;
+    this._restoredPage = null;
+
+    // The current (e.g. restored) filters and sort apply to the new data
+    this._applyFilters();
+    this._sortView();
+
     this.render();
+    this._emit("dataLoaded", {
+      data: this.store.getData(),
+      totalRecords: this.store.getData().length,
+    });
+  }
+
+  /**
+   * Registers a handler for a grid event (see the `@fires` list of the class).
+   * Handlers of `before*` events can veto the action with `event.preventDefault()` or by returning `false`.
+   * @param {string} eventName - The event name, e.g. 'rowClick'.
+   * @param {Function} handler - Called with the event object.
+   * @returns {Grid} The grid, for chaining.
+   */
+  on(eventName, handler) {
+    this.events.on(eventName, handler);
+    return this;
+  }
+
+  /**
+   * Registers a handler that is removed after its first call.
+   * @param {string} eventName - The event name.
+   * @param {Function} handler - Called with the event object.
+   * @returns {Grid} The grid, for chaining.
+   */
+  once(eventName, handler) {
+    this.events.once(eventName, handler);
+    return this;
+  }
+
+  /**
+   * Removes an event handler, or all handlers of the event when no handler is given.
+   * @param {string} eventName - The event name.
+   * @param {Function} [handler] - The handler to remove.
+   * @returns {Grid} The grid, for chaining.
+   */
+  off(eventName, handler) {
+    this.events.off(eventName, handler);
+    return this;
+  }
+
+  /**
+   * Emits a grid event. The grid instance is added to the event as `grid`.
+   * @param {string} eventName - The event name.
+   * @param {Object} [detail={}] - The event properties.
+   * @returns {Object} The event object (check `defaultPrevented` for `before*` events).
+   * @private
+   */
+  _emit(eventName, detail = {}) {
+    return this.events.emit(eventName, { ...detail, grid: this });
   }
 
   /**
@@ -222,6 +677,62 @@ export class Grid {
       this._setDataAndRender(data); // Helper
     } catch (error) {
       console.error("Failed to fetch grid data from URL:", error);
+      this._emit("loadError", { error });
+    }
+  }
+
+  /**
+   * Requests the current page from the server using the current sort and filter state,
+   * then stores the returned rows and total record count and re-renders the grid.
+   * @async
+   * @returns {Promise<boolean>} Whether the rows were shown: false when the request failed
+   *   or was superseded by a newer one.
+   */
+  async loadFromServer() {
+    const query = {
+      page: this.pagingState.currentPage,
+      pageSize: this.pagingState.pageSize,
+      sortState: this.sortState.map((entry) => ({ ...entry })),
+      filterState: { ...this.filterState },
+      search: this.searchTerm,
+    };
+
+    this.renderer._loader();
+
+    try {
+      const result = await this.serverSource.load(query);
+      if (!result) return false; // A newer request is in flight
+
+      const serialOffset = (query.page - 1) * query.pageSize;
+      this.store.setData(result.rows, serialOffset);
+      this.pagingState.totalRecords = result.totalRecords;
+      this._serverAggregates = result.aggregates;
+
+      if (this.config.columns.length === 0 && result.rows.length > 0) {
+        this.config.columns = Object.keys(result.rows[0]).map(
+          (key, index) => ({
+            key: key,
+            title: key,
+            index: key === "sno" ? 0 : index + 1,
+          })
+        );
+        // The page was requested without the restored sort and filters; request it again with them
+        if (this._applyPendingStates()) return this.loadFromServer();
+      }
+      // The restored page was requested from the server (it is in pagingState)
+      this._restoredPage = null;
+
+      this.render();
+      this._emit("dataLoaded", {
+        data: this.store.getData(),
+        totalRecords: result.totalRecords,
+      });
+      return true;
+    } catch (error) {
+      // Replace the loader; listeners of `loadError` decide how to report the failure
+      this.renderer._loadError();
+      this._emit("loadError", { error });
+      return false;
     }
   }
 
@@ -233,50 +744,456 @@ export class Grid {
     this._setDataAndRender(data); // Helper
   }
 
+  /**
+   * Loads data from CSV (or TSV) text and updates the grid. Options default to `dataSource.csv`.
+   *
+   * With a header row, each header is matched to a column by key or title (case-insensitive);
+   * unmatched headers are used as keys. Without one, fields map to the leaf columns in display order.
+   * With `coerce`, values are converted according to `column.datatype`: numbers (see
+   * `parseNumberValue`; decimal commas are not read), dates and booleans, blank fields becoming null.
+   *
+   * @param {string} text - The CSV text.
+   * @param {Object} [options]
+   * @param {string} [options.delimiter=','] - The field delimiter; 'auto' picks tab, semicolon or comma from the first line.
+   * @param {string} [options.quote='"'] - The quote character.
+   * @param {boolean} [options.header=true] - Whether the first row holds the column headers.
+   * @param {boolean} [options.coerce=true] - Converts values according to the column datatypes.
+   */
+  loadFromCSV(text, options = {}) {
+    const opts = {
+      delimiter: ",",
+      quote: '"',
+      header: true,
+      coerce: true,
+      ...this.config.dataSource?.csv,
+      ...options,
+    };
+    const input = String(text ?? "");
+    if (opts.delimiter === "auto") {
+      const firstLine = input.split(/\r?\n/, 1)[0];
+      const count = (char) => firstLine.split(char).length - 1;
+      opts.delimiter = count("\t") > 0
+        ? "\t"
+        : count(";") > count(",")
+        ? ";"
+        : ",";
+    }
+
+    const table = parseCSV(input, opts);
+    const leafColumns = this._getLeafColumns();
+    let columns;
+    if (opts.header) {
+      columns = (table.shift() || []).map((header) => {
+        const name = header.trim();
+        return (
+          leafColumns.find((column) => column.key === name) ||
+          leafColumns.find(
+            (column) =>
+              String(column.title ?? "").toLowerCase() === name.toLowerCase()
+          ) || { key: name }
+        );
+      });
+    } else {
+      columns = leafColumns;
+    }
+
+    const records = table
+      .filter((fields) => fields.some((field) => field !== ""))
+      .map((fields) => {
+        const record = {};
+        columns.forEach((column, index) => {
+          if (!column.key) return;
+          const field = fields[index] ?? "";
+          record[column.key] = opts.coerce
+            ? Grid._coerceCSVValue(field, column)
+            : field;
+        });
+        return record;
+      });
+
+    this._setDataAndRender(records);
+  }
+
+  /**
+   * Converts a CSV field according to the column datatype ('number', 'date', 'boolean').
+   * Blank fields of typed columns become null; values that can't be converted are kept as text.
+   * @param {string} field - The field text.
+   * @param {Object} column - The column definition.
+   * @returns {*}
+   * @private
+   */
+  static _coerceCSVValue(field, column) {
+    const datatype = getDatatype(column);
+    if (!datatype || datatype === "string") return field;
+
+    const text = field.trim();
+    if (text === "") return null;
+
+    if (datatype === "number") {
+      // Commas only group thousands: a decimal comma ("1,5") is kept as text
+      const number = parseNumberValue(text);
+      return Number.isFinite(number) ? number : field;
+    }
+    if (datatype === "date") {
+      // Plain dates are read as local days, like date inputs
+      const day = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      const date = day
+        ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]))
+        : parseDateValue(text);
+      return date || field;
+    }
+    if (datatype === "boolean") {
+      const lower = text.toLowerCase();
+      if (["true", "yes", "y", "1"].includes(lower)) return true;
+      if (["false", "no", "n", "0"].includes(lower)) return false;
+    }
+    return field;
+  }
+
   /**
    * Triggers the rendering of the grid using the current state of the data store.
    * It passes the current `viewData` and config object with columns, filterData flag and style to the renderer.
    */
   render() {
     const fullData = this.store.getData();
-    this.pagingState.totalRecords = fullData.length;
+    const isServer = this._isServerMode();
+    const groupKeys = this._getGroupKeys();
+    // Grouped views may page by top-level groups instead of rows (client mode only)
+    const pageByGroups =
+      groupKeys.length > 0 &&
+      !isServer &&
+      this.config.grouping.pageBy === "groups";
+    const allGroups =
+      groupKeys.length > 0 ? this.store.groupData(groupKeys, fullData) : null;
+
+    // In server mode the store only holds the current page; the total comes from the server
+    if (!isServer) {
+      this.pagingState.totalRecords = pageByGroups
+        ? allGroups.length
+        : fullData.length;
+    }
     this.pagingState.totalPages = Math.ceil(
       this.pagingState.totalRecords / this.pagingState.pageSize
     );
+    if (!isServer) {
+      // Keep the current page within range after filtering, grouping or removing rows
+      this.pagingState.currentPage = Math.max(
+        1,
+        Math.min(this.pagingState.currentPage, this.pagingState.totalPages)
+      );
+    }
 
     let dataToRender = fullData;
+    let pageGroups = allGroups;
 
-    if (this.config.paging.enabled) {
+    if (this.config.paging.enabled && !isServer) {
       const start =
         (this.pagingState.currentPage - 1) * this.pagingState.pageSize;
       const end = start + this.pagingState.pageSize;
-      dataToRender = fullData.slice(start, end);
+      if (pageByGroups) {
+        pageGroups = allGroups.slice(start, end);
+        dataToRender = pageGroups.flatMap((group) => group.rows);
+      } else {
+        dataToRender = fullData.slice(start, end);
+        // Groups split across pages show their full counts and aggregates on every page
+        pageGroups = allGroups && this.store.groupData(groupKeys, dataToRender);
+      }
     }
 
+    this._renderedData = dataToRender;
+
+    // The focused cell is replaced by the render; give the focus back to its position.
+    // With a cell range, the active cell of the range takes it.
+    const focusedCell = this.renderer.getFocusedCellPosition();
+    const refocusRange =
+      !!this.clipboard.range && focusedCell?.cell.tagName === "TD";
+
     // Pass the configured columns to the renderer
-    this.renderer.render(dataToRender, { ...this.config }, this.pagingState);
+    this.renderer.render(
+      dataToRender,
+      {
+        ...this.config,
+        selectionModel: this.selection,
+        sortState: this.sortState,
+        searchTerm: this.searchTerm,
+        activeViewName: this.views?.activeName ?? null,
+        detailRows: this.details,
+        groupedView: pageGroups
+          ? this._buildGroupedView(pageGroups, allGroups)
+          : null,
+        footerAggregates: this.getFooterAggregates(),
+      },
+      this.pagingState
+    );
+    this.details.attach();
+    this._syncSelectionUI();
+    this.clipboard.restore(refocusRange);
+    if (!refocusRange) this.keyboard.restoreFocus(focusedCell);
+    this._emit("rendered", { data: dataToRender });
+  }
+
+  /**
+   * The keys the rows are grouped by (`grouping.by`).
+   * @returns {Array<string>}
+   * @private
+   */
+  _getGroupKeys() {
+    const by = this.config.grouping?.by;
+    if (!by) return [];
+    return (Array.isArray(by) ? by : [by]).filter(Boolean);
+  }
+
+  /**
+   * Flattens groups into the list of body items the renderer draws: group header rows,
+   * data rows of expanded groups and, for columns with an `aggregate`, group footer rows.
+   * @param {Array<Object>} pageGroups - The groups (with rows) shown on the current page.
+   * @param {Array<Object>} allGroups - All groups, used for the counts and aggregates.
+   * @returns {Array<Object>} Items `{ type: 'group'|'row'|'footer', ... }`.
+   * @private
+   */
+  _buildGroupedView(pageGroups, allGroups) {
+    const fullGroups = new Map();
+    const indexGroups = (groups) =>
+      groups.forEach((group) => {
+        fullGroups.set(group.id, group);
+        if (group.children) indexGroups(group.children);
+      });
+    indexGroups(allGroups);
+
+    const aggregateColumns = this._getLeafColumns().filter(
+      (column) => column.aggregate
+    );
+    const showFooter =
+      this.config.grouping.showFooter !== false && aggregateColumns.length > 0;
+
+    const items = [];
+    const visit = (group) => {
+      const full = fullGroups.get(group.id) || group;
+      const expanded = this.isGroupExpanded(group.id);
+      items.push({
+        type: "group",
+        id: group.id,
+        key: group.key,
+        value: group.value,
+        level: group.level,
+        count: full.rows.length,
+        expanded,
+        firstRow: group.rows[0],
+      });
+      if (!expanded) return;
+
+      if (group.children) {
+        group.children.forEach(visit);
+      } else {
+        group.rows.forEach((rowData) => items.push({ type: "row", rowData }));
+      }
+
+      if (showFooter) {
+        const aggregates = {};
+        aggregateColumns.forEach((column) => {
+          aggregates[column.key] = computeAggregate(
+            column.aggregate,
+            full.rows,
+            column
+          );
+        });
+        items.push({ type: "footer", id: group.id, level: group.level, aggregates });
+      }
+    };
+    pageGroups.forEach(visit);
+    return items;
+  }
+
+  /**
+   * Computes the table footer aggregates over all rows matching the current filters and search
+   * (not only the current page). In server mode the aggregates returned by the server are used.
+   * @returns {Object<string, *>|null} Aggregate values by column key, or null when there is no footer.
+   */
+  getFooterAggregates() {
+    if (this.config.footer?.enabled === false) return null;
+    const aggregateColumns = this._getLeafColumns().filter(
+      (column) => column.aggregate
+    );
+    if (aggregateColumns.length === 0) return null;
+
+    const rows = this.store.getData();
+    const aggregates = {};
+    aggregateColumns.forEach((column) => {
+      aggregates[column.key] =
+        this._isServerMode() && this._serverAggregates
+          ? this._serverAggregates[column.key] ?? null
+          : computeAggregate(column.aggregate, rows, column);
+    });
+    return aggregates;
+  }
+
+  /**
+   * Whether a group is expanded (`grouping.collapsed` sets the default for all groups).
+   * @param {string} groupId - The group id (see {@link DataStore#groupData}).
+   * @returns {boolean}
+   */
+  isGroupExpanded(groupId) {
+    const expandedByDefault = this.config.grouping?.collapsed !== true;
+    return this._toggledGroups.has(groupId) !== expandedByDefault;
+  }
+
+  /**
+   * Expands or collapses a group.
+   * @param {string} groupId - The group id.
+   * @param {boolean} [expanded] - The new state; toggles when omitted.
+   */
+  toggleGroup(groupId, expanded = !this.isGroupExpanded(groupId)) {
+    if (expanded === this.isGroupExpanded(groupId)) return;
+    if (this._toggledGroups.has(groupId)) {
+      this._toggledGroups.delete(groupId);
+    } else {
+      this._toggledGroups.add(groupId);
+    }
+    this.render();
+    this._emit("groupToggled", { groupId, expanded });
+  }
+
+  /**
+   * Expands or collapses all groups.
+   * @param {boolean} expanded - Whether to expand or collapse.
+   */
+  setAllGroupsExpanded(expanded) {
+    this.config.grouping.collapsed = !expanded;
+    this._toggledGroups.clear();
+    this.render();
+  }
+
+  /**
+   * Whether the detail of a row is expanded (see `config.detail`).
+   * @param {string|number} key - The key field value.
+   * @returns {boolean}
+   */
+  isDetailExpanded(key) {
+    return this.details.isExpanded(key);
+  }
+
+  /**
+   * Expands or collapses the detail of a row.
+   * @param {string|number} key - The key field value.
+   * @param {boolean} [expanded] - The new state; toggles when omitted.
+   * @returns {boolean} Whether the row has a detail.
+   */
+  toggleDetail(key, expanded) {
+    return this.details.toggle(key, expanded);
+  }
+
+  /**
+   * Creates the detail of a row again, e.g. after the row was updated.
+   * @param {string|number} key - The key field value.
+   */
+  refreshDetail(key) {
+    this.details.refresh(key);
+  }
+
+  /**
+   * Groups the rows by one or more columns; an empty list removes the grouping.
+   * @param {string|Array<string>} keys - The keys to group by, outermost first.
+   */
+  groupBy(keys) {
+    this.config.grouping.by = (Array.isArray(keys) ? keys : [keys]).filter(
+      Boolean
+    );
+    this._toggledGroups.clear();
+    this.pagingState.currentPage = 1;
+    if (!this._isServerMode()) {
+      this._sortView();
+    }
+    this.render();
+    this._emit("groupingChanged", { groupBy: [...this.config.grouping.by] });
+  }
+
+  /**
+   * The leaf columns in display order.
+   * @returns {Array<Object>}
+   * @private
+   */
+  _getLeafColumns() {
+    return this.renderer._calculateHeaderStructure(this.config.columns)
+      .leafColumns;
+  }
+
+  /**
+   * Converts the `sorting` config into the sort state array.
+   * Accepts `{ key, order }`, an array of them, or nothing.
+   * @param {Object|Array<Object>} [sorting] - The sorting configuration.
+   * @returns {Array<{key: string, order: string}>}
+   */
+  static normalizeSorting(sorting) {
+    const entries = Array.isArray(sorting) ? sorting : [sorting];
+    return entries
+      .filter((entry) => entry && entry.key)
+      .map((entry) => ({
+        key: entry.key,
+        order: entry.order === "desc" ? "desc" : "asc",
+      }));
   }
 
   /**
    * Handles the logic for sorting when a header is clicked.
-   * It updates the sort state and triggers a sort operation.
+   * Each click cycles the column through ascending, descending and unsorted. A plain click
+   * makes the column the only sort key; with `additive` (Shift+click) it is added to, cycled in,
+   * or removed from the existing sort keys, so secondary and tertiary sorts can be built.
    * @param {string} key - The data key of the column to sort.
+   * @param {Object} [opts={}] - Click options.
+   * @param {boolean} [opts.additive=false] - Keep the other sort keys (Shift+click).
    */
-  handleHeaderClick(key) {
-    if (this.sortState.key === key) {
-      // If clicking the same column, reverse the order
-      this.sortState.order = this.sortState.order === "asc" ? "desc" : "asc";
+  handleHeaderClick(key, opts = {}) {
+    const current = this.sortState.find((entry) => entry.key === key);
+    // Three-state cycle: none -> asc -> desc -> none
+    const nextOrder = !current ? "asc" : current.order === "asc" ? "desc" : null;
+
+    let next;
+    if (opts.additive) {
+      next = current
+        ? this.sortState
+            .map((entry) =>
+              entry.key === key ? { key, order: nextOrder } : { ...entry }
+            )
+            .filter((entry) => entry.order)
+        : [...this.sortState.map((entry) => ({ ...entry })), { key, order: "asc" }];
     } else {
-      // If clicking a new column, sort ascending
-      this.sortState.key = key;
-      this.sortState.order = "asc";
+      // A plain click on a column that is part of a multi-sort starts over with that column
+      const order =
+        this.sortState.length > 1 && current ? "asc" : nextOrder;
+      next = order ? [{ key, order }] : [];
+    }
+    this.setSort(next, { key });
+  }
+
+  /**
+   * The kind of filter a column uses: its `filter` setting ('list', 'number', 'date' or 'text'),
+   * or else derived from its `datatype` (number and date columns get condition filters,
+   * everything else the value checklist).
+   * @param {string} key - The column key.
+   * @returns {string} 'list', 'number', 'date' or 'text'.
+   */
+  getFilterType(key) {
+    const column = this.getColumn(key) || {};
+    if (["list", "number", "date", "text"].includes(column.filter)) {
+      return column.filter;
+    }
+    switch (getDatatype(column)) {
+      case "number":
+        return "number";
+      case "date":
+        return "date";
+      default:
+        return "list";
     }
-    this.sort(this.sortState.key, this.sortState.order);
   }
 
   /**
    * Handles the logic for filtering when the filter icon is clicked.
-   * It updates gets unique values from the column and displays them in the form of multi select menu.
+   * It updates gets unique values from the column and displays them in the form of multi select menu,
+   * or shows the condition form for number, date and text filters (see {@link Grid#getFilterType}).
+   * Every value of the column is listed with the number of rows it matches given the other columns'
+   * filters and the quick search; in cascade mode (`filterMenu.cascade`) values that match no rows
+   * are left out, unless they are selected.
    * On item click, updates the filter state and triggers a filter operation.
    * @param {string} key - The data key of the column to filter.
    * @param {HTMLElement} - Anchor element to calculate position.
@@ -287,20 +1204,84 @@ export class Grid {
       this.activeFilterMenu = null;
     }
 
-    const uniqueValues = this.store.getUniqueValues(key);
+    const filterType = this.getFilterType(key);
+
+    // In server mode the store only knows the current page, so let the data source provide the values
+    const valueProvider = this._isServerMode()
+      ? this.config.dataSource.getUniqueValues
+      : null;
     const currentSelection = this.filterState[key] || [];
 
-    const newMenu = new FilterMenu({
-      values: uniqueValues,
-      selection: currentSelection,
-      anchor: anchorElement,
-      onApply: (newSelection) => {
-        this.applyFilter(key, newSelection);
-      },
-    });
+    // Values are counted among the rows passing the other columns' filters and the quick search
+    const otherFilters = { ...this.filterState };
+    delete otherFilters[key];
+
+    const loadValues = () => {
+      if (filterType !== "list") return [];
+      return valueProvider
+        ? valueProvider(key, { filterState: otherFilters, search: this.searchTerm })
+        : this.store.getValueCounts(
+            key,
+            otherFilters,
+            this._createSearchFilter()
+          );
+    };
+
+    // A provider that throws or rejects, or a menu that fails to build, is reported like a failed load
+    const onValuesError = (error) => this._emit("loadError", { error, key });
+
+    Promise.resolve().then(loadValues).then((values) => {
+      let items = [...(values || [])];
+      let selection = currentSelection;
+      if (Array.isArray(currentSelection)) {
+        const valueOf = (item) =>
+          item !== null && typeof item === "object" && "value" in item ? item.value : item;
+        const listed = new Map(
+          items.map((item) => [DataStore.getValueKey(valueOf(item)), item])
+        );
+        // The menu checks values by identity: select the listed value equal to each selected one
+        // (e.g. another Date object of the same date)
+        selection = currentSelection.map((value) => {
+          const item = listed.get(DataStore.getValueKey(value));
+          return item === undefined ? value : valueOf(item);
+        });
+        // Selected values no longer in the list stay listed, so they can be unchecked
+        currentSelection
+          .filter((value) => !listed.has(DataStore.getValueKey(value)))
+          .forEach((value) =>
+            items.push(valueProvider ? { value } : { value, count: 0 })
+          );
+      }
+      if (this.config.filterMenu?.cascade && !valueProvider) {
+        // Cascading: only offer values that still yield rows (plus the ones already selected)
+        items = items.filter(
+          (item) => item.count > 0 || selection.includes(item.value)
+        );
+      }
+
+      const newMenu = new FilterMenu({
+        values: items,
+        selection,
+        filterType,
+        labels: this.config.filterMenu?.labels,
+        anchor: anchorElement,
+        onApply: (newSelection) => {
+          this.applyFilter(key, newSelection);
+        },
+        // The header was re-rendered by the filter; focus the column's new filter icon
+        returnFocus: () => {
+          const header = Array.from(
+            this.renderer.table?.querySelectorAll("thead th[data-key]") || []
+          ).find((th) => th.dataset.key === key);
+          const icon = header?.querySelector(".filter-icon") || anchorElement;
+          if (header) this.renderer.setActiveCell(header, false);
+          icon.focus();
+        },
+      });
 
-    newMenu.key = key; // Tag the menu with its column key
-    this.activeFilterMenu = newMenu;
+      newMenu.key = key; // Tag the menu with its column key
+      this.activeFilterMenu = newMenu;
+    }).catch(onValuesError);
   }
 
   /**
@@ -335,47 +1316,514 @@ export class Grid {
   }
 
   /**
-   * Sorts the data in the store and re-renders the grid.
-   * @param {string} key - The data key to sort by.
-   * @param {string} order - The sort order ('asc' or 'desc').
+   * Finds a column definition by key, searching nested column groups.
+   * @param {string} key - The column key.
+   * @returns {Object|null} The column definition, or null if there is none.
    */
-  sort(key, order) {
-    this.store.sortData(key, order);
-    this.render();
+  getColumn(key) {
+    const find = (columns) => {
+      for (const column of columns || []) {
+        if (column.key === key) return column;
+        const match = find(column.children);
+        if (match) return match;
+      }
+      return null;
+    };
+    return find(this.config.columns);
   }
 
   /**
-   * Applies a filter to the grid based on the provided key and selection.
-   * Updates the filter state, marks columns with active filters, resets pagination,
-   * applies the filter and sort to the data store, and re-renders the grid.
-   *
-   * @param {string} key - The key identifying the column to filter.
-   * @param {Array} selection - The selected filter values for the column.
+   * Shows a hidden column. Showing a group shows all of its columns; showing a column of a
+   * hidden group shows the group with only that column.
+   * @param {string} key - The column (or group) key.
+   * @returns {boolean} Whether the column exists.
    */
-  applyFilter(key, selection) {
-    if (selection && selection.length > 0) {
-      this.filterState[key] = selection;
-    } else {
-      delete this.filterState[key];
-    }
-
-    const markFilteredColumns = (column) => {
-      column.hasFilter =
-        Object.hasOwn(this.filterState, column.key) &&
-        this.filterState[column.key];
-      if (column.children && column.children.length > 0) {
-        column.children.forEach((child) => markFilteredColumns(child));
-      }
-    };
-    this.config.columns.forEach((col) => markFilteredColumns(col));
-
-    // Reset to page 1 after filtering
-    this.pagingState.currentPage = 1;
-
-    this.store.filterData(this.filterState);
-    // After filtering, you might want to re-sort based on the current sortState
-    this.store.sortData(this.sortState.key, this.sortState.order);
-    this.render();
+  showColumn(key) {
+    return this.setColumnVisible(key, true);
+  }
+
+  /**
+   * Hides a column, or a whole group. The last visible column cannot be hidden.
+   * @param {string} key - The column (or group) key.
+   * @returns {boolean} Whether the column was hidden.
+   */
+  hideColumn(key) {
+    return this.setColumnVisible(key, false);
+  }
+
+  /**
+   * Shows or hides a column by setting its `hidden` flag, then re-renders the grid.
+   * Hidden columns are left out of the header, the body and the exports.
+   * @param {string|Object} column - The column (or group) key, or its definition.
+   * @param {boolean} visible - Whether to show the column.
+   * @returns {boolean} Whether the column exists and now has the requested visibility.
+   * @fires Grid#columnsChanged
+   */
+  setColumnVisible(column, visible) {
+    const path = findColumnPath(this.config.columns, column);
+    if (!path) {
+      console.error(`Grid: Column "${column?.key ?? column}" does not exist.`);
+      return false;
+    }
+    const target = path[path.length - 1];
+
+    if (visible) {
+      // Hidden groups above the column are shown with only the branch leading to it
+      path.slice(0, -1).forEach((ancestor, i) => {
+        if (ancestor.hidden !== true) return;
+        ancestor.hidden = false;
+        ancestor.children.forEach((child) => {
+          if (child !== path[i + 1]) child.hidden = true;
+        });
+      });
+      // A group is shown with all of its columns
+      const showAll = (col) => {
+        col.hidden = false;
+        (col.children || []).forEach(showAll);
+      };
+      showAll(target);
+    } else {
+      if (target.hidden === true) return true;
+      target.hidden = true;
+      if (this._getLeafColumns().length === 0) {
+        target.hidden = false;
+        console.warn("Grid: The last visible column cannot be hidden.");
+        return false;
+      }
+    }
+
+    this._onColumnsChanged({ action: visible ? "show" : "hide", key: target.key });
+    return true;
+  }
+
+  /**
+   * Whether a column is shown: neither it nor a group above it is hidden, and for a group,
+   * at least one of its columns is shown.
+   * @param {string} key - The column (or group) key.
+   * @returns {boolean}
+   */
+  isColumnVisible(key) {
+    const path = findColumnPath(this.config.columns, key);
+    if (!path || path.some((column) => column.hidden === true)) return false;
+    const hasVisibleLeaf = (column) =>
+      column.hidden !== true &&
+      (!column.children || column.children.length === 0 || column.children.some(hasVisibleLeaf));
+    return hasVisibleLeaf(path[path.length - 1]);
+  }
+
+  /**
+   * Replaces the column definitions and re-renders the grid. Sorting and filters on
+   * columns that no longer exist are dropped.
+   * @param {Array<Object>} columns - The new column definitions (same format as `config.columns`).
+   * @fires Grid#columnsChanged
+   */
+  setColumns(columns) {
+    this.config.columns = columns || [];
+    const exists = (key) => !!findColumnPath(this.config.columns, key);
+    this.sortState = this.sortState.filter((entry) => exists(entry.key));
+    Object.keys(this.filterState).forEach((key) => {
+      if (!exists(key)) delete this.filterState[key];
+    });
+    this._markFilteredColumns();
+    this._onColumnsChanged({ action: "set", key: null });
+  }
+
+  /**
+   * Moves a column (or group) to another position among its siblings: the top-level columns,
+   * or the columns of its group. The `index` of the siblings is renumbered to the new order.
+   * @param {string} key - The column (or group) key.
+   * @param {number} toIndex - The new position among the siblings (hidden ones included), from 0.
+   * @returns {boolean} Whether the column exists and the move was not cancelled.
+   * @fires Grid#beforeColumnMove
+   * @fires Grid#columnsChanged
+   */
+  moveColumn(key, toIndex) {
+    const path = findColumnPath(this.config.columns, key);
+    if (!path) {
+      console.error(`Grid: Column "${key}" does not exist.`);
+      return false;
+    }
+    const column = path[path.length - 1];
+    const parent = path.length > 1 ? path[path.length - 2] : null;
+    const siblings = parent ? parent.children : this.config.columns;
+
+    const ordered = sortByIndex(siblings);
+    const from = ordered.indexOf(column);
+    const to = Math.max(0, Math.min(ordered.length - 1, Math.trunc(toIndex) || 0));
+    const parentKey = parent ? parent.key ?? null : null;
+    if (
+      from !== to &&
+      this._emit("beforeColumnMove", { key: column.key, from, to, parentKey }).defaultPrevented
+    ) {
+      return false;
+    }
+    ordered.splice(from, 1);
+    ordered.splice(to, 0, column);
+    ordered.forEach((sibling, index) => {
+      sibling.index = index;
+    });
+    siblings.splice(0, siblings.length, ...ordered);
+
+    if (from !== to) {
+      this._onColumnsChanged({ action: "move", key: column.key, from, to, parentKey });
+    }
+    return true;
+  }
+
+  /**
+   * Opens the column chooser popup (see {@link ColumnChooser}), or closes it when it is open.
+   * @param {HTMLElement} anchorElement - The element to show the popup below.
+   */
+  toggleColumnChooser(anchorElement) {
+    if (this.activeColumnChooser?.element) {
+      const sameAnchor = this.activeColumnChooser.anchorElement === anchorElement;
+      this.activeColumnChooser.close();
+      this.activeColumnChooser = null;
+      if (sameAnchor) return;
+    }
+
+    this.activeColumnChooser = new ColumnChooser({
+      columns: this.config.columns,
+      anchor: anchorElement,
+      labels: { title: this.config.columnChooser.label },
+      onToggle: (column, visible) => this.setColumnVisible(column, visible),
+    });
+  }
+
+  /**
+   * Re-renders the grid after columns were shown, hidden, moved or replaced.
+   * The cell range is cleared since column positions changed, and client-side rows are
+   * re-filtered because the quick search only looks at visible columns.
+   * @param {Object} detail - The `columnsChanged` event detail (`action`, `key`, ...).
+   * @private
+   */
+  _onColumnsChanged(detail) {
+    if (this.activeFilterMenu) {
+      this.activeFilterMenu.close();
+      this.activeFilterMenu = null;
+    }
+    this.clipboard.clear();
+    this._refreshView();
+    this._emit("columnsChanged", { ...detail, columns: this.config.columns });
+  }
+
+  /**
+   * The sort state with each entry's column definition attached, so that the store
+   * can apply the column's datatype, `sortValue` and `sortComparator`. When rows are
+   * grouped, the group keys come first (in their sort direction, if sorted) so groups are contiguous.
+   * @returns {Array<{key: string, order: string, column: Object|null}>}
+   * @private
+   */
+  _getSortSpecs() {
+    const groupKeys = this._getGroupKeys();
+    const entries = [
+      ...groupKeys.map(
+        (key) =>
+          this.sortState.find((entry) => entry.key === key) || {
+            key,
+            order: "asc",
+          }
+      ),
+      ...this.sortState.filter((entry) => !groupKeys.includes(entry.key)),
+    ];
+    return entries.map((entry) => ({
+      ...entry,
+      column: this.getColumn(entry.key),
+    }));
+  }
+
+  /**
+   * Sorts the store's view data by the current sort state (and group keys), if any.
+   * @private
+   */
+  _sortView() {
+    const specs = this._getSortSpecs();
+    if (specs.length > 0) {
+      this.store.sortData(specs);
+    }
+  }
+
+  /**
+   * Sorts the data by a single column and re-renders the grid.
+   * @param {string} key - The data key to sort by.
+   * @param {string} order - The sort order ('asc' or 'desc').
+   */
+  sort(key, order) {
+    this.setSort([{ key, order }]);
+  }
+
+  /**
+   * Replaces the sort keys and re-sorts the data. The sort is stable: rows that tie on all
+   * sort keys keep their previous order. An empty array restores the original data order.
+   * @param {Array<{key: string, order: string}>} sortState - The sort keys, highest priority first.
+   * @param {Object} [opts={}] - Options.
+   * @param {string} [opts.key] - The column that triggered the change (reported in the events).
+   */
+  setSort(sortState, opts = {}) {
+    const next = Grid.normalizeSorting(sortState);
+    const changed = next.find((entry) => entry.key === opts.key) || next[0];
+    const detail = {
+      key: opts.key ?? changed?.key ?? null,
+      order: changed?.order ?? null,
+      sortState: next,
+    };
+    if (this._emit("beforeSort", detail).defaultPrevented) return;
+
+    this.sortState = next;
+    const emitSorted = () =>
+      this._emit("sorted", {
+        ...detail,
+        sortState: this.sortState.map((entry) => ({ ...entry })),
+      });
+
+    if (this._isServerMode()) {
+      this.loadFromServer().then((loaded) => loaded && emitSorted());
+      return;
+    }
+
+    if (this.sortState.length === 0) {
+      // Back to the unsorted order: re-apply the filters on the original data
+      this._applyFilters();
+    }
+    this._sortView();
+    this.render();
+    emitSorted();
+  }
+
+  /**
+   * Applies a filter to the grid based on the provided key and selection.
+   * Updates the filter state, marks columns with active filters, resets pagination,
+   * applies the filter and sort to the data store, and re-renders the grid.
+   *
+   * @param {string} key - The key identifying the column to filter.
+   * @param {Array|Object|null} selection - The selected filter values for the column, or a condition filter
+   * `{ type: 'number'|'date'|'text', logic: 'and'|'or', conditions: [{ operator, value, value2 }] }`
+   * (see {@link DataStore.createConditionMatcher}). An empty selection clears the column's filter.
+   */
+  applyFilter(key, selection) {
+    if (this._emit("beforeFilter", { key, selection }).defaultPrevented) return;
+
+    const isActive = Array.isArray(selection)
+      ? selection.length > 0
+      : selection?.conditions?.length > 0;
+    if (isActive) {
+      this.filterState[key] = selection;
+    } else {
+      delete this.filterState[key];
+    }
+
+    this._markFilteredColumns();
+
+    // Reset to page 1 after filtering
+    this.pagingState.currentPage = 1;
+
+    const emitFilterChanged = () =>
+      this._emit("filterChanged", {
+        key,
+        selection,
+        filterState: { ...this.filterState },
+      });
+
+    if (this._isServerMode()) {
+      this.loadFromServer().then((loaded) => loaded && emitFilterChanged());
+      return;
+    }
+
+    this._refreshView();
+    emitFilterChanged();
+  }
+
+  /**
+   * Sets `hasFilter` on the column definitions, which shows the filter icon as active.
+   * @private
+   */
+  _markFilteredColumns() {
+    const markFilteredColumns = (column) => {
+      column.hasFilter = Object.hasOwn(this.filterState, column.key);
+      if (column.children && column.children.length > 0) {
+        column.children.forEach((child) => markFilteredColumns(child));
+      }
+    };
+    this.config.columns.forEach((col) => markFilteredColumns(col));
+  }
+
+  /**
+   * Re-applies the current filter and sort state to the store and re-renders,
+   * keeping the current page (clamped to the new page count).
+   * @private
+   */
+  _refreshView() {
+    if (!this._isServerMode()) {
+      this._applyFilters();
+      // After filtering, re-sort based on the current sortState
+      this._sortView();
+    }
+    this.render();
+  }
+
+  /**
+   * Filters the rows across all columns by a search term, on top of the column filters.
+   * Rows match when the term appears (case-insensitive) in the displayed text of one of the
+   * searched columns (`quickSearch.columns`, or every column), so formatted dates are matched as shown.
+   * In server mode the term is sent to the server as `search`.
+   * @param {string} term - The search term; an empty term clears the search.
+   */
+  quickSearch(term) {
+    const next = String(term ?? "").trim();
+    if (next === this.searchTerm) return;
+
+    this.searchTerm = next;
+    // Reset to page 1 after searching
+    this.pagingState.currentPage = 1;
+
+    const emitSearchChanged = () =>
+      this._emit("searchChanged", { term: this.searchTerm });
+
+    if (this._isServerMode()) {
+      this.loadFromServer().then((loaded) => loaded && emitSearchChanged());
+      return;
+    }
+
+    this._refreshView();
+    emitSearchChanged();
+  }
+
+  /**
+   * Applies the column filters and the quick search to the store.
+   * @private
+   */
+  _applyFilters() {
+    this.store.filterData(this.filterState, this._createSearchFilter());
+  }
+
+  /**
+   * Builds the row test of the quick search.
+   * @returns {Function|null} `(row) => boolean`, or null when there is no search term.
+   * @private
+   */
+  _createSearchFilter() {
+    if (!this.searchTerm) return null;
+
+    const needle = this.searchTerm.toLowerCase();
+    const searchKeys = this.config.quickSearch.columns;
+    const columns = this._getLeafColumns().filter(
+      (column) => !Array.isArray(searchKeys) || searchKeys.includes(column.key)
+    );
+
+    // The cached texts depend on the searched columns and the formatting settings
+    const signature = [
+      ...columns.map((column) => column.key),
+      this.config.dateFormat,
+      this.config.nullPlaceholder,
+    ].join("\u0000");
+    if (signature !== this._searchTextColumns) {
+      this._searchTextCache = new WeakMap();
+      this._searchTextColumns = signature;
+    }
+
+    return (row) => this._getSearchText(row, columns).includes(needle);
+  }
+
+  /**
+   * The lower-cased text of a row's searched cells as displayed, separated by NUL characters.
+   * Formatting cells (`render` templates in particular) is slow, so the text is cached per row
+   * and only built again when one of the row's values changed.
+   * @param {Object} row - The record.
+   * @param {Array<Object>} columns - The searched leaf columns.
+   * @returns {string}
+   * @private
+   */
+  _getSearchText(row, columns) {
+    const values = Object.values(row);
+    const cached = this._searchTextCache.get(row);
+    if (
+      cached &&
+      cached.values.length === values.length &&
+      cached.values.every((value, index) => value === values[index])
+    ) {
+      return cached.text;
+    }
+
+    const text = columns
+      .map((column) =>
+        this.renderer.getCellText(column, row, this.config).toLowerCase()
+      )
+      .join("\u0000");
+    this._searchTextCache.set(row, { values, text });
+    return text;
+  }
+
+  /**
+   * Adds a record to the grid. The current sort, filter and page are kept, and the
+   * serial column is renumbered. The record is tracked as added (see `getChanges`).
+   * @param {Object} record - The new record. It must have a value for the `keyField`.
+   * @param {Object} [opts={}] - Options.
+   * @param {number} [opts.index] - Position in the underlying data; appended when omitted.
+   * @returns {Object|undefined} The added record, or undefined if it couldn't be added.
+   */
+  addRow(record, opts = {}) {
+    const added = this.store.addRecord(record, opts.index);
+    if (added) {
+      this._refreshView();
+      this._emit("rowAdded", { rowData: added });
+    }
+    return added;
+  }
+
+  /**
+   * Updates the record with the given key. The current sort, filter and page are kept.
+   * @param {string|number} key - The key field value (for a composite `keyField`, the JSON array of the values).
+   * @param {Object} patch - The properties to change.
+   * @returns {Object|undefined} The updated record, or undefined if no record has that key.
+   */
+  updateRow(key, patch) {
+    const updated = this.store.updateRecord(key, patch);
+    if (updated) {
+      this._refreshView();
+      this._emit("rowUpdated", { rowData: updated, patch });
+    }
+    return updated;
+  }
+
+  /**
+   * Removes the record with the given key. The current sort, filter and page are kept,
+   * and the serial column is renumbered.
+   * @param {string|number} key - The key field value (for a composite `keyField`, the JSON array of the values).
+   * @returns {Object|undefined} The removed record, or undefined if no record has that key.
+   */
+  removeRow(key) {
+    const removed = this.store.removeRecord(key);
+    if (removed) {
+      if (this.selection?.isSelected(key)) this.deselectRows([key]);
+      this.details.prune((id) => id !== String(key));
+      this._refreshView();
+      this._emit("rowRemoved", { rowData: removed });
+    }
+    return removed;
+  }
+
+  /**
+   * Returns the records added, updated and removed since the data was loaded
+   * or the changes were last accepted or rejected.
+   * @returns {{added: Array<Object>, updated: Array<Object>, removed: Array<Object>}}
+   */
+  getChanges() {
+    return this.store.getChanges();
+  }
+
+  /**
+   * Marks the pending changes as saved, e.g. after they were synced to the backend.
+   */
+  acceptChanges() {
+    this.store.acceptChanges();
+  }
+
+  /**
+   * Reverts the pending changes and re-renders the grid.
+   */
+  rejectChanges() {
+    this.store.rejectChanges();
+    this._refreshView();
   }
 
   /**
@@ -388,26 +1836,240 @@ export class Grid {
     if (pageNumber < 1 || pageNumber > this.pagingState.totalPages) {
       return; // Invalid page number
     }
+    const previousPage = this.pagingState.currentPage;
+    const detail = { page: pageNumber, previousPage };
+    if (this._emit("beforePageChange", detail).defaultPrevented) return;
+
     this.pagingState.currentPage = pageNumber;
+    if (this._isServerMode()) {
+      this.loadFromServer().then(
+        (loaded) => loaded && this._emit("pageChanged", detail)
+      );
+      return;
+    }
     this.render();
+    this._emit("pageChanged", detail);
+  }
+
+  /**
+   * Changes the number of records per page. The page is adjusted so that the first record
+   * shown before the change stays visible.
+   * @param {number} pageSize - The new page size.
+   */
+  setPageSize(pageSize) {
+    const size = parseInt(pageSize, 10);
+    if (!(size > 0) || size === this.pagingState.pageSize) return;
+
+    const previousPageSize = this.pagingState.pageSize;
+    const firstIndex = (this.pagingState.currentPage - 1) * previousPageSize;
+    this.pagingState.pageSize = size;
+    this.pagingState.currentPage = Math.floor(firstIndex / size) + 1;
+
+    const emitPageSizeChanged = () =>
+      this._emit("pageSizeChanged", { pageSize: size, previousPageSize });
+
+    if (this._isServerMode()) {
+      this.loadFromServer().then((loaded) => loaded && emitPageSizeChanged());
+      return;
+    }
+    this.render();
+    emitPageSizeChanged();
+  }
+
+  /**
+   * A serializable snapshot of the user's view of the grid: sort, filters, quick search, grouping,
+   * page, page size and, per column key, the column order (`index`), visibility (`hidden`), `width`
+   * and `freeze`. Restore it with {@link Grid#setState}.
+   * @returns {Object} `{ version, sort, filters, search, groupBy, page, pageSize, columns }`.
+   */
+  getState() {
+    const columns = {};
+    const collect = (column) => {
+      if (column.key != null) {
+        const entry = { index: column.index };
+        if (column.hidden === true) entry.hidden = true;
+        if (column.width != null) entry.width = column.width;
+        if (column.freeze != null) entry.freeze = column.freeze;
+        columns[column.key] = entry;
+      }
+      (column.children || []).forEach(collect);
+    };
+    this.config.columns.forEach(collect);
+
+    return JSON.parse(
+      JSON.stringify({
+        version: this.config.stateStorage.version,
+        sort: this.sortState,
+        filters: this.filterState,
+        search: this.searchTerm,
+        groupBy: this._getGroupKeys(),
+        page: this.pagingState.currentPage,
+        pageSize: this.pagingState.pageSize,
+        columns,
+      })
+    );
+  }
+
+  /**
+   * Restores a state returned by {@link Grid#getState} and re-renders the grid.
+   *
+   * A state saved with another `stateStorage.version` is passed to `stateStorage.migrate(state, version)`,
+   * which returns the upgraded state or null to discard it; without `migrate` it is discarded.
+   * Sorting, filters and column settings of columns that no longer exist are dropped, and hidden
+   * flags are ignored if they would hide every column.
+   * @param {Object} state - The state to restore.
+   * @returns {boolean} Whether the state was restored.
+   * @fires Grid#stateRestored
+   */
+  setState(state) {
+    if (!this._applyState(state)) return false;
+
+    if (this.activeFilterMenu) {
+      this.activeFilterMenu.close();
+      this.activeFilterMenu = null;
+    }
+    this.clipboard.clear();
+    const emitStateRestored = () =>
+      this._emit("stateRestored", { state: this.getState() });
+
+    if (this._isServerMode()) {
+      this.loadFromServer().then((loaded) => loaded && emitStateRestored());
+      return true;
+    }
+    this._refreshView();
+    emitStateRestored();
+    return true;
   }
 
   /**
-   * Exports the current grid view to an Excel file.
-   * It uses the rendered table from the DOM.
-   * @param {string} filename - The name for the exported file.
+   * Writes the current state to the configured `stateStorage`. Called automatically whenever
+   * the sort, filters, search, grouping, page, page size or columns change.
    */
-  exportToExcel(opts= {}) {
-    let filename = opts?.filename || "grid-data";
-    filename.endsWith(".xls") || (filename += ".xls");
+  saveState() {
+    this.stateStorage?.save(this.getState());
+  }
+
+  /**
+   * Removes the saved state from the configured `stateStorage`. The current view is kept, so
+   * the grid starts from its configuration on the next page load (unless the state changes again).
+   */
+  clearSavedState() {
+    this.stateStorage?.clear();
+  }
+
+  /**
+   * Migrates a saved state to the current `stateStorage.version`.
+   * @param {Object} state - The saved state.
+   * @returns {Object|null} The state to apply, or null when it must be discarded.
+   * @private
+   */
+  _migrateState(state) {
+    if (!state || typeof state !== "object") return null;
+    const { version, migrate } = this.config.stateStorage;
+    if (state.version === version) return state;
+    if (typeof migrate !== "function") {
+      console.warn(
+        `Grid: Discarding a saved state of version ${state.version} (current version ${version}).`
+      );
+      return null;
+    }
+    const migrated = migrate(state, state.version);
+    return migrated && typeof migrated === "object" ? migrated : null;
+  }
+
+  /**
+   * Sets the sort, filter, search, paging and column state from a saved state, without rendering.
+   * @param {Object} state - The saved state.
+   * @returns {boolean} Whether the state could be applied.
+   * @private
+   */
+  _applyState(state) {
+    const migrated = this._migrateState(state);
+    if (!migrated) return false;
+    const exists = (key) => !!findColumnPath(this.config.columns, key);
+
+    // Column settings; columns added since the state was saved keep their configuration
+    const savedColumns = migrated.columns || {};
+    const previousHidden = new Map();
+    const restore = (column) => {
+      previousHidden.set(column, column.hidden);
+      const entry = column.key != null ? savedColumns[column.key] : null;
+      if (entry && typeof entry === "object") {
+        if (Number.isFinite(entry.index)) column.index = entry.index;
+        if (entry.hidden === true) column.hidden = true;
+        else delete column.hidden;
+        if (entry.width != null) column.width = entry.width;
+        if (typeof entry.freeze === "boolean") column.freeze = entry.freeze;
+      }
+      (column.children || []).forEach(restore);
+    };
+    this.config.columns.forEach(restore);
+    if (this.config.columns.length > 0 && this._getLeafColumns().length === 0) {
+      previousHidden.forEach((hidden, column) => {
+        if (hidden === undefined) delete column.hidden;
+        else column.hidden = hidden;
+      });
+    }
+
+    if (Array.isArray(migrated.sort)) {
+      this.sortState = Grid.normalizeSorting(migrated.sort).filter((entry) =>
+        exists(entry.key)
+      );
+    }
+    if (migrated.filters && typeof migrated.filters === "object") {
+      this.filterState = {};
+      Object.entries(migrated.filters).forEach(([key, selection]) => {
+        if (exists(key)) this.filterState[key] = selection;
+      });
+      this._markFilteredColumns();
+    }
+    if (typeof migrated.search === "string") {
+      this.searchTerm = migrated.search.trim();
+    }
+    if (Array.isArray(migrated.groupBy)) {
+      this.config.grouping.by = migrated.groupBy.filter(exists);
+      this._toggledGroups.clear();
+    }
+    const pageSize = parseInt(migrated.pageSize, 10);
+    if (pageSize > 0) this.pagingState.pageSize = pageSize;
+    const page = parseInt(migrated.page, 10);
+    if (page > 0) this.pagingState.currentPage = page;
+    return true;
+  }
+
+  /**
+   * Exports the grid data to an Excel file.
+   *
+   * By default a native .xlsx workbook is built from the data store (see {@link Grid#getExcelSheet}):
+   * numbers and dates keep their types, nested headers are merged, the header rows and frozen
+   * columns are frozen and column widths follow the column config. `format: 'xls'` keeps the legacy
+   * export of the rendered HTML table.
+   *
+   * @param {Object|string} [opts={}] - Export options, or just the file name.
+   * @param {string} [opts.filename='grid-data'] - The name for the exported file (the extension is added).
+   * @param {boolean} [opts.withTimestamp=false] - Appends `_yyyyMMdd_HHmmss` to the file name.
+   * @param {string} [opts.format='xlsx'] - 'xlsx', or 'xls' for the HTML table export.
+   * @param {string} [opts.rows='filtered'] - 'filtered' (all rows matching the filters), 'page' or 'selected'.
+   * @param {string} [opts.sheetName='Grid Data'] - The name of the grid's worksheet.
+   * @param {Array<Object>} [opts.sheets] - Additional worksheets, e.g. `otherGrid.getExcelSheet()`.
+   */
+  exportToExcel(opts = {}) {
+    if (typeof opts === "string") opts = { filename: opts };
+    const format = opts.format === "xls" ? "xls" : "xlsx";
+    let filename = (opts.filename || "grid-data").replace(/\.xlsx?$/i, "");
 
     if (opts.withTimestamp) {
-      const timestamp = new Date();
-      const nameParts = filename.split(".xls");
-      filename = `${nameParts[0]}_${formatDate(
-        timestamp,
-        "yyyyMMdd_HHmmss"
-      )}.xls`;
+      filename = `${filename}_${formatDate(new Date(), "yyyyMMdd_HHmmss")}`;
+    }
+    filename += `.${format}`;
+
+    if (format === "xlsx") {
+      const sheets = [
+        this.getExcelSheet({ rows: opts.rows, name: opts.sheetName }),
+        ...(opts.sheets || []),
+      ];
+      this.exporter.exportXlsx(sheets, filename);
+      return;
     }
 
     // The table is managed by the Renderer, so we get it from there
@@ -419,14 +2081,462 @@ export class Grid {
     }
   }
 
-  startEdit(rowData) {
-    this.renderer.showEditForm(rowData, this.config.editForm, (updatedData) => {
-      this.store.updateRecord(this.config.keyField, updatedData);
-      this.render();
+  /**
+   * Exports the grid data to a CSV (or TSV) file: one column per leaf column, the column
+   * titles as header row, and the cell texts as shown in the grid (`dateFormat`, `nullPlaceholder`
+   * and custom `render` output).
+   *
+   * @param {Object|string} [opts={}] - Export options, or just the file name.
+   * @param {string} [opts.filename='grid-data'] - The name for the exported file (the extension is added).
+   * @param {boolean} [opts.withTimestamp=false] - Appends `_yyyyMMdd_HHmmss` to the file name.
+   * @param {string} [opts.format='csv'] - 'csv' or 'tsv' (tab delimited).
+   * @param {string} [opts.delimiter] - The field delimiter (default: ',' for CSV, tab for TSV).
+   * @param {string} [opts.quote='"'] - The quote character.
+   * @param {boolean} [opts.quoteAll=false] - Quotes every field.
+   * @param {boolean} [opts.bom=true] - Starts the file with a UTF-8 byte order mark (for Excel).
+   * @param {boolean} [opts.includeHeaders=true] - Writes the header row.
+   * @param {string} [opts.rows='filtered'] - 'filtered' (all rows matching the filters), 'page' or 'selected'.
+   */
+  exportToCSV(opts = {}) {
+    if (typeof opts === "string") opts = { filename: opts };
+    const format = opts.format === "tsv" ? "tsv" : "csv";
+    let filename = (opts.filename || "grid-data").replace(/\.(csv|tsv)$/i, "");
+
+    if (opts.withTimestamp) {
+      filename = `${filename}_${formatDate(new Date(), "yyyyMMdd_HHmmss")}`;
+    }
+
+    this.csvExporter.export(this._getCSVRows(opts), `${filename}.${format}`, {
+      ...opts,
+      delimiter: opts.delimiter || (format === "tsv" ? "\t" : ","),
+    });
+  }
+
+  /**
+   * Returns the grid data as CSV text (see {@link Grid#exportToCSV} for the options; no BOM is added).
+   * @param {Object} [opts={}]
+   * @returns {string}
+   */
+  getCSV(opts = {}) {
+    return toCSV(this._getCSVRows(opts), {
+      ...opts,
+      delimiter: opts.delimiter || (opts.format === "tsv" ? "\t" : ","),
+    });
+  }
+
+  /**
+   * The rows of a CSV export: the header row (unless `includeHeaders` is false) and the cell texts.
+   * @param {Object} opts - The export options.
+   * @returns {Array<Array<string>>}
+   * @private
+   */
+  _getCSVRows(opts) {
+    const leafColumns = this._getLeafColumns();
+    const rows = [];
+    if (opts.includeHeaders !== false) {
+      rows.push(leafColumns.map((column) => column.title ?? column.key));
+    }
+    this._getExportRecords(opts.rows).forEach((rowData) => {
+      rows.push(
+        leafColumns.map((column) =>
+          this.renderer.getCellText(column, rowData, this.config)
+        )
+      );
     });
+    return rows;
+  }
+
+  /**
+   * The records an export covers.
+   * @param {string} [scope='filtered'] - 'filtered' (all rows matching the filters, in view order),
+   * 'page' (the current page) or 'selected' (the selected rows).
+   * @returns {Array<Object>}
+   * @private
+   */
+  _getExportRecords(scope = "filtered") {
+    if (scope === "page") return this._renderedData || [];
+    if (scope === "selected") return this.getSelectedRows();
+    return this.store.getData();
+  }
+
+  /**
+   * Builds a worksheet definition for {@link XlsxWriter} from the data store: the (nested)
+   * column headers with merged group cells, one row per record and the aggregate footer.
+   * Date columns become date serials formatted with `column.excelFormat` or the grid's `dateFormat`,
+   * number columns become numbers (`column.excelFormat`, e.g. '#,##0.00', sets their format) and other
+   * columns with a custom `render` export the text shown in the cell.
+   *
+   * @param {Object} [opts={}]
+   * @param {string} [opts.rows='filtered'] - 'filtered' (all rows matching the filters, in view order), 'page' or 'selected'.
+   * @param {string} [opts.name='Grid Data'] - The worksheet name.
+   * @returns {Object} The sheet definition `{ name, rows, merges, columns, freeze }`.
+   */
+  getExcelSheet(opts = {}) {
+    const { headerRows, leafColumns } =
+      this.renderer._calculateHeaderStructure(this.config.columns);
+    const records = this._getExportRecords(opts.rows);
+    const dateFormat = toExcelDateFormat(this.config.dateFormat);
+
+    const rows = [];
+    const merges = [];
+    headerRows.forEach((headerRow, level) => {
+      const cells = new Array(leafColumns.length).fill(null);
+      headerRow.forEach((header) => {
+        cells[header.colStart] = { value: header.title ?? header.key, bold: true };
+        merges.push({
+          row: level,
+          col: header.colStart,
+          rowspan: header.rowspan,
+          colspan: header.colspan,
+        });
+      });
+      rows.push(cells);
+    });
+
+    records.forEach((rowData) => {
+      rows.push(
+        leafColumns.map((column) => this._getExcelCell(column, rowData, dateFormat))
+      );
+    });
+
+    const aggregates = this.getFooterAggregates();
+    if (aggregates) {
+      rows.push(
+        leafColumns.map((column) => {
+          if (!Object.hasOwn(aggregates, column.key)) return null;
+          const value = aggregates[column.key];
+          const isTyped = typeof value === "number" || value instanceof Date;
+          if (isTyped && typeof column.aggregateFormatter !== "function") {
+            return {
+              value,
+              bold: true,
+              format: column.excelFormat || (value instanceof Date ? dateFormat : undefined),
+            };
+          }
+          return {
+            value: this.renderer.formatAggregate(column, value, this.config),
+            bold: true,
+          };
+        })
+      );
+    }
+
+    // Frozen columns are the leading leaf columns marked `freeze`
+    const frozenCols = leafColumns.findIndex((column) => column.freeze !== true);
+
+    return {
+      name: opts.name || "Grid Data",
+      rows,
+      merges,
+      columns: leafColumns.map((column) => ({
+        width: Grid._toExcelWidth(column.width),
+      })),
+      freeze: {
+        rows: headerRows.length,
+        cols: frozenCols === -1 ? leafColumns.length : frozenCols,
+      },
+    };
+  }
+
+  /**
+   * The exported value of a cell: a typed `{ value, format }` for number and date columns
+   * (and raw numbers, booleans and Dates), otherwise the text of the cell.
+   * @param {Object} column - The leaf column.
+   * @param {Object} rowData - The record.
+   * @param {string} dateFormat - The Excel date format of date cells.
+   * @returns {*} The cell for {@link XlsxWriter}.
+   * @private
+   */
+  _getExcelCell(column, rowData, dateFormat) {
+    const raw = rowData[column.key];
+    if (raw === null || raw === undefined || raw === "") return null;
+
+    const datatype = getDatatype(column);
+    if (datatype === "date" || raw instanceof Date) {
+      const date = parseDateValue(raw);
+      if (date) return { value: date, format: column.excelFormat || dateFormat };
+    }
+    if (datatype === "number" || typeof raw === "number") {
+      const number = parseNumberValue(raw);
+      if (Number.isFinite(number)) return { value: number, format: column.excelFormat };
+    }
+    if (typeof raw === "boolean" && !column.render) return raw;
+
+    return column.render
+      ? this.renderer.getCellText(column, rowData, this.config)
+      : String(raw);
   }
 
+  /**
+   * Converts a CSS column width to an Excel column width (characters).
+   * Only pixel widths (or plain numbers) are converted.
+   * @param {string|number} width - The column's `width`.
+   * @returns {number|undefined}
+   * @private
+   */
+  static _toExcelWidth(width) {
+    const pixels =
+      typeof width === "number"
+        ? width
+        : /^\s*\d+(\.\d+)?(px)?\s*$/.test(width || "")
+        ? parseFloat(width)
+        : NaN;
+    // Roughly 7 pixels per character of Excel's default font, plus cell padding
+    return Number.isFinite(pixels) && pixels > 0
+      ? Math.max(1, Math.round((pixels / 7) * 100) / 100)
+      : undefined;
+  }
+
+  /**
+   * Returns the row keys of a list of records.
+   * @param {Array<Object>} rows - The records.
+   * @returns {Array<string>}
+   * @private
+   */
+  _keysOf(rows) {
+    return rows.map((row) =>
+      this.store.getKeyFieldValue(this.config.keyField, row)
+    );
+  }
+
+  /**
+   * Handles a selection gesture on a row (row click or checkbox click).
+   * Shift selects the range from the last clicked row in the current sort/filter order,
+   * Ctrl/Cmd or the checkbox toggles the row, a plain row click selects only that row.
+   * @param {string} key - The row key.
+   * @param {Object} [opts={}] - The gesture.
+   * @param {boolean} [opts.shiftKey] - Range selection.
+   * @param {boolean} [opts.ctrlKey] - Toggle, keeping the rest of the selection.
+   * @param {boolean} [opts.toggle] - Toggle (checkbox clicks).
+   */
+  handleRowSelection(key, opts = {}) {
+    if (!this.selection) return;
+    const previous = this.selection.getSelectedKeys();
+
+    if (opts.shiftKey) {
+      this.selection.selectRange(this._keysOf(this.store.getData()), key, {
+        append: opts.ctrlKey === true,
+      });
+    } else if (opts.toggle || opts.ctrlKey) {
+      this.selection.toggle(key);
+    } else {
+      this.selection.select([key], { append: false });
+    }
+    this._selectionChanged(previous);
+  }
+
+  /**
+   * Selects or deselects every row of the configured `selectAllScope`
+   * ('page': the rendered rows, 'filtered': all rows passing the filters).
+   * @param {boolean} checked - Select (true) or deselect (false).
+   */
+  toggleSelectAll(checked) {
+    if (!this.selection) return;
+    const keys = this._getSelectAllScopeKeys();
+    if (checked) {
+      this.selectRows(keys);
+    } else {
+      this.deselectRows(keys);
+    }
+  }
+
+  /**
+   * The keys of the rows the select-all checkbox applies to.
+   * @returns {Array<string>}
+   * @private
+   */
+  _getSelectAllScopeKeys() {
+    const rows =
+      this.config.selection?.selectAllScope === "filtered"
+        ? this.store.getData()
+        : this._renderedData || [];
+    return this._keysOf(rows);
+  }
+
+  /**
+   * Selects rows by key, keeping the current selection (in single mode only the last key is kept).
+   * @param {Array<string|number>} keys - The key field values.
+   */
+  selectRows(keys) {
+    if (!this.selection) return;
+    const previous = this.selection.getSelectedKeys();
+    this.selection.select(keys);
+    this._selectionChanged(previous);
+  }
+
+  /**
+   * Deselects rows by key.
+   * @param {Array<string|number>} keys - The key field values.
+   */
+  deselectRows(keys) {
+    if (!this.selection) return;
+    const previous = this.selection.getSelectedKeys();
+    this.selection.deselect(keys);
+    this._selectionChanged(previous);
+  }
+
+  /**
+   * Deselects all rows.
+   */
+  clearSelection() {
+    if (!this.selection) return;
+    const previous = this.selection.getSelectedKeys();
+    this.selection.clear();
+    this._selectionChanged(previous);
+  }
+
+  /**
+   * Whether the row with the given key is selected.
+   * @param {string|number} key - The key field value.
+   * @returns {boolean}
+   */
+  isRowSelected(key) {
+    return !!this.selection?.isSelected(key);
+  }
+
+  /**
+   * The key field values of the selected rows.
+   * @returns {Array<string>}
+   */
+  getSelectedKeys() {
+    return this.selection ? this.selection.getSelectedKeys() : [];
+  }
+
+  /**
+   * The selected records, including those hidden by filters or on other pages.
+   * In server mode only the records of the loaded page can be resolved.
+   * @returns {Array<Object>}
+   */
+  getSelectedRows() {
+    return this.getSelectedKeys()
+      .map((key) => this.store.getRecordById(key))
+      .filter(Boolean);
+  }
+
+  /**
+   * Selects a range of cells on the current page (see {@link ClipboardManager}).
+   * @param {{row: number, col: number}} start - The first cell: row index on the page and leaf column index.
+   * @param {{row: number, col: number}} [end=start] - The opposite corner, which becomes the active cell.
+   * @returns {boolean} Whether a range is selected.
+   */
+  selectCellRange(start, end = start) {
+    return this.clipboard.setRange(start, end);
+  }
+
+  /**
+   * The selected cell range: its bounds, records and columns, or null.
+   * @returns {Object|null}
+   */
+  getCellRange() {
+    return this.clipboard.getRange();
+  }
+
+  /**
+   * Copies the selected cell range to the clipboard as tab-separated text and HTML.
+   * @returns {{text: string, html: string}|null} The copied content.
+   */
+  copyCellRange() {
+    return this.clipboard.copy();
+  }
+
+  /**
+   * Pastes tab-separated text at the selected cell range (see {@link ClipboardManager#paste}).
+   * @param {string} text - The text to paste.
+   * @returns {Array<Object>|null} The applied changes.
+   */
+  pasteText(text) {
+    return this.clipboard.paste(text);
+  }
+
+  /**
+   * Undoes the last paste.
+   * @returns {boolean} Whether there was something to undo.
+   */
+  undo() {
+    return this.clipboard.undo();
+  }
+
+  /**
+   * Updates the rendered rows after a selection change and emits `selectionChanged`.
+   * @param {Array<string>} previousKeys - The selected keys before the change.
+   * @private
+   */
+  _selectionChanged(previousKeys) {
+    const current = this.selection.getSelectedKeys();
+    const before = new Set(previousKeys);
+    const after = new Set(current);
+    const added = current.filter((key) => !before.has(key));
+    const removed = previousKeys.filter((key) => !after.has(key));
+
+    this._syncSelectionUI();
+    if (added.length === 0 && removed.length === 0) return;
+
+    this._emit("selectionChanged", {
+      selectedKeys: current,
+      selectedRows: this.getSelectedRows(),
+      added,
+      removed,
+    });
+  }
+
+  /**
+   * Reflects the selection in the rendered rows and the select-all checkbox.
+   * @private
+   */
+  _syncSelectionUI() {
+    if (!this.selection) return;
+    const scopeKeys = this._getSelectAllScopeKeys();
+    const selectedInScope = scopeKeys.filter((key) =>
+      this.selection.isSelected(key)
+    ).length;
+
+    this.renderer.updateSelection((key) => this.selection.isSelected(key), {
+      checked: scopeKeys.length > 0 && selectedInScope === scopeKeys.length,
+      indeterminate:
+        selectedInScope > 0 && selectedInScope < scopeKeys.length,
+    });
+  }
+
+  /**
+   * Starts editing a record. In `popup` mode a modal form is opened; in `cell` mode (or when a
+   * column key is given) a single cell is edited, otherwise every editable cell of the row is
+   * edited inline. Saving validates the values, updates the record in the store and re-renders the row.
+   * @param {Object} rowData - The record to edit.
+   * @param {string} [columnKey] - The column to edit in cell mode.
+   * @returns {boolean|Promise<Object|null>} Whether the edit started, or in popup mode a promise
+   * resolving with the updated record (null if cancelled).
+   */
+  startEdit(rowData, columnKey) {
+    const mode = this.config.editForm?.mode || "inline";
+    if (this._emit("beforeEdit", { rowData, columnKey, mode }).defaultPrevented) {
+      return false;
+    }
+    if (mode === "popup" && !columnKey) {
+      return this.editManager.startPopupEdit(rowData);
+    }
+    if (mode === "cell" || columnKey) {
+      const key =
+        columnKey ||
+        this.renderer._lastRender?.leafColumns.find((column) =>
+          this.editManager.isEditable(column, rowData)
+        )?.key;
+      return this.editManager.startCellEdit(rowData, key);
+    }
+    return this.editManager.startRowEdit(rowData);
+  }
+
+  /**
+   * Saves the active edit, if its values are valid.
+   * @returns {Object|null} The updated record, or null if nothing was saved.
+   */
+  saveEdit() {
+    return this.editManager.save();
+  }
+
+  /**
+   * Cancels the active edit and restores the row.
+   */
   endEdit() {
-    this.renderer.hideEditForm();
+    this.editManager.cancel();
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,370 @@
+/**
+ * Implements the keyboard interaction of the WAI-ARIA grid pattern for a grid's table.
+ *
+ * One cell of the table is in the tab order (roving tabindex); the arrow keys move the focus
+ * between header and body cells, Home/End to the first/last cell of the row (with Ctrl: of the
+ * table) and PageUp/PageDown by the number of rows that fit in the viewport. On a focused header,
+ * Enter or Space sorts (Shift adds the column to the sort) and Alt+ArrowDown opens the filter
+ * menu. On a body cell, Enter or F2 starts editing (`editForm.mode` 'cell'), Enter opens the
+ * action menu in the action column and Space toggles the row selection in the checkbox column.
+ * Enter or Space in the detail column expands or collapses the row's detail.
+ *
+ * With `clipboard.enabled`, moving the focus also moves the active cell of the cell range and
+ * Shift+arrows extend the range (see {@link ClipboardManager}).
+ *
+ * @class
+ * @example
+ * const keyboard = new KeyboardNavigator(gridInstance);
+ * keyboard.focusCell(2, 1); // Focus the first cell of the first body row (one header row)
+ *
+ * @param {Grid} gridInstance - The grid whose table is navigated.
+ */
+export class KeyboardNavigator {
+  /**
+   * Creates an instance of KeyboardNavigator.
+   * @param {Grid} gridInstance - The grid whose table is navigated.
+   */
+  constructor(gridInstance) {
+    this.grid = gridInstance;
+  }
+
+  /**
+   * Moves the keyboard focus to the cell at a grid position.
+   * @param {number} rowIndex - The `aria-rowindex` of the row (header rows come first).
+   * @param {number} colIndex - The `aria-colindex` of the column (leading columns come first).
+   * @returns {boolean} Whether the cell is rendered and was focused.
+   */
+  focusCell(rowIndex, colIndex) {
+    const cell = this.grid.renderer.getCellAt(rowIndex, colIndex);
+    if (!cell) return false;
+    this._activate(cell);
+    return true;
+  }
+
+  /**
+   * Gives the focus back to a cell after the table was re-rendered: the cell at the same
+   * position, or the nearest one when the page got shorter.
+   * @param {Object|null} position - The position from {@link Renderer#getFocusedCellPosition}
+   *   taken before the render.
+   */
+  restoreFocus(position) {
+    if (!position) return;
+    const renderer = this.grid.renderer;
+    const rows = this._getRows();
+    if (rows.length === 0) return;
+
+    const row =
+      rows.find((tr) => Number(tr.getAttribute("aria-rowindex")) === position.rowIndex) ||
+      (position.row.parentElement?.tagName === "THEAD"
+        ? rows[0]
+        : rows[rows.length - 1]);
+    const cell = renderer.getCellInRow(row, position.colIndex) || row.cells[0];
+    if (!cell) return;
+
+    renderer.setActiveCell(cell);
+    // Keep the focus on the filter icon, e.g. after applying a filter
+    if (position.target?.classList?.contains("filter-icon")) {
+      cell.querySelector(".filter-icon")?.focus();
+    }
+  }
+
+  /**
+   * Handles a keydown event from inside the table.
+   * @param {KeyboardEvent} event - The event.
+   */
+  handleKeyDown(event) {
+    const renderer = this.grid.renderer;
+    const target = event.target;
+    const cell = target.closest?.("th, td");
+    if (!cell || !renderer.table?.contains(cell)) return;
+    const row = cell.parentElement;
+    if (!row.hasAttribute("aria-rowindex")) return; // Spacers, edit bars
+
+    // Controls inside cells (editors, checkboxes) keep their own keys; the filter icon and the
+    // action menu button navigate like their cell
+    const onFilterIcon = target.classList.contains("filter-icon");
+    if (target !== cell && !onFilterIcon && !target.classList.contains("action-trigger")) return;
+
+    const ctrlKey = event.ctrlKey || event.metaKey;
+    const isHeader = cell.tagName === "TH";
+    const key = event.key;
+
+    const opensFilter = event.altKey
+      ? key === "ArrowDown"
+      : onFilterIcon && (key === "Enter" || key === " ");
+    if (isHeader && opensFilter) {
+      event.preventDefault();
+      this._openFilterMenu(cell);
+      return;
+    }
+
+    const clipboard = this.grid.clipboard;
+    const rangeMoves = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+    if (event.shiftKey && rangeMoves[key] && clipboard.isEnabled() && clipboard.getCellPosition(cell)) {
+      event.preventDefault();
+      if (!clipboard.range) clipboard.setRange(clipboard.getCellPosition(cell));
+      clipboard.move(...rangeMoves[key], true);
+      return;
+    }
+
+    switch (key) {
+      case "ArrowUp":
+        return this._move(event, cell, -1, 0);
+      case "ArrowDown":
+        return this._move(event, cell, 1, 0);
+      case "ArrowLeft":
+        return this._move(event, cell, 0, -1);
+      case "ArrowRight":
+        return this._move(event, cell, 0, 1);
+      case "PageUp":
+        return this._move(event, cell, -this._getPageStep(), 0);
+      case "PageDown":
+        return this._move(event, cell, this._getPageStep(), 0);
+      case "Home":
+      case "End": {
+        event.preventDefault();
+        const rows = this._getRows();
+        const targetRow = ctrlKey ? (key === "Home" ? rows[0] : this._getLastRow(rows)) : row;
+        if (!targetRow) return;
+        const cells = targetRow.cells;
+        this._activate(key === "Home" ? cells[0] : cells[cells.length - 1]);
+        return;
+      }
+      case "Enter":
+      case " ":
+      case "F2":
+        this._activateCell(event, cell);
+        return;
+      default:
+        return;
+    }
+  }
+
+  /**
+   * Runs the action of a focused cell: sorting a header, editing a cell, opening the row menu,
+   * toggling the row selection, a group or a row's detail.
+   * @param {KeyboardEvent} event - The Enter, Space or F2 keydown event.
+   * @param {HTMLTableCellElement} cell - The focused cell.
+   * @private
+   */
+  _activateCell(event, cell) {
+    const { key } = event;
+
+    if (cell.tagName === "TH") {
+      const selectAll = cell.querySelector(".select-all");
+      if (selectAll && key !== "F2") {
+        event.preventDefault();
+        selectAll.click();
+        return;
+      }
+      const columnKey = cell.dataset.key;
+      if (key === "F2" || cell.colSpan !== 1 || !this.grid.getColumn(columnKey)) return;
+      event.preventDefault();
+      this.grid.handleHeaderClick(columnKey, { additive: event.shiftKey });
+      return;
+    }
+
+    const groupRow = cell.closest("tr.grid-group-row");
+    if (groupRow) {
+      if (key === "F2") return;
+      event.preventDefault();
+      this.grid.toggleGroup(groupRow.dataset.groupId);
+      return;
+    }
+
+    const control = cell.querySelector(
+      key === " " ? ".row-select, .grid-detail-toggle" : ".action-trigger, .grid-detail-toggle"
+    );
+    if (control && key !== "F2") {
+      event.preventDefault();
+      control.click();
+      return;
+    }
+
+    const rowElement = cell.closest("tr[key]");
+    const column = rowElement && this.grid.renderer.getColumnForCell(cell);
+    if (!column || key === " " || this.grid.config.editForm?.mode !== "cell") return;
+    const rowData = this.grid.store.getRecordById(
+      rowElement.getAttribute("key"),
+      this.grid.config.keyField
+    );
+    if (!rowData) return;
+    event.preventDefault();
+    this.grid.startEdit(rowData, column.key);
+  }
+
+  /**
+   * Opens the filter menu of a focused header, anchored to its filter icon.
+   * @param {HTMLTableCellElement} th - The header cell.
+   * @private
+   */
+  _openFilterMenu(th) {
+    const icon = th.querySelector(".filter-icon");
+    if (!icon || !th.dataset.key) return;
+    this.grid.handleFilterIconClick(th.dataset.key, icon);
+  }
+
+  /**
+   * Moves the focus by a number of rows and/or columns. Vertical moves skip rows without a cell
+   * in the column (covered by a header spanning several rows) and stop at the first/last row.
+   * @param {KeyboardEvent} event - The keydown event, prevented when handled.
+   * @param {HTMLTableCellElement} cell - The focused cell.
+   * @param {number} rowDelta - Rows to move (negative: up).
+   * @param {number} colDelta - -1 or 1 to move to the previous/next cell of the row.
+   * @private
+   */
+  _move(event, cell, rowDelta, colDelta) {
+    event.preventDefault();
+    const renderer = this.grid.renderer;
+    const colIndex = Number(cell.getAttribute("aria-colindex"));
+
+    if (colDelta !== 0) {
+      const targetCol = colDelta < 0 ? colIndex - 1 : colIndex + cell.colSpan;
+      const next = this._findCellInColumn(cell.parentElement, targetCol);
+      if (next) this._activate(next);
+      return;
+    }
+
+    const ordinal = this._getOrdinal(cell.parentElement);
+    const last = this._getRowTotal() - 1;
+    const targetOrdinal = Math.max(0, Math.min(last, ordinal + rowDelta));
+    if (targetOrdinal === ordinal) return;
+
+    // Rows from the target onwards, then back towards the focused row, until one has a cell
+    // in the column
+    const step = rowDelta < 0 ? -1 : 1;
+    const candidates = [];
+    for (let o = targetOrdinal; o >= 0 && o <= last; o += step) candidates.push(o);
+    for (let o = targetOrdinal - step; o !== ordinal; o -= step) candidates.push(o);
+    for (const o of candidates) {
+      const row = this._getRowByOrdinal(o);
+      const next = row && renderer.getCellInRow(row, colIndex);
+      if (next) {
+        this._activate(next);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Focuses a cell, making it the tab stop, and moves the active cell of the cell range to it.
+   * @param {HTMLTableCellElement} cell - The cell.
+   * @private
+   */
+  _activate(cell) {
+    if (!cell) return;
+    this.grid.renderer.setActiveCell(cell);
+
+    const clipboard = this.grid.clipboard;
+    const position = clipboard.isEnabled() && clipboard.getCellPosition(cell);
+    if (position) clipboard.setRange(position);
+  }
+
+  /**
+   * The cell covering a column in a row, or in a row above whose cell spans down to it.
+   * @param {HTMLTableRowElement} row - The row.
+   * @param {number} colIndex - The `aria-colindex` of the column.
+   * @returns {HTMLTableCellElement|null}
+   * @private
+   */
+  _findCellInColumn(row, colIndex) {
+    const renderer = this.grid.renderer;
+    const own = renderer.getCellInRow(row, colIndex);
+    if (own) return own;
+    if (row.parentElement?.tagName !== "THEAD") return null;
+
+    const headerRows = Array.from(row.parentElement.rows);
+    const rowPosition = headerRows.indexOf(row);
+    for (let i = rowPosition - 1; i >= 0; i--) {
+      const cell = renderer.getCellInRow(headerRows[i], colIndex);
+      if (cell && i + cell.rowSpan > rowPosition) return cell;
+    }
+    return null;
+  }
+
+  /**
+   * The rendered rows that hold navigable cells (header rows first), in display order.
+   * @returns {Array<HTMLTableRowElement>}
+   * @private
+   */
+  _getRows() {
+    const table = this.grid.renderer.table;
+    // Direct rows only: a grid nested in a detail row is navigated on its own
+    return table
+      ? Array.from(
+          table.querySelectorAll(
+            ":scope > thead > tr[aria-rowindex], :scope > tbody > tr[aria-rowindex]"
+          )
+        )
+      : [];
+  }
+
+  /**
+   * The last row of the table, scrolling it into the window when virtual scrolling.
+   * @param {Array<HTMLTableRowElement>} rows - The rendered rows.
+   * @returns {HTMLTableRowElement|undefined}
+   * @private
+   */
+  _getLastRow(rows) {
+    return this._getRowByOrdinal(this._getRowTotal() - 1) || rows[rows.length - 1];
+  }
+
+  /**
+   * The position of a row among all rows of the page: header rows, then body rows.
+   * Body rows are numbered from the first row of the page, also with virtual scrolling.
+   * @param {HTMLTableRowElement} row - A row with `aria-rowindex`.
+   * @returns {number}
+   * @private
+   */
+  _getOrdinal(row) {
+    const { headerRowCount, rowOffset } = this.grid.renderer._aria;
+    const rowIndex = Number(row.getAttribute("aria-rowindex"));
+    return rowIndex <= headerRowCount ? rowIndex - 1 : rowIndex - rowOffset - 1;
+  }
+
+  /**
+   * The number of rows of the page, header rows included.
+   * @returns {number}
+   * @private
+   */
+  _getRowTotal() {
+    const renderer = this.grid.renderer;
+    const { headerRowCount } = renderer._aria;
+    const bodyCount = renderer._virtual
+      ? renderer._virtual.data.length
+      : renderer.tbody.querySelectorAll(":scope > tr[aria-rowindex]").length;
+    return headerRowCount + bodyCount;
+  }
+
+  /**
+   * The row at a position among all rows of the page (see {@link KeyboardNavigator#_getOrdinal}),
+   * rendering it first when it is outside the virtual scrolling window.
+   * @param {number} ordinal - The position.
+   * @returns {HTMLTableRowElement|null}
+   * @private
+   */
+  _getRowByOrdinal(ordinal) {
+    const renderer = this.grid.renderer;
+    const { headerRowCount, rowOffset } = renderer._aria;
+    const rowIndex = ordinal < headerRowCount ? ordinal + 1 : ordinal + rowOffset + 1;
+    if (ordinal >= headerRowCount) renderer.revealBodyItem(ordinal - headerRowCount);
+    return renderer.getRowAt(rowIndex);
+  }
+
+  /**
+   * The number of rows PageUp/PageDown move: the body rows that fit in the viewport.
+   * @returns {number}
+   * @private
+   */
+  _getPageStep() {
+    const renderer = this.grid.renderer;
+    const scrollElement = renderer._getScrollElement();
+    const rowHeight =
+      renderer.tbody?.querySelector(":scope > tr[aria-rowindex]")?.offsetHeight ||
+      renderer._virtual?.rowHeight ||
+      0;
+    const viewportHeight = scrollElement.clientHeight || window.innerHeight;
+    if (!rowHeight || !viewportHeight) return 10;
+    return Math.max(1, Math.floor(viewportHeight / rowHeight) - 1);
+  }
+}
@@ -1,5 +1,7 @@
 import { CssLogics } from "./utils/CssLogics.js";
-import { formatDate } from "./utils/DateFunctions.js";
+import { formatDate, parseDateValue } from "./utils/DateFunctions.js";
+import { AGGREGATE_LABELS } from "./utils/Aggregates.js";
+import { getDatatype, sortByIndex } from "./utils/Columns.js";
 
 /**
  * Renderer is a utility class for rendering HTML tables (grids) into a specified container element.
@@ -25,6 +27,13 @@ export class Renderer {
 
     this.table = null;
     this.tbody = null;
+    this._lastRender = null; // Leaf columns and config of the last render
+    this._virtual = null; // Virtual scrolling state of the current render
+    this._columnLeftOffsets = {}; // Frozen column offsets keyed by cell index
+    this.toolbar = null; // Toolbar above the table, kept across renders
+    this.renderedRows = []; // Records of the current page, in display order
+    this.onRowsRendered = null; // Called after virtual scrolling replaced the body rows
+    this.onColumnResized = null; // Called with (key, [{ key, width }]) after a header was resized
   }
 
   /**
@@ -35,8 +44,11 @@ export class Renderer {
    * @param {Object} pagingState - The current paging state (currentPage, totalPages, etc).
    */
   render(data, config, pagingState) {
-    // Clear the container (ShadowRoot or HTMLElement)
-    this.container.innerHTML = "";
+    // Clear the container (ShadowRoot or HTMLElement), keeping the toolbar so its inputs keep focus
+    Array.from(this.container.childNodes).forEach((node) => {
+      if (node !== this.toolbar) node.remove();
+    });
+    this._columnLeftOffsets = {};
 
     // Inject custom CSS links before rendering content
     this._injectCustomStyles(config.customCSS);
@@ -46,6 +58,9 @@ export class Renderer {
     const { headerRows, leafColumns } = this._calculateHeaderStructure(
       config.columns
     );
+    this._lastRender = { leafColumns, headerRows, config };
+
+    this._renderToolbar(config);
 
     // ...
     this.table = document.createElement("table");
@@ -67,14 +82,15 @@ export class Renderer {
     // ✅ ADD <colgroup> TO MANAGE FIXED WIDTHS
     const colgroup = document.createElement("colgroup");
 
-    // Add Action Column <col>
-    if (config.actionColumn) {
+    // Add Leading Column <col> elements (action, selection)
+    const leadingColumns = this._getLeadingColumns(config);
+    leadingColumns.forEach((column) => {
       const col = document.createElement("col");
-      if (config.actionColumn.width) {
-        col.style.width = config.actionColumn.width;
+      if (column.width) {
+        col.style.width = column.width;
       }
       colgroup.appendChild(col);
-    }
+    });
 
     // Add Leaf Column <col> elements
     leafColumns.forEach((column) => {
@@ -96,8 +112,10 @@ export class Renderer {
 
     // This loop now builds the entire header structure first
     let maxCols = 0;
-    headerRows.forEach((row) => {
+    headerRows.forEach((row, rowIndex) => {
       const tr = document.createElement("tr");
+      tr.setAttribute("role", "row");
+      tr.setAttribute("aria-rowindex", rowIndex + 1);
       row.forEach((header) => {
         const th = document.createElement("th");
         Object.assign(th.style, config.thStyle);
@@ -107,18 +125,56 @@ export class Renderer {
         th.dataset.key = header.key;
         if (header.colspan > 1) th.colSpan = header.colspan;
         if (header.rowspan > 1) th.rowSpan = header.rowspan;
+        th.setAttribute("role", "columnheader");
+        th.setAttribute(
+          "aria-colindex",
+          leadingColumns.length + header.colStart + 1
+        );
+        th.tabIndex = -1;
+        if (
+          config.columnReorder?.enabled &&
+          header.key != null &&
+          header.reorderable !== false
+        ) {
+          th.draggable = true;
+        }
+
+        // Sort indicator: arrow for the direction, plus the priority when sorting by several columns
+        const sortState = config.sortState || [];
+        const sortIndex = header.colspan === 1
+          ? sortState.findIndex((entry) => entry.key === header.key)
+          : -1;
+        if (header.colspan === 1) {
+          th.setAttribute(
+            "aria-sort",
+            sortIndex === -1
+              ? "none"
+              : sortState[sortIndex].order === "desc"
+              ? "descending"
+              : "ascending"
+          );
+        }
+        if (sortIndex !== -1) {
+          const order = sortState[sortIndex].order;
+          th.dataset.sortOrder = order;
+          th.innerHTML += `&nbsp;<span class="sort-indicator" aria-hidden="true">${
+            order === "desc" ? "&#9660;" : "&#9650;"
+          }${sortState.length > 1 ? `<sup>${sortIndex + 1}</sup>` : ""}</span>`;
+        }
 
         if (config.filterData && header.colspan === 1) {
           th.innerHTML += `&nbsp;&nbsp;<i class="fa fa-filter filter-icon ${
             header.hasFilter ? " has-filter " : ""
           }" style="opacity:1 !important; visibility:visible !important; ${
             header.hasFilter ? "color: gray" : ""
-          }" aria-hidden="true"></i>`;
+          }" role="button" tabindex="-1" aria-haspopup="dialog" aria-label="Filter ${this.escapeHTML(
+            header.title ?? header.key
+          )}"></i>`;
         }
 
-        // ✅ FIX: Only add resizer to leaf columns (which have colspan = 1)
-        if (config.resizableColumns?.enabled && header.colspan === 1) {
-          this._setupColumnResizing(th, config);
+        // Group headers resize their leaf columns together
+        if (config.resizableColumns?.enabled) {
+          this._setupColumnResizing(th, header, config);
         }
 
         tr.appendChild(th);
@@ -127,137 +183,119 @@ export class Renderer {
       maxCols = Math.max(maxCols, row.length);
     });
 
-    // ✅ NEW: Now that the header rows are built, add the Action column header
-    if (config.actionColumn) {
-      const actionTh = document.createElement("th");
-      actionTh.textContent = config.actionColumn.title || "Actions";
+    // ✅ NEW: Now that the header rows are built, add the leading column headers (action, selection)
+    const firstHeaderRow = thead.querySelector("tr");
+    [...leadingColumns].reverse().forEach((column) => {
+      const leadingTh = document.createElement("th");
+      Object.assign(leadingTh.style, config.thStyle);
+      leadingTh.style.boxSizing = "border-box";
+      leadingTh.style.cursor = "default";
+      leadingTh.className = `${column.type}-header`;
       // Make it span all header rows
-      actionTh.rowSpan = headerRows.length;
+      leadingTh.rowSpan = headerRows.length;
+      leadingTh.setAttribute("role", "columnheader");
+      leadingTh.setAttribute(
+        "aria-colindex",
+        leadingColumns.indexOf(column) + 1
+      );
+      leadingTh.tabIndex = -1;
 
-      // Find the first header row and add it
-      const firstHeaderRow = thead.querySelector("tr");
-      if (firstHeaderRow) {
-        // Prepend to make it the first column, or use appendChild to make it the last
-        firstHeaderRow.prepend(actionTh);
+      if (column.type === "select") {
+        if (config.selection.mode === "multi") {
+          leadingTh.innerHTML = `<input type="checkbox" class="select-all" tabindex="-1" aria-label="Select all rows">`;
+        }
+      } else if (column.type === "detail") {
+        leadingTh.setAttribute("aria-label", config.detail.labels?.column || "Details");
+      } else {
+        leadingTh.textContent = column.title;
       }
-    }
-
-    let tbodyInnerHTML = "";
-    data.forEach((rowData) => {
-      let keyField = "";
-      config.keyField.split(",").forEach((key) => (keyField += rowData[key]));
-
-      let trInnerHTML = `<tr key="${keyField}">`; // Add key to the row
 
-      if (config.actionColumn) {
-        // Action menu button
-        trInnerHTML += `<td><button type="button" class="action-trigger" style="background-color:none; border: none"><i class="fa fa-bars"></i></button></td>`;
+      if (firstHeaderRow) {
+        // Prepend to make it the first column, or use appendChild to make it the last
+        firstHeaderRow.prepend(leadingTh);
       }
+    });
 
-      // Use the flat list of leafColumns to ensure correct order and cell count
-      leafColumns.forEach((column) => {
-        let cellValue = rowData[column.key] ?? config.nullPlaceholder;
+    const isVirtual = config.virtualScroll?.enabled === true;
 
-        // --- FINAL, ROBUST DATE FORMATTING LOGIC ---
-        if (
-          config.dateFormat &&
-          column.datatype &&
-          column.datatype.toLowerCase() === "date" &&
-          cellValue
-        ) {
-          let dateCandidate = null;
-
-          if (cellValue instanceof Date) {
-            // Case 1: Value is already a Date object (most reliable)
-            dateCandidate = cellValue;
-          } else if (typeof cellValue === "string") {
-            const valueString = cellValue.trim();
-
-            // Case 2: Handle common JSON date format like "/Date(1234567890000)/"
-            const match = valueString.match(/\/Date\((\d+)\)\//);
-
-            if (match) {
-              // Extract timestamp and create date
-              dateCandidate = new Date(parseInt(match[1], 10));
-            } else if (valueString !== "") {
-              // Case 3: Standard string parsing (ISO, RFC, etc.)
-              dateCandidate = new Date(valueString);
-            }
-          } else if (typeof cellValue === "number" && cellValue !== 0) {
-            // Case 4: Handle numeric timestamps. Skip small numbers (like IDs)
-            // by requiring a value greater than a small timestamp (e.g., 100 seconds after epoch)
-            // If it is a timestamp, it will be a very large number.
-            if (cellValue > 100000) {
-              dateCandidate = new Date(cellValue);
-            }
-          }
-          // console.log('Formatting date for column:', column.key, column, 'with value:', cellValue);
-          cellValue = formatDate(dateCandidate, config.dateFormat);
-        }
-        // --- END FINAL, ROBUST DATE FORMATTING LOGIC ---
+    // Grouped views render a list of group header, row and group footer items
+    const bodyItems = config.groupedView || data;
+    this.renderedRows = config.groupedView
+      ? bodyItems.filter((item) => item.type === "row").map((item) => item.rowData)
+      : data || [];
+    const buildItem = config.groupedView
+      ? (item) => this._buildBodyItemHTML(item, leafColumns, config)
+      : (rowData) =>
+          this._buildRowHTML(rowData, leafColumns, config) +
+          this._buildDetailRowHTML(rowData, leafColumns, config);
 
-        if (
-          column.datatype &&
-          column.datatype.toLowerCase() === "date" &&
-          config.dateFormat
-        ) {
-          const template = document.createElement("template");
-
-          // Render or fallback to plain <td>
-          const cellHTML = column.render
-            ? column.render(cellValue, rowData)
-            : `<td>${this.escapeHTML(cellValue)}</td>`;
-
-          template.innerHTML = cellHTML.trim();
-
-          const td = template.content.firstElementChild;
-
-          if (td) {
-            // Safely append Excel date formatting
-            const existingStyle = td.getAttribute("style") || "";
-            td.setAttribute(
-              "style",
-              `${existingStyle}; mso-number-format:'${config.dateFormat}';`
-            );
-            trInnerHTML += td.outerHTML;
-          } else {
-            // Fallback if render returned something invalid
-            trInnerHTML += `<td style="mso-number-format:'${
-              config.dateFormat
-            }';">${this.escapeHTML(cellValue)}</td>`;
-          }
-        } else {
-          // Non-date columns
-          const cellHTML = column.render
-            ? column.render(cellValue, rowData)
-            : `<td>${this.escapeHTML(cellValue)}</td>`;
-          trInnerHTML += cellHTML;
-        }
+    let tbodyInnerHTML = "";
+    if (!isVirtual) {
+      bodyItems.forEach((item) => {
+        tbodyInnerHTML += buildItem(item);
       });
-
-      trInnerHTML += `</tr>`;
-      tbodyInnerHTML += trInnerHTML;
-    });
+    }
 
     if (!data || data.length === 0) {
-      tbodyInnerHTML = `<td colspan="${maxCols}">No Data Available</td>`;
+      tbodyInnerHTML = `<tr><td colspan="${maxCols}">No Data Available</td></tr>`;
+    }
+
+    // Grid semantics: rows are numbered across pages, so the first row of page 2 continues
+    // where page 1 ended. Grouped pages mix group and data rows, their total is unknown.
+    const isPaged = config.paging?.enabled === true && !!pagingState;
+    this._aria = {
+      headerRowCount: headerRows.length,
+      rowOffset:
+        isPaged && !config.groupedView
+          ? (pagingState.currentPage - 1) * pagingState.pageSize
+          : 0,
+    };
+    let rowCount = headerRows.length + bodyItems.length;
+    if (config.groupedView) {
+      if (isPaged) rowCount = -1;
+    } else if (pagingState?.totalRecords != null) {
+      rowCount = headerRows.length + pagingState.totalRecords;
+    }
+    this.table.setAttribute("role", "grid");
+    this.table.setAttribute("aria-rowcount", rowCount);
+    this.table.setAttribute(
+      "aria-colcount",
+      leadingColumns.length + leafColumns.length
+    );
+    if (config.selectionModel && config.selection?.mode === "multi") {
+      this.table.setAttribute("aria-multiselectable", "true");
     }
+    thead.setAttribute("role", "rowgroup");
+    this.tbody.setAttribute("role", "rowgroup");
 
     this.tbody.innerHTML = tbodyInnerHTML;
+    this._applyRowAria(this.tbody.rows);
+    this._highlightSearchMatches(this.tbody.rows);
     this.table.appendChild(thead);
     this.table.appendChild(this.tbody);
+    if (config.footerAggregates) {
+      this.table.appendChild(this._buildFooter(leafColumns, config));
+    }
     this.container.appendChild(this.table);
 
+    if (isVirtual && data && data.length > 0) {
+      this._setupVirtualBody(bodyItems, leafColumns, config, buildItem);
+    } else {
+      this._virtual = null;
+    }
+
+    this._ensureTabStop();
+
     // After rendering the table, render the pager UI
     if (config.paging && config.paging.enabled) {
-      this.renderPager(pagingState);
+      this.renderPager(pagingState, config.paging);
     }
 
     // Apply sticky headers and frozen columns after full layout render
     const hasStickyHeaders = config.thStyle?.position === "sticky";
-    // Check if any leaf column or the action column is set to freeze
+    // Check if any leaf column or leading (action, selection) column is set to freeze
     const hasFrozenColumns =
-      config.actionColumn?.freeze === true ||
+      leadingColumns.some((c) => c.freeze === true) ||
       (leafColumns && leafColumns.some((c) => c.freeze === true));
 
     if (hasStickyHeaders || hasFrozenColumns) {
@@ -268,88 +306,1006 @@ export class Renderer {
 
       // 👇 Recalculate stickies when table resizes
       if (!this._resizeObserver) {
+        // Uses the columns of the latest render: they change when columns are shown, hidden or moved
         this._resizeObserver = new ResizeObserver(() => {
-          // ✅ Pass headerRows and leafColumns
-          this._applyStickyStyles(this.table, config, leafColumns, headerRows);
+          const last = this._lastRender;
+          this._applyStickyStyles(
+            this.table,
+            last.config,
+            last.leafColumns,
+            last.headerRows
+          );
         });
+      }
+
+      // Observe the header of the new table
+      this._resizeObserver.disconnect();
+      this._resizeObserver.observe(thead);
+      // Optional: observe each header row for better precision
+      Array.from(thead.rows).forEach((row) =>
+        this._resizeObserver.observe(row)
+      );
+    }
+  }
+
+  /**
+   * Builds the HTML string of a single body row (`<tr>`), including the action cell
+   * and one cell per leaf column (custom `render`, date formatting and escaping).
+   * @param {Object} rowData - The data object of the row.
+   * @param {Array<Object>} leafColumns - The flat list of leaf columns in display order.
+   * @param {Object} config - The grid configuration object.
+   * @returns {string} The `<tr>` HTML.
+   * @private
+   */
+  _buildRowHTML(rowData, leafColumns, config) {
+    const keyField = this.getRowKey(rowData, config.keyField);
+
+    const isSelected = config.selectionModel?.isSelected(keyField) === true;
+
+    // Add key to the row
+    let trInnerHTML = `<tr key="${this.escapeHTML(String(keyField))}"${
+      config.selectionModel
+        ? ` class="${isSelected ? "selected table-active" : ""}" aria-selected="${isSelected}"`
+        : ""
+    }>`;
+
+    this._getLeadingColumns(config).forEach((column) => {
+      if (column.type === "detail") {
+        trInnerHTML += `<td class="detail-toggle-cell" style="text-align:center">${this._buildDetailToggleHTML(
+          rowData,
+          keyField,
+          config
+        )}</td>`;
+      } else if (column.type === "action") {
+        // Action menu button
+        trInnerHTML += `<td><button type="button" class="action-trigger" tabindex="-1" aria-haspopup="menu" aria-label="Row actions" style="background-color:none; border: none"><i class="fa fa-bars"></i></button></td>`;
+      } else if (column.type === "select") {
+        trInnerHTML += `<td class="select-cell" style="text-align:center"><input type="checkbox" class="row-select" tabindex="-1" aria-label="Select row"${
+          isSelected ? " checked" : ""
+        }></td>`;
+      }
+    });
+
+    // Use the flat list of leafColumns to ensure correct order and cell count
+    leafColumns.forEach((column) => {
+      const cellValue = this._formatCellValue(column, rowData, config);
+
+      if (getDatatype(column) === "date" && config.dateFormat) {
+        const template = document.createElement("template");
+
+        // Render or fallback to plain <td>
+        const cellHTML = column.render
+          ? column.render(cellValue, rowData)
+          : `<td>${this.escapeHTML(cellValue)}</td>`;
+
+        template.innerHTML = cellHTML.trim();
 
-        const thead = this.table.querySelector("thead");
-        if (thead) {
-          this._resizeObserver.observe(thead);
-          // Optional: observe each header row for better precision
-          Array.from(thead.rows).forEach((row) =>
-            this._resizeObserver.observe(row)
+        const td = template.content.firstElementChild;
+
+        if (td) {
+          // Safely append Excel date formatting
+          const existingStyle = td.getAttribute("style") || "";
+          td.setAttribute(
+            "style",
+            `${existingStyle}; mso-number-format:'${config.dateFormat}';`
           );
+          trInnerHTML += td.outerHTML;
+        } else {
+          // Fallback if render returned something invalid
+          trInnerHTML += `<td style="mso-number-format:'${
+            config.dateFormat
+          }';">${this.escapeHTML(cellValue)}</td>`;
         }
+      } else {
+        // Non-date columns
+        const cellHTML = column.render
+          ? column.render(cellValue, rowData)
+          : `<td>${this.escapeHTML(cellValue)}</td>`;
+        trInnerHTML += cellHTML;
+      }
+    });
+
+    trInnerHTML += `</tr>`;
+
+    return trInnerHTML;
+  }
+
+  /**
+   * Builds the expand/collapse button of a row's detail, if the row has one.
+   * @param {Object} rowData - The data object of the row.
+   * @param {string} key - The row key.
+   * @param {Object} config - The grid configuration object.
+   * @returns {string} The `<button>` HTML, or an empty string.
+   * @private
+   */
+  _buildDetailToggleHTML(rowData, key, config) {
+    if (config.detail.isExpandable?.(rowData) === false) return "";
+    const expanded = config.detailRows?.isExpanded(key) === true;
+    const labels = config.detail.labels || {};
+    const label = expanded
+      ? labels.collapse || "Collapse details"
+      : labels.expand || "Expand details";
+    return `<button type="button" class="grid-detail-toggle" tabindex="-1" aria-expanded="${expanded}" aria-label="${this.escapeHTML(
+      label
+    )}" style="border:none; background:none; padding:0 4px;">${
+      expanded ? "&#9662;" : "&#9656;"
+    }</button>`;
+  }
+
+  /**
+   * Builds the HTML of one item of a grouped view: a group header, a data row or a group footer.
+   * @param {Object} item - The item (`{ type: 'group'|'row'|'footer', ... }`).
+   * @param {Array<Object>} leafColumns - The flat list of leaf columns in display order.
+   * @param {Object} config - The grid configuration object.
+   * @returns {string} The `<tr>` HTML.
+   * @private
+   */
+  _buildBodyItemHTML(item, leafColumns, config) {
+    if (item.type === "group") {
+      return this._buildGroupHeaderHTML(item, leafColumns, config);
+    }
+    if (item.type === "footer") {
+      return this._buildGroupFooterHTML(item, leafColumns, config);
+    }
+    return (
+      this._buildRowHTML(item.rowData, leafColumns, config) +
+      this._buildDetailRowHTML(item.rowData, leafColumns, config)
+    );
+  }
+
+  /**
+   * Builds the detail row shown below an expanded row: one cell spanning every column,
+   * leading columns included. Its content is attached after rendering (see {@link DetailManager}).
+   * @param {Object} rowData - The data object of the master row.
+   * @param {Array<Object>} leafColumns - The flat list of leaf columns in display order.
+   * @param {Object} config - The grid configuration object.
+   * @returns {string} The `<tr>` HTML, or an empty string when the row is not expanded.
+   * @private
+   */
+  _buildDetailRowHTML(rowData, leafColumns, config) {
+    const key = this.getRowKey(rowData, config.keyField);
+    if (!config.detailRows?.isExpanded(key)) return "";
+    const columnCount =
+      leafColumns.length + this._getLeadingColumns(config).length;
+    return `<tr class="grid-detail-row" data-detail-key="${this.escapeHTML(
+      String(key)
+    )}" role="row"><td class="grid-detail-cell" colspan="${columnCount}" role="gridcell" style="text-align:left; padding:8px 12px;"></td></tr>`;
+  }
+
+  /**
+   * Builds a group header row: a full-width cell with the expand/collapse toggle, the
+   * group column title and value, and the number of records in the group. The label is
+   * sticky, so it stays visible when the grid scrolls horizontally.
+   * @param {Object} group - The group item.
+   * @param {Array<Object>} leafColumns - The flat list of leaf columns in display order.
+   * @param {Object} config - The grid configuration object.
+   * @returns {string} The `<tr>` HTML.
+   * @private
+   */
+  _buildGroupHeaderHTML(group, leafColumns, config) {
+    const columnCount =
+      leafColumns.length + this._getLeadingColumns(config).length;
+    const column = leafColumns.find((leaf) => leaf.key === group.key) || {
+      key: group.key,
+      title: group.key,
+    };
+    const valueText = group.firstRow
+      ? this.getCellText(column, group.firstRow, config)
+      : String(group.value ?? config.nullPlaceholder ?? "");
+
+    return `<tr class="grid-group-row" data-group-id="${this.escapeHTML(
+      group.id
+    )}" data-level="${group.level}" aria-expanded="${group.expanded}">
+      <td colspan="${columnCount}" style="text-align:left; font-weight:bold;">
+        <span class="grid-group-label" style="position:sticky; left:0; padding-left:${
+          group.level * 16
+        }px;">
+          <button type="button" class="grid-group-toggle" tabindex="-1" aria-label="${
+            group.expanded ? "Collapse" : "Expand"
+          } group" style="border:none; background:none; padding:0 4px;">${
+      group.expanded ? "&#9662;" : "&#9656;"
+    }</button>
+          ${this.escapeHTML(String(column.title ?? column.key))}: ${this.escapeHTML(
+      valueText
+    )}
+          <span class="grid-group-count" style="font-weight:normal; color:#888;">(${
+            group.count
+          })</span>
+        </span>
+      </td></tr>`;
+  }
+
+  /**
+   * Builds a group footer row with the aggregates of the group's columns.
+   * @param {Object} footer - The footer item (`aggregates` by column key).
+   * @param {Array<Object>} leafColumns - The flat list of leaf columns in display order.
+   * @param {Object} config - The grid configuration object.
+   * @returns {string} The `<tr>` HTML.
+   * @private
+   */
+  _buildGroupFooterHTML(footer, leafColumns, config) {
+    let html = `<tr class="grid-group-footer" data-group-id="${this.escapeHTML(
+      footer.id
+    )}" style="font-style:italic;">`;
+    this._getLeadingColumns(config).forEach(() => {
+      html += "<td></td>";
+    });
+    leafColumns.forEach((column) => {
+      const hasAggregate = Object.hasOwn(footer.aggregates, column.key);
+      html += `<td>${
+        hasAggregate
+          ? this.escapeHTML(
+              this.formatAggregate(column, footer.aggregates[column.key], config)
+            )
+          : ""
+      }</td>`;
+    });
+    return `${html}</tr>`;
+  }
+
+  /**
+   * Builds the table footer: one row with the aggregate of every column that has one
+   * (`config.footerAggregates`), sticky at the bottom of the scroll area unless `footer.sticky` is false.
+   * @param {Array<Object>} leafColumns - The flat list of leaf columns in display order.
+   * @param {Object} config - The grid configuration object.
+   * @returns {HTMLTableSectionElement} The `<tfoot>` element.
+   * @private
+   */
+  _buildFooter(leafColumns, config) {
+    const tfoot = document.createElement("tfoot");
+    const tr = document.createElement("tr");
+    tr.className = "grid-footer-row";
+    const aggregates = config.footerAggregates;
+
+    const addCell = (column) => {
+      const td = document.createElement("td");
+      td.style.fontWeight = "bold";
+      if (config.footer?.sticky !== false) {
+        Object.assign(td.style, {
+          position: "sticky",
+          bottom: "0",
+          zIndex: 90,
+          background: "#f5f5f5",
+        });
+      }
+      if (column?.key && Object.hasOwn(aggregates, column.key)) {
+        td.dataset.key = column.key;
+        td.textContent = this.formatAggregate(column, aggregates[column.key], config);
       }
+      tr.appendChild(td);
+    };
+
+    this._getLeadingColumns(config).forEach(() => addCell(null));
+    leafColumns.forEach(addCell);
+
+    tfoot.appendChild(tr);
+    return tfoot;
+  }
+
+  /**
+   * Replaces the table footer with new aggregates, e.g. after a cell was edited in place.
+   * @param {Object<string, *>|null} aggregates - Aggregate values by column key; null removes the footer.
+   */
+  updateFooter(aggregates) {
+    if (!this.table || !this._lastRender) return;
+    const { leafColumns } = this._lastRender;
+    const config = { ...this._lastRender.config, footerAggregates: aggregates };
+    this._lastRender.config = config;
+
+    const current = this.table.querySelector(":scope > tfoot");
+    if (!aggregates) {
+      current?.remove();
+      return;
+    }
+    const tfoot = this._buildFooter(leafColumns, config);
+    if (current) {
+      current.replaceWith(tfoot);
+    } else {
+      this.table.appendChild(tfoot);
+    }
+  }
+
+  /**
+   * Formats an aggregate value for display: `column.aggregateFormatter(value, aggregate, column)`
+   * when given, otherwise the aggregate label ("Sum: 1200") with dates formatted by `dateFormat`
+   * and averages rounded to two decimals.
+   * @param {Object} column - The leaf column definition.
+   * @param {*} value - The aggregate value.
+   * @param {Object} config - The grid configuration object.
+   * @returns {string}
+   */
+  formatAggregate(column, value, config) {
+    if (typeof column.aggregateFormatter === "function") {
+      return String(column.aggregateFormatter(value, column.aggregate, column) ?? "");
+    }
+
+    let text;
+    if (value == null) {
+      text = config.nullPlaceholder ?? "";
+    } else if (value instanceof Date) {
+      text = formatDate(value, config.dateFormat || "yyyy-MM-dd");
+    } else if (typeof value === "number") {
+      text = String(Math.round(value * 100) / 100);
+    } else {
+      text = String(value);
+    }
+
+    const label = AGGREGATE_LABELS[column.aggregate];
+    return label ? `${label}: ${text}` : text;
+  }
+
+  /**
+   * The value shown in a cell before any custom `render`: the null placeholder for empty values
+   * and `dateFormat` applied to date columns.
+   * @param {Object} column - The leaf column definition.
+   * @param {Object} rowData - The data object of the row.
+   * @param {Object} config - The grid configuration object.
+   * @returns {*} The display value.
+   * @private
+   */
+  _formatCellValue(column, rowData, config) {
+    const rawValue = rowData[column.key];
+    let cellValue = rawValue ?? config.nullPlaceholder;
+
+    // --- FINAL, ROBUST DATE FORMATTING LOGIC ---
+    // Blank dates keep the null placeholder
+    if (
+      config.dateFormat &&
+      getDatatype(column) === "date" &&
+      rawValue != null &&
+      rawValue !== ""
+    ) {
+      const dateCandidate = parseDateValue(cellValue);
+      cellValue = formatDate(dateCandidate, config.dateFormat);
+    }
+    // --- END FINAL, ROBUST DATE FORMATTING LOGIC ---
+
+    return cellValue;
+  }
+
+  /**
+   * The text a cell displays, as the user sees it: formatted dates, the null placeholder,
+   * or the text content of a custom `render` output.
+   * @param {Object} column - The leaf column definition.
+   * @param {Object} rowData - The data object of the row.
+   * @param {Object} config - The grid configuration object.
+   * @returns {string}
+   */
+  getCellText(column, rowData, config) {
+    const cellValue = this._formatCellValue(column, rowData, config);
+    if (!column.render) {
+      return cellValue == null ? "" : String(cellValue);
+    }
+
+    const template = document.createElement("template");
+    template.innerHTML = `<table><tbody><tr>${column.render(
+      cellValue,
+      rowData
+    )}</tr></tbody></table>`;
+    return template.content.textContent;
+  }
+
+  /**
+   * Renders the toolbar above the table: the quick-search box and the column chooser button.
+   * The toolbar element is kept across renders so a focused search box keeps its focus and caret
+   * while the grid refreshes.
+   * @param {Object} config - The grid configuration object.
+   * @private
+   */
+  _renderToolbar(config) {
+    if (
+      !config.quickSearch?.enabled &&
+      !config.columnChooser?.enabled &&
+      !config.views?.enabled
+    ) {
+      this.toolbar?.remove();
+      this.toolbar = null;
+      return;
+    }
+
+    if (!this.toolbar) {
+      this.toolbar = document.createElement("div");
+      this.toolbar.className = "grid-toolbar";
+      Object.assign(this.toolbar.style, {
+        display: "flex",
+        alignItems: "center",
+        gap: "8px",
+        marginBottom: "6px",
+      });
+    }
+
+    this._renderQuickSearch(config);
+    this._renderViewsButton(config);
+    this._renderColumnChooserButton(config);
+
+    if (this.container.firstChild !== this.toolbar) {
+      this.container.prepend(this.toolbar);
+    }
+  }
+
+  /**
+   * Adds, updates or removes the quick-search box of the toolbar.
+   * @param {Object} config - The grid configuration object.
+   * @private
+   */
+  _renderQuickSearch(config) {
+    let searchInput = this.toolbar.querySelector(".grid-quick-search");
+    if (!config.quickSearch?.enabled) {
+      searchInput?.remove();
+      return;
+    }
+
+    if (!searchInput) {
+      searchInput = document.createElement("input");
+      searchInput.type = "search";
+      searchInput.className = "form-control form-control-sm grid-quick-search";
+      searchInput.style.maxWidth = "250px";
+      this.toolbar.prepend(searchInput);
+    }
+    searchInput.placeholder = config.quickSearch.placeholder || "";
+    searchInput.setAttribute(
+      "aria-label",
+      config.quickSearch.placeholder || "Search"
+    );
+
+    // Don't overwrite what the user is typing while the search is debounced
+    const activeElement = (
+      this.container instanceof ShadowRoot ? this.container : document
+    ).activeElement;
+    if (activeElement !== searchInput) {
+      searchInput.value = config.searchTerm || "";
+    }
+  }
+
+  /**
+   * Adds, updates or removes the toolbar button opening the views menu. It shows the name of
+   * the active view.
+   * @param {Object} config - The grid configuration object.
+   * @private
+   */
+  _renderViewsButton(config) {
+    let button = this.toolbar.querySelector(".grid-views-button");
+    if (!config.views?.enabled) {
+      button?.remove();
+      return;
+    }
+
+    if (!button) {
+      button = document.createElement("button");
+      button.type = "button";
+      button.className = "btn btn-sm btn-outline-secondary grid-views-button";
+      button.setAttribute("aria-haspopup", "menu");
+      // Placed after the search box, before the column chooser button
+      this.toolbar.insertBefore(
+        button,
+        this.toolbar.querySelector(".grid-column-chooser-button")
+      );
+    }
+    const label = config.views.label || "Views";
+    button.textContent = `${config.activeViewName || label} ▾`;
+    button.setAttribute(
+      "aria-label",
+      config.activeViewName ? `${label}: ${config.activeViewName}` : label
+    );
+  }
+
+  /**
+   * Adds, updates or removes the toolbar button opening the column chooser.
+   * @param {Object} config - The grid configuration object.
+   * @private
+   */
+  _renderColumnChooserButton(config) {
+    let button = this.toolbar.querySelector(".grid-column-chooser-button");
+    if (!config.columnChooser?.enabled) {
+      button?.remove();
+      return;
     }
+
+    if (!button) {
+      button = document.createElement("button");
+      button.type = "button";
+      button.className = "btn btn-sm btn-outline-secondary grid-column-chooser-button";
+      button.setAttribute("aria-haspopup", "dialog");
+      button.style.marginLeft = "auto";
+      this.toolbar.appendChild(button);
+    }
+    button.textContent = config.columnChooser.label || "Columns";
+  }
+
+  /**
+   * Wraps the parts of cell texts matching the quick-search term in `<mark>` elements.
+   * Works on the rendered text nodes, so cell content is never re-parsed as HTML.
+   * @param {Iterable<HTMLTableRowElement>} rows - The body rows to process.
+   * @private
+   */
+  _highlightSearchMatches(rows) {
+    const config = this._lastRender?.config;
+    const term = config?.searchTerm;
+    if (!term || config.quickSearch?.highlight === false) return;
+
+    const needle = term.toLowerCase();
+    const searchKeys = config.quickSearch?.columns;
+
+    Array.from(rows).forEach((tr) => {
+      if (!tr.hasAttribute("key")) return; // Spacer and edit rows
+      Array.from(tr.cells).forEach((td) => {
+        const column = this.getColumnForCell(td);
+        if (!column) return;
+        if (Array.isArray(searchKeys) && !searchKeys.includes(column.key)) return;
+
+        const walker = document.createTreeWalker(td, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+        textNodes.forEach((node) => {
+          const text = node.nodeValue;
+          const lowerText = text.toLowerCase();
+          let index = lowerText.indexOf(needle);
+          if (index === -1) return;
+
+          const fragment = document.createDocumentFragment();
+          let last = 0;
+          while (index !== -1) {
+            fragment.append(text.slice(last, index));
+            const mark = document.createElement("mark");
+            mark.className = "grid-search-match";
+            mark.style.padding = "0";
+            mark.textContent = text.slice(index, index + needle.length);
+            fragment.append(mark);
+            last = index + needle.length;
+            index = lowerText.indexOf(needle, last);
+          }
+          fragment.append(text.slice(last));
+          node.replaceWith(fragment);
+        });
+      });
+    });
   }
 
   /**
-   * Renders a pager UI component below the container element, allowing navigation between pages.
+   * Renders the pager below the table, in normal document flow: first/previous/next/last buttons,
+   * a window of numbered page links, a page-size selector, a "go to page" input and a
+   * "Showing 21–30 of 412 records" summary. The controls carry `data-page` (buttons),
+   * `.grid-page-size` and `.grid-goto-page` for the EventManager.
    *
    * @param {Object} pagingState - The current paging state.
    * @param {number} pagingState.currentPage - The current active page number (1-based).
    * @param {number} pagingState.totalPages - The total number of available pages.
+   * @param {number} pagingState.pageSize - The number of records per page.
+   * @param {number} pagingState.totalRecords - The total number of records.
+   * @param {Object} [pagingConfig={}] - The `paging` configuration (pageSizes, maxPageLinks, show* flags, labels).
    *
    * @returns {void}
    */
-  renderPager(pagingState) {
+  renderPager(pagingState, pagingConfig = {}) {
+    const labels = {
+      first: "\u00AB",
+      previous: "Previous",
+      next: "Next",
+      last: "\u00BB",
+      page: "Page",
+      pageSize: "Rows per page",
+      goTo: "Go to page",
+      summary: "Showing {from}\u2013{to} of {total} records",
+      empty: "No records",
+      ...pagingConfig.labels,
+    };
+    const { currentPage, pageSize } = pagingState;
+    const totalRecords = pagingState.totalRecords || 0;
+    const totalPages = Math.max(1, pagingState.totalPages || 0);
+
     const pagerContainer = document.createElement("div");
     pagerContainer.className = "grid-pager";
-    const coords = this.container.getBoundingClientRect();
-    pagerContainer.style.position = "absolute";
-    pagerContainer.style.left = `${coords.x + 5}px`;
-    pagerContainer.style.top = `${coords.y + coords.height + 5}px`;
+    pagerContainer.setAttribute("role", "navigation");
+    pagerContainer.setAttribute("aria-label", "Pagination");
+    Object.assign(pagerContainer.style, {
+      display: "flex",
+      flexWrap: "wrap",
+      alignItems: "center",
+      gap: "6px",
+      marginTop: "6px",
+    });
 
-    // Example: "Page 1 of 10" text
-    const pageInfo = document.createElement("span");
-    pageInfo.textContent = `Page ${pagingState.currentPage} of ${pagingState.totalPages}`;
+    const createButton = (text, page, ariaLabel) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "btn btn-sm btn-light grid-pager-button";
+      button.textContent = text;
+      button.dataset.page = page;
+      if (ariaLabel) button.setAttribute("aria-label", ariaLabel);
+      button.disabled = page < 1 || page > totalPages || page === currentPage;
+      return button;
+    };
+
+    const navigation = document.createElement("div");
+    navigation.className = "grid-pager-pages";
+    Object.assign(navigation.style, {
+      display: "flex",
+      alignItems: "center",
+      gap: "2px",
+    });
 
-    // Example: "Previous" button
-    const prevButton = document.createElement("button");
-    prevButton.textContent = "Previous";
-    prevButton.dataset.page = pagingState.currentPage - 1;
-    if (pagingState.currentPage === 1) {
-      prevButton.disabled = true;
+    if (pagingConfig.showFirstLast !== false) {
+      navigation.appendChild(createButton(labels.first, 1, "First page"));
     }
+    navigation.appendChild(createButton(labels.previous, currentPage - 1));
+
+    // Window of page links centred on the current page
+    const maxLinks = Math.max(1, pagingConfig.maxPageLinks ?? 7);
+    let start = Math.max(1, currentPage - Math.floor(maxLinks / 2));
+    const end = Math.min(totalPages, start + maxLinks - 1);
+    start = Math.max(1, end - maxLinks + 1);
+
+    const ellipsis = () => {
+      const span = document.createElement("span");
+      span.className = "grid-pager-ellipsis";
+      span.textContent = "\u2026";
+      span.setAttribute("aria-hidden", "true");
+      return span;
+    };
+    if (start > 1) navigation.appendChild(ellipsis());
+    for (let page = start; page <= end; page++) {
+      const link = createButton(String(page), page, `${labels.page} ${page}`);
+      link.classList.add("grid-pager-link");
+      if (page === currentPage) {
+        link.classList.add("active");
+        link.setAttribute("aria-current", "page");
+      }
+      navigation.appendChild(link);
+    }
+    if (end < totalPages) navigation.appendChild(ellipsis());
 
-    // Example: "Next" button
-    const nextButton = document.createElement("button");
-    nextButton.textContent = "Next";
-    nextButton.dataset.page = pagingState.currentPage + 1;
-    if (pagingState.currentPage === pagingState.totalPages) {
-      nextButton.disabled = true;
+    navigation.appendChild(createButton(labels.next, currentPage + 1));
+    if (pagingConfig.showFirstLast !== false) {
+      navigation.appendChild(createButton(labels.last, totalPages, "Last page"));
+    }
+    pagerContainer.appendChild(navigation);
+
+    if (pagingConfig.showPageSizes !== false && pagingConfig.pageSizes?.length) {
+      const label = document.createElement("label");
+      label.className = "grid-pager-size";
+      label.textContent = `${labels.pageSize} `;
+      const select = document.createElement("select");
+      select.className = "form-select form-select-sm grid-page-size";
+      select.style.width = "auto";
+      select.style.display = "inline-block";
+      const sizes = [...new Set([...pagingConfig.pageSizes, pageSize])].sort(
+        (a, b) => a - b
+      );
+      sizes.forEach((size) => {
+        const option = document.createElement("option");
+        option.value = size;
+        option.textContent = size;
+        option.selected = size === pageSize;
+        select.appendChild(option);
+      });
+      label.appendChild(select);
+      pagerContainer.appendChild(label);
     }
 
-    pagerContainer.appendChild(prevButton);
-    pagerContainer.appendChild(pageInfo);
-    pagerContainer.appendChild(nextButton);
+    if (pagingConfig.showGoTo !== false) {
+      const label = document.createElement("label");
+      label.className = "grid-pager-goto";
+      label.textContent = `${labels.goTo} `;
+      const input = document.createElement("input");
+      input.type = "number";
+      input.className = "form-control form-control-sm grid-goto-page";
+      input.min = 1;
+      input.max = totalPages;
+      input.value = currentPage;
+      input.style.width = "70px";
+      input.style.display = "inline-block";
+      label.appendChild(input);
+      pagerContainer.appendChild(label);
+    }
+
+    if (pagingConfig.showSummary !== false) {
+      const summary = document.createElement("span");
+      summary.className = "grid-pager-summary";
+      summary.setAttribute("aria-live", "polite");
+      summary.style.marginLeft = "auto";
+      const from = (currentPage - 1) * pageSize + 1;
+      const to = Math.min(currentPage * pageSize, totalRecords);
+      summary.textContent =
+        totalRecords === 0
+          ? labels.empty
+          : labels.summary
+              .replace("{from}", from)
+              .replace("{to}", to)
+              .replace("{total}", totalRecords)
+              .replace("{page}", currentPage)
+              .replace("{pages}", totalPages);
+      pagerContainer.appendChild(summary);
+    }
 
     this.container.appendChild(pagerContainer);
   }
 
-  showEditForm(rowData, editFormConfig) {
-    // For simplicity, we'll implement only the 'inline' mode here
-    if (editFormConfig.mode === "inline") {
-      const tr = this.tbody.querySelector(
-        `tr[key="${rowData[this.config.keyField]}"]`
-      );
-      if (!tr) return;
-      const formRow = document.createElement("tr");
-      const formCell = document.createElement("td");
-      formCell.colSpan = tr.children.length;
-      formCell.innerHTML = editFormConfig.HTML;
-      formRow.appendChild(formCell);
-      tr.insertAdjacentElement("afterend", formRow);
+  /**
+   * Builds the value stored in a row's `key` attribute from the configured key field(s).
+   * @param {Object} rowData - The row data object.
+   * @param {string} keyField - The key field name (can be comma-separated for composite keys).
+   * @returns {string} The row key.
+   */
+  getRowKey(rowData, keyField) {
+    // Same format as DataStore.getKeyFieldValue, so keys round-trip into getRecordById
+    const fields = keyField.split(",");
+    if (fields.length === 1) return [rowData[fields[0]]].join("");
+    return JSON.stringify(fields.map((field) => rowData[field] ?? null));
+  }
+
+  /**
+   * Finds the rendered `<tr>` of a record.
+   * @param {Object} rowData - The row data object.
+   * @returns {HTMLTableRowElement|null} The row element, or null if the row is not rendered.
+   */
+  getRowElement(rowData) {
+    if (!this.tbody || !this._lastRender) return null;
+    const key = this.getRowKey(rowData, this._lastRender.config.keyField);
+    return (
+      Array.from(this.tbody.rows).find(
+        (tr) => tr.getAttribute("key") === String(key)
+      ) || null
+    );
+  }
+
+  /**
+   * Returns the leaf column definition rendered in a body cell.
+   * @param {HTMLTableCellElement} td - A body cell.
+   * @returns {Object|null} The leaf column, or null for a leading (action, selection) cell.
+   */
+  getColumnForCell(td) {
+    if (!this._lastRender) return null;
+    const { leafColumns, config } = this._lastRender;
+    const index = td.cellIndex - this._getLeadingColumns(config).length;
+    return leafColumns[index] || null;
+  }
+
+  /**
+   * Returns the system columns rendered before the data columns, in display order:
+   * the detail expander column, the action menu column and the row selection checkbox column.
+   * @param {Object} config - The grid configuration object.
+   * @returns {Array<{type: string, title: string, width: string, freeze: boolean}>}
+   * @private
+   */
+  _getLeadingColumns(config) {
+    const leading = [];
+    if (config.detailRows?.isEnabled()) {
+      leading.push({
+        type: "detail",
+        title: "",
+        width: config.detail.width || "32px",
+        freeze: config.detail.freeze === true,
+      });
+    }
+    if (config.actionColumn) {
+      leading.push({
+        type: "action",
+        title: config.actionColumn.title || "Actions",
+        width: config.actionColumn.width,
+        freeze: config.actionColumn.freeze === true,
+      });
+    }
+    if (config.selection?.checkboxColumn && config.selectionModel) {
+      leading.push({
+        type: "select",
+        title: "",
+        width: config.selection.width || "40px",
+        freeze: config.selection.freeze === true,
+      });
+    }
+    return leading;
+  }
+
+  /**
+   * Updates the selection state of the rendered rows without re-rendering them:
+   * the `selected` class, `aria-selected` and the row checkboxes, plus the header checkbox.
+   * @param {Function} isSelected - `(rowKey) => boolean`.
+   * @param {Object} [headerState] - State of the select-all checkbox.
+   * @param {boolean} headerState.checked - Every row in scope is selected.
+   * @param {boolean} headerState.indeterminate - Some rows in scope are selected.
+   */
+  updateSelection(isSelected, headerState) {
+    if (!this.tbody) return;
+
+    Array.from(this.tbody.querySelectorAll(":scope > tr[key]")).forEach((tr) => {
+      const selected = isSelected(tr.getAttribute("key"));
+      tr.classList.toggle("selected", selected);
+      tr.classList.toggle("table-active", selected); // Bootstrap highlight
+      tr.setAttribute("aria-selected", String(selected));
+      const checkbox = tr.querySelector(".row-select");
+      if (checkbox) checkbox.checked = selected;
+    });
+
+    const selectAll = this.table?.tHead?.querySelector(".select-all");
+    if (selectAll && headerState) {
+      selectAll.checked = headerState.checked;
+      selectAll.indeterminate = headerState.indeterminate;
     }
-    // 'popup' mode can be implemented as needed
-    if (editFormConfig.mode === "popup") {
+  }
+
+  /**
+   * Re-renders a single body row in place, e.g. after its record was edited.
+   * @param {Object} rowData - The (updated) row data object.
+   * @returns {HTMLTableRowElement|null} The new row element, or null if the row is not rendered.
+   */
+  updateRow(rowData) {
+    const tr = this.getRowElement(rowData);
+    if (!tr) return null;
+
+    const { leafColumns, config } = this._lastRender;
+    const template = document.createElement("template");
+    template.innerHTML = `<table><tbody>${this._buildRowHTML(
+      rowData,
+      leafColumns,
+      config
+    )}</tbody></table>`;
+    const newRow = template.content.querySelector("tr");
+
+    // Keep the row number and the keyboard focus of the replaced row
+    this._applyRowAria([newRow]);
+    newRow.setAttribute("aria-rowindex", tr.getAttribute("aria-rowindex"));
+    const focused = this.getFocusedCellPosition();
+    const tabStop = tr.querySelector('td[tabindex="0"]');
+
+    tr.replaceWith(newRow);
+    this._highlightSearchMatches([newRow]);
+    this._applyFrozenBodyStyles(this.tbody);
+    if (tabStop) {
+      const cell = newRow.cells[tabStop.cellIndex];
+      if (cell) this.setActiveCell(cell, focused?.row === tr);
     }
+    return newRow;
+  }
+
+  /**
+   * Gives body rows and cells their grid roles, `aria-rowindex` (counted after the header rows
+   * and the rows of the previous pages) and `aria-colindex`. Cells get `tabindex="-1"`: only the
+   * active cell is in the tab order (roving tabindex).
+   * @param {Iterable<HTMLTableRowElement>} rows - The rows, in display order.
+   * @param {number} [firstIndex=0] - The index of the first row among the items of the page.
+   * @private
+   */
+  _applyRowAria(rows, firstIndex = 0) {
+    const { headerRowCount, rowOffset } = this._aria || { headerRowCount: 0, rowOffset: 0 };
+    let index = firstIndex;
+    Array.from(rows).forEach((tr) => {
+      // Detail rows are not part of the navigable rows
+      if (tr.classList.contains("virtual-spacer") || tr.classList.contains("grid-detail-row")) {
+        return;
+      }
+      tr.setAttribute("role", "row");
+      tr.setAttribute("aria-rowindex", headerRowCount + rowOffset + ++index);
+      let colIndex = 1;
+      Array.from(tr.cells).forEach((cell) => {
+        cell.setAttribute("role", "gridcell");
+        cell.setAttribute("aria-colindex", colIndex);
+        cell.tabIndex = -1;
+        colIndex += cell.colSpan;
+      });
+    });
+  }
+
+  /**
+   * Makes sure one cell of the table is in the tab order: the first header cell,
+   * unless another cell already is.
+   * @private
+   */
+  _ensureTabStop() {
+    if (!this.table) return;
+    // Direct rows only: a grid nested in a detail row has its own tab stop
+    const tabStop = this.table.querySelector(
+      ':scope > * > tr > th[tabindex="0"], :scope > * > tr > td[tabindex="0"]'
+    );
+    if (tabStop) return;
+    const first = this.table.tHead?.querySelector("th");
+    if (first) first.tabIndex = 0;
+  }
+
+  /**
+   * The position of the cell holding the keyboard focus (the cell itself or a control inside it).
+   * @returns {{rowIndex: number, colIndex: number, row: HTMLTableRowElement, cell: HTMLTableCellElement, target: Element}|null}
+   *   `rowIndex` and `colIndex` are the `aria-rowindex` and `aria-colindex` of the cell,
+   *   `target` the focused element.
+   */
+  getFocusedCellPosition() {
+    const root = this.container instanceof ShadowRoot ? this.container : document;
+    const target = root.activeElement;
+    const cell = target?.closest?.("th, td");
+    // Cells of a grid nested in a detail row belong to that grid
+    if (!cell || !this.table || cell.closest("table") !== this.table) return null;
+    const row = cell.parentElement;
+    if (!row.hasAttribute("aria-rowindex")) return null;
+    return {
+      rowIndex: Number(row.getAttribute("aria-rowindex")),
+      colIndex: Number(cell.getAttribute("aria-colindex")),
+      row,
+      cell,
+      target,
+    };
+  }
+
+  /**
+   * The cell of a row that covers a column, considering column spans.
+   * @param {HTMLTableRowElement} row - The row.
+   * @param {number} colIndex - The `aria-colindex` of the column.
+   * @returns {HTMLTableCellElement|null}
+   */
+  getCellInRow(row, colIndex) {
+    return (
+      Array.from(row.cells).find((cell) => {
+        const start = Number(cell.getAttribute("aria-colindex"));
+        return start <= colIndex && colIndex < start + cell.colSpan;
+      }) || null
+    );
+  }
+
+  /**
+   * The rendered cell at a grid position.
+   * @param {number} rowIndex - The `aria-rowindex` of the row.
+   * @param {number} colIndex - The `aria-colindex` of the column.
+   * @returns {HTMLTableCellElement|null}
+   */
+  getCellAt(rowIndex, colIndex) {
+    const row = this.getRowAt(rowIndex);
+    return row ? this.getCellInRow(row, colIndex) : null;
+  }
+
+  /**
+   * The rendered header or body row at a grid position.
+   * @param {number} rowIndex - The `aria-rowindex` of the row.
+   * @returns {HTMLTableRowElement|null}
+   */
+  getRowAt(rowIndex) {
+    return (
+      this.table?.querySelector(
+        `:scope > thead > tr[aria-rowindex="${rowIndex}"], :scope > tbody > tr[aria-rowindex="${rowIndex}"]`
+      ) || null
+    );
+  }
+
+  /**
+   * Makes a cell the single tab stop of the table and optionally focuses it.
+   * @param {HTMLTableCellElement} cell - The header or body cell.
+   * @param {boolean} [focus=true] - Moves the keyboard focus to the cell.
+   */
+  setActiveCell(cell, focus = true) {
+    this.table
+      ?.querySelectorAll(
+        ':scope > * > tr > th[tabindex="0"], :scope > * > tr > td[tabindex="0"]'
+      )
+      .forEach((other) => {
+        if (other !== cell) other.tabIndex = -1;
+      });
+    cell.tabIndex = 0;
+    if (focus) cell.focus();
+  }
+
+  /**
+   * Virtual scrolling: scrolls a body item into the rendered window, so its row exists in the DOM.
+   * @param {number} index - The index of the item among the body items.
+   */
+  revealBodyItem(index) {
+    const state = this._virtual;
+    if (!state || (index >= state.start && index < state.end)) return;
+
+    const scrollElement = this._getScrollElement();
+    const bodyOffset =
+      this.tbody.getBoundingClientRect().top -
+      scrollElement.getBoundingClientRect().top +
+      scrollElement.scrollTop;
+    const viewportHeight = scrollElement.clientHeight || window.innerHeight;
+    scrollElement.scrollTop =
+      index < state.start
+        ? bodyOffset + index * state.rowHeight
+        : bodyOffset + (index + 1) * state.rowHeight - viewportHeight;
+    this._renderVirtualWindow();
   }
 
   /**
    * Parses nested column config and calculates rowspan, colspan, and level.
+   * Sibling columns are ordered by `index`; columns with `hidden: true` are left out, and so
+   * are groups whose columns are all hidden.
    * @param {Array<Object>} columns - The user-defined column array.
    * @returns {{ headerRows: Array<Array<Object>>, leafColumns: Array<Object> }}
    */
@@ -358,40 +1314,55 @@ export class Renderer {
     const leafColumns = [];
 
     // ✅ MODIFIED: Added 'parentIsFrozen' parameter
-    function traverse(column, level, parentIsFrozen = false) {
-      if (!headerRows[level]) headerRows[level] = [];
+    // Returns the number of visible leaf columns under the column
+    function traverse(column, level, parentIsFrozen = false, parentEditable = true) {
+      // Hidden columns (and groups whose columns are all hidden) are left out entirely
+      if (column.hidden === true) return 0;
 
       // ✅ A column is frozen if its parent is frozen, OR if it's set to freeze itself.
       const currentlyFrozen = parentIsFrozen || column.freeze === true;
 
       // clone the object to avoid mutating the original
-      const header = { ...column, level, colspan: 1, rowspan: 1 };
+      // colStart: index of the header's first leaf column
+      const header = {
+        ...column,
+        level,
+        colspan: 1,
+        rowspan: 1,
+        colStart: leafColumns.length,
+      };
 
       // ✅ Set the final freeze state on the header object
       header.freeze = currentlyFrozen;
 
-      headerRows[level].push(header);
+      // A group marked `editable: false` makes all of its children read-only
+      if (!parentEditable) header.editable = false;
 
       if (column.children && column.children.length > 0) {
         header.colspan = 0;
-        column.children.forEach((child) => {
+        sortByIndex(column.children).forEach((child) => {
           // ✅ Pass the new 'currentlyFrozen' state down to children
-          traverse(child, level + 1, currentlyFrozen);
-          const childHeader = headerRows[level + 1].find(
-            (h) => h.key === child.key
+          header.colspan += traverse(
+            child,
+            level + 1,
+            currentlyFrozen,
+            header.editable !== false
           );
-          header.colspan += childHeader ? childHeader.colspan : 1;
         });
+        if (header.colspan === 0) return 0;
       } else {
         // ✅ This leafColumn now has the correct propagated 'freeze' status
         leafColumns.push(header);
       }
+
+      // Added after the children: a group without visible columns gets no header cell
+      if (!headerRows[level]) headerRows[level] = [];
+      headerRows[level].push(header);
+      return header.colspan;
     }
 
     // start traversal
-    columns
-      .sort((a, b) => a.index - b.index)
-      .forEach((col) => traverse(col, 0));
+    sortByIndex(columns).forEach((col) => traverse(col, 0));
 
     // determine total depth for rowspans
     const maxDepth = headerRows.length;
@@ -485,8 +1456,8 @@ export class Renderer {
     const tbody = table.querySelector("tbody");
     if (!thead || !tbody) return;
 
-    const hasActionColumn = !!config.actionColumn;
-    const isActionColumnFrozen = hasActionColumn && config.actionColumn.freeze === true;
+    const leadingColumns = this._getLeadingColumns(config);
+    const hasFrozenLeadingCols = leadingColumns.some((c) => c.freeze === true);
     const hasFrozenLeafCols = leafColumns.some(c => c.freeze === true);
 
     // === 1. APPLY STICKY HEADERS (Top) ===
@@ -516,7 +1487,7 @@ export class Renderer {
     }
 
     // === 2. APPLY FROZEN COLUMNS (Left) ===
-    if (!isActionColumnFrozen && !hasFrozenLeafCols) {
+    if (!hasFrozenLeadingCols && !hasFrozenLeafCols) {
       return; // No frozen columns, nothing to do.
     }
 
@@ -534,23 +1505,10 @@ export class Renderer {
       let accumulatedLeftOffset = 0; // "sum of width till the last before current one"
       let domCellIndex = 0; // This will now track the <col> index
 
-      // --- Measure Action Column ---
-      if (hasActionColumn) {
-        if (isActionColumnFrozen) {
-          const col = cols[domCellIndex]; // Get the <col> element
-          if (col) {
-            // ✅ Set left for current column
-            columnLeftOffsets[domCellIndex] = accumulatedLeftOffset; 
-            // ✅ Add current col's width for the *next* column's calculation
-            accumulatedLeftOffset += col.offsetWidth; 
-          }
-        }
-        domCellIndex++; // Increment index for action column
-      }
-
-      // --- Measure Data Columns ---
-      leafColumns.forEach((column) => {
-        // We only care about leaf columns that are frozen
+      // --- Measure Leading Columns (action, selection) and Data Columns ---
+      // Leading columns come first in the <colgroup>, followed by every leaf column
+      [...leadingColumns, ...leafColumns].forEach((column) => {
+        // We only care about columns that are frozen
         if (column.freeze === true) {
           const col = cols[domCellIndex]; // Get the <col> element
           if (col) {
@@ -560,55 +1518,229 @@ export class Renderer {
             accumulatedLeftOffset += col.offsetWidth;
           }
         }
-        // Increment domCellIndex for *every* leaf column to stay in sync
+        // Increment domCellIndex for *every* column to stay in sync
         domCellIndex++;
       });
-      
+
       // --- Apply styles to THEAD (handling nested headers) ---
-      // (This logic remains the same, as it just applies the calculated offsets)
+      // Leading headers only exist in the first row (they span all header rows); every other
+      // header starts at the <col> of its first leaf column (colStart).
       Array.from(thead.rows).forEach((row, rowIndex) => {
-        const headerDataRow = headerRows[rowIndex]; 
-        let currentDomCellIndex = 0;
-
-        if (hasActionColumn) {
-          if (isActionColumnFrozen) {
-            const cell = row.cells[currentDomCellIndex];
-            const left = columnLeftOffsets[currentDomCellIndex];
-            if (cell && left !== undefined) {
-              this._applyFreezeStyle(cell, left, true);
-            }
-          }
-          currentDomCellIndex++;
-        }
+        const headerDataRow = headerRows[rowIndex] || [];
+        const leadingCount = rowIndex === 0 ? leadingColumns.length : 0;
 
-        if (headerDataRow) {
-            headerDataRow.forEach((header) => {
-              if (header.freeze === true) {
-                const cell = row.cells[currentDomCellIndex];
-                const left = columnLeftOffsets[currentDomCellIndex]; 
-                if (cell && left !== undefined) {
-                  this._applyFreezeStyle(cell, left, true);
-                }
-              }
-              currentDomCellIndex++;
-            });
-        }
-      });
+        leadingColumns.forEach((column, index) => {
+          if (rowIndex !== 0 || column.freeze !== true) return;
+          const cell = row.cells[index];
+          const left = columnLeftOffsets[index];
+          if (cell && left !== undefined) {
+            this._applyFreezeStyle(cell, left, true);
+          }
+        });
 
-      // --- Apply styles to TBODY (simpler, 1-to-1 mapping) ---
-      // (This logic also remains the same)
-      Array.from(tbody.rows).forEach((row) => {
-        Object.keys(columnLeftOffsets).forEach((cellIndex) => {
-          const cell = row.cells[cellIndex];
-          const left = columnLeftOffsets[cellIndex];
+        headerDataRow.forEach((header, position) => {
+          if (header.freeze !== true) return;
+          const cell = row.cells[leadingCount + position];
+          const left =
+            columnLeftOffsets[leadingColumns.length + header.colStart];
           if (cell && left !== undefined) {
-            this._applyFreezeStyle(cell, left, false);
+            this._applyFreezeStyle(cell, left, true);
           }
         });
       });
+
+      // --- Apply styles to TBODY (simpler, 1-to-1 mapping) ---
+      // Offsets are kept so rows rendered later (virtual scrolling) can be frozen too
+      this._columnLeftOffsets = columnLeftOffsets;
+      this._applyFrozenBodyStyles(tbody);
+      this._applyFrozenBodyStyles(table.tFoot);
     });
   }
 
+  /**
+   * Applies the last calculated frozen column offsets to the cells of the body (or footer) rows.
+   * Virtual scrolling spacer rows are skipped.
+   * @param {HTMLTableSectionElement} tbody - The table body or footer.
+   * @private
+   */
+  _applyFrozenBodyStyles(tbody) {
+    const columnLeftOffsets = this._columnLeftOffsets || {};
+    if (!tbody || Object.keys(columnLeftOffsets).length === 0) return;
+
+    Array.from(tbody.rows).forEach((row) => {
+      // Spacer, group header and detail rows consist of a single full-width cell
+      if (
+        row.classList.contains("virtual-spacer") ||
+        row.classList.contains("grid-group-row") ||
+        row.classList.contains("grid-detail-row")
+      ) {
+        return;
+      }
+      Object.keys(columnLeftOffsets).forEach((cellIndex) => {
+        const cell = row.cells[cellIndex];
+        const left = columnLeftOffsets[cellIndex];
+        if (cell && left !== undefined) {
+          this._applyFreezeStyle(cell, left, false);
+        }
+      });
+    });
+  }
+
+  /**
+   * Returns the element that scrolls the grid: the container itself, or the
+   * host element when rendering inside a ShadowRoot.
+   * @returns {HTMLElement}
+   * @private
+   */
+  _getScrollElement() {
+    return this.container instanceof ShadowRoot
+      ? this.container.host
+      : this.container;
+  }
+
+  /**
+   * Prepares virtual scrolling for the current render. Only the rows inside the
+   * viewport (plus a buffer above and below) are materialized; two spacer rows keep
+   * the scrollbar height equal to the height of all rows.
+   *
+   * The scroll element must have a bounded height (e.g. `max-height` with `overflow: auto`),
+   * or `config.virtualScroll.height` must be set.
+   *
+   * @param {Array<Object>} data - All rows (or grouped view items) to render.
+   * @param {Array<Object>} leafColumns - The flat list of leaf columns.
+   * @param {Object} config - The grid configuration object.
+   * @param {Function} buildItem - Builds the `<tr>` HTML of one entry of `data`.
+   * @private
+   */
+  _setupVirtualBody(data, leafColumns, config, buildItem) {
+    const scrollElement = this._getScrollElement();
+    const { rowHeight, buffer, height } = config.virtualScroll;
+
+    if (height) {
+      scrollElement.style.height =
+        typeof height === "number" ? `${height}px` : height;
+    }
+    if (getComputedStyle(scrollElement).overflowY === "visible") {
+      scrollElement.style.overflowY = "auto";
+    }
+
+    this._virtual = {
+      data,
+      buildItem,
+      leafColumns,
+      config,
+      rowHeight: rowHeight || 33,
+      buffer: buffer ?? 10,
+      columnCount: leafColumns.length + this._getLeadingColumns(config).length,
+      start: -1,
+      end: -1,
+      measured: false,
+    };
+
+    // Listeners live on the scroll element and survive re-renders, so attach them once
+    if (!this._onVirtualScroll) {
+      let rafId = null;
+      this._onVirtualScroll = () => {
+        if (rafId) return;
+        rafId = requestAnimationFrame(() => {
+          rafId = null;
+          this._renderVirtualWindow();
+        });
+      };
+      scrollElement.addEventListener("scroll", this._onVirtualScroll, {
+        passive: true,
+      });
+
+      this._viewportObserver = new ResizeObserver(() =>
+        this._renderVirtualWindow()
+      );
+      this._viewportObserver.observe(scrollElement);
+    }
+
+    this._renderVirtualWindow();
+  }
+
+  /**
+   * Renders the rows that intersect the viewport of the scroll element. Does nothing
+   * if the visible range did not change since the last call.
+   * @param {boolean} [force=false] - Re-render even if the range is unchanged.
+   * @private
+   */
+  _renderVirtualWindow(force = false) {
+    const state = this._virtual;
+    if (!state || !this.tbody || !this.tbody.isConnected) return;
+
+    const scrollElement = this._getScrollElement();
+    const total = state.data.length;
+
+    // Distance between the top of the scroll content and the first body row
+    const bodyOffset =
+      this.tbody.getBoundingClientRect().top -
+      scrollElement.getBoundingClientRect().top +
+      scrollElement.scrollTop;
+    const bodyScrollTop = Math.max(0, scrollElement.scrollTop - bodyOffset);
+    const viewportHeight = scrollElement.clientHeight || window.innerHeight;
+
+    let start =
+      Math.floor(bodyScrollTop / state.rowHeight) - state.buffer;
+    // Keep the start index even so striped rows don't flicker while scrolling
+    start = Math.max(0, start - (start % 2));
+    const end = Math.min(
+      total,
+      Math.ceil((bodyScrollTop + viewportHeight) / state.rowHeight) +
+        state.buffer
+    );
+
+    if (!force && start === state.start && end === state.end) return;
+    state.start = start;
+    state.end = end;
+
+    const spacer = (height) =>
+      `<tr class="virtual-spacer" aria-hidden="true"><td colspan="${state.columnCount}" style="height:${height}px; padding:0; border:0;"></td></tr>`;
+
+    let html = spacer(start * state.rowHeight);
+    for (let i = start; i < end; i++) {
+      html += state.buildItem(state.data[i]);
+    }
+    html += spacer((total - end) * state.rowHeight);
+
+    // Rows scrolled out of the window are destroyed; keep the focus on the active cell
+    const focused = this.getFocusedCellPosition();
+    const tabStop = this.tbody.querySelector(':scope > tr > td[tabindex="0"]');
+    const activePosition = tabStop && {
+      rowIndex: Number(tabStop.parentElement.getAttribute("aria-rowindex")),
+      colIndex: Number(tabStop.getAttribute("aria-colindex")),
+    };
+
+    this.tbody.innerHTML = html;
+    this._applyRowAria(this.tbody.rows, start);
+    this._highlightSearchMatches(this.tbody.rows);
+    this._applyFrozenBodyStyles(this.tbody);
+
+    const active =
+      activePosition && this.getCellAt(activePosition.rowIndex, activePosition.colIndex);
+    if (active) {
+      this.setActiveCell(active, !!focused && focused.cell.tagName === "TD");
+    } else if (tabStop) {
+      // The active cell scrolled away: the table keeps a tab stop in its header
+      this._ensureTabStop();
+    }
+    this.onRowsRendered?.();
+
+    // Replace the estimated row height with the real one once rows exist
+    if (!state.measured) {
+      const firstRow = this.tbody.rows[1];
+      const measuredHeight = firstRow ? firstRow.offsetHeight : 0;
+      if (measuredHeight > 0) {
+        state.measured = true;
+        if (measuredHeight !== state.rowHeight) {
+          state.rowHeight = measuredHeight;
+          this._renderVirtualWindow(true);
+        }
+      }
+    }
+  }
+
   /**
    * Helper function to apply sticky/freeze styles to a cell.
    * @param {HTMLElement} cell - The TH or TD cell.
@@ -636,9 +1768,21 @@ export class Renderer {
     }
   }
 
-  _setupColumnResizing(th, config) {
+  /**
+   * Adds a resize handle to the right edge of a header cell. Dragging it (mouse, pen or touch)
+   * sets the widths of the header's `<col>` elements; a group header spreads the change over its
+   * leaf columns in proportion to their widths. Double-clicking it fits the columns to the widest
+   * content of the current page. Widths are kept within `resizableColumns.minWidth/maxWidth`,
+   * frozen column offsets follow, and `onColumnResized` reports the new widths.
+   * @param {HTMLTableCellElement} th - The header cell.
+   * @param {Object} header - The header of the cell (`colStart`, `colspan`).
+   * @param {Object} config - The grid configuration object.
+   * @private
+   */
+  _setupColumnResizing(th, header, config) {
     const resizer = document.createElement("div");
     resizer.className = "column-resizer";
+    resizer.setAttribute("aria-hidden", "true");
     resizer.style.cssText = `
     width: 5px;
     height: 100%;
@@ -647,75 +1791,193 @@ export class Renderer {
     top: 0;
     cursor: col-resize;
     user-select: none;
+    touch-action: none;
     z-index: 10;
   `;
 
     th.style.position = "relative";
     th.appendChild(resizer);
 
-    let startX, startWidth;
-    let isResizing = false;
-    let rafId = null;
+    const { minWidth, maxWidth } = config.resizableColumns;
+    const clamp = (width) =>
+      Math.round(Math.max(minWidth, Math.min(maxWidth, width)));
 
-    // === Utility: simple throttle via requestAnimationFrame ===
-    const scheduleResize = (width) => {
-      if (rafId) cancelAnimationFrame(rafId);
-      rafId = requestAnimationFrame(() => {
-        th.style.width = `${width}px`;
-      });
+    // The <col> elements of the header's leaf columns, after the leading columns
+    const getCols = () => {
+      const offset = this._getLeadingColumns(config).length + header.colStart;
+      const cols = Array.from(this.table.querySelector("colgroup").children);
+      return cols.slice(offset, offset + header.colspan);
     };
 
-    const startResize = (e) => {
-      startX = e.pageX;
-      startWidth = th.offsetWidth;
-      isResizing = true;
-      document.body.style.cursor = "col-resize";
-      document.body.style.userSelect = "none";
+    let startX, startWidths, widths;
+    let pointerId = null;
+    let rafId = null;
 
-      document.addEventListener("mousemove", onMouseMove);
-      document.addEventListener("mouseup", stopResize);
+    const applyWidths = () => {
+      getCols().forEach((col, index) => {
+        col.style.width = `${widths[index]}px`;
+      });
+      this._refreshFrozenOffsets();
     };
 
-    const onMouseMove = (e) => {
-      if (!isResizing) return;
-      const delta = e.pageX - startX;
-      const newWidth = startWidth + delta;
-
-      if (
-        newWidth >= config.resizableColumns.minWidth &&
-        newWidth <= config.resizableColumns.maxWidth
-      ) {
-        scheduleResize(newWidth);
-      }
+    const onPointerMove = (e) => {
+      if (e.pointerId !== pointerId) return;
+      const delta = e.clientX - startX;
+      const total = startWidths.reduce((sum, width) => sum + width, 0);
+      widths = startWidths.map((width) =>
+        clamp(width + (total > 0 ? (delta * width) / total : delta / startWidths.length))
+      );
+      if (rafId) cancelAnimationFrame(rafId);
+      rafId = requestAnimationFrame(applyWidths);
     };
 
-    const stopResize = () => {
-      if (!isResizing) return;
-      isResizing = false;
+    const stopResize = (e) => {
+      if (e.pointerId !== pointerId) return;
+      pointerId = null;
       document.body.style.cursor = "";
       document.body.style.userSelect = "";
-      document.removeEventListener("mousemove", onMouseMove);
-      document.removeEventListener("mouseup", stopResize);
+      resizer.removeEventListener("pointermove", onPointerMove);
+      resizer.removeEventListener("pointerup", stopResize);
+      resizer.removeEventListener("pointercancel", stopResize);
       if (rafId) cancelAnimationFrame(rafId);
+
+      if (widths.some((width, index) => width !== startWidths[index])) {
+        applyWidths();
+        this._reportColumnWidths(header, widths);
+      }
     };
 
-    resizer.addEventListener("mousedown", startResize);
+    resizer.addEventListener("pointerdown", (e) => {
+      if (e.button !== 0 || pointerId !== null) return;
+      e.preventDefault(); // Resizing must not start dragging a draggable header
+      e.stopPropagation();
+      pointerId = e.pointerId;
+      startX = e.clientX;
+      startWidths = getCols().map((col) => col.offsetWidth);
+      widths = [...startWidths];
+      document.body.style.cursor = "col-resize";
+      document.body.style.userSelect = "none";
+
+      // Pointer capture keeps the moves coming when the pointer leaves the handle
+      resizer.setPointerCapture?.(pointerId);
+      resizer.addEventListener("pointermove", onPointerMove);
+      resizer.addEventListener("pointerup", stopResize);
+      resizer.addEventListener("pointercancel", stopResize);
+    });
+
+    // Keep clicks on the handle from sorting the column
+    resizer.addEventListener("click", (e) => e.stopPropagation());
+
+    resizer.addEventListener("dblclick", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const fitted = this._measureContentWidths(header, config).map(clamp);
+      const cols = getCols();
+      if (fitted.every((width, index) => width === cols[index]?.offsetWidth)) return;
+      widths = fitted;
+      applyWidths();
+      this._reportColumnWidths(header, widths);
+    });
+  }
+
+  /**
+   * Calls `onColumnResized` with the new widths of the leaf columns under a header.
+   * @param {Object} header - The resized header (`key`, `colStart`, `colspan`).
+   * @param {Array<number>} widths - The widths in pixels, one per leaf column.
+   * @private
+   */
+  _reportColumnWidths(header, widths) {
+    const leafColumns = this._lastRender.leafColumns.slice(
+      header.colStart,
+      header.colStart + header.colspan
+    );
+    this.onColumnResized?.(
+      header.key,
+      leafColumns.map((column, index) => ({ key: column.key, width: widths[index] }))
+    );
+  }
+
+  /**
+   * The width each leaf column under a header needs to show its header and the cells of the
+   * rendered rows on one line.
+   * @param {Object} header - The header (`colStart`, `colspan`).
+   * @param {Object} config - The grid configuration object.
+   * @returns {Array<number>} The widths in pixels, one per leaf column.
+   * @private
+   */
+  _measureContentWidths(header, config) {
+    const leadingCount = this._getLeadingColumns(config).length;
+    const headerCells = Array.from(this.table.tHead.querySelectorAll("th"));
+
+    const measure = (cell) => {
+      // Measures a copy of the content that doesn't wrap, inside the cell so its font applies
+      const probe = document.createElement("span");
+      probe.style.cssText =
+        "position: absolute; visibility: hidden; white-space: nowrap; left: 0; top: 0;";
+      Array.from(cell.childNodes).forEach((node) => {
+        if (!node.classList?.contains("column-resizer")) {
+          probe.appendChild(node.cloneNode(true));
+        }
+      });
+      cell.appendChild(probe);
+      const style = getComputedStyle(cell);
+      const width =
+        probe.offsetWidth +
+        (parseFloat(style.paddingLeft) || 0) +
+        (parseFloat(style.paddingRight) || 0) +
+        (parseFloat(style.borderLeftWidth) || 0) +
+        (parseFloat(style.borderRightWidth) || 0);
+      probe.remove();
+      return Math.ceil(width);
+    };
+
+    const widths = [];
+    for (let offset = 0; offset < header.colspan; offset++) {
+      const colIndex = header.colStart + offset;
+      // The lowest header cell starting at the column (a group with one column is above it)
+      const headerCell = headerCells
+        .filter(
+          (th) =>
+            th.colSpan === 1 &&
+            Number(th.getAttribute("aria-colindex")) === leadingCount + colIndex + 1
+        )
+        .pop();
+      let width = headerCell ? measure(headerCell) : 0;
+      Array.from(this.tbody.rows).forEach((row) => {
+        if (!row.hasAttribute("key")) return; // Group, spacer and edit rows
+        const cell = row.cells[leadingCount + colIndex];
+        if (cell) width = Math.max(width, measure(cell));
+      });
+      widths.push(width);
+    }
+    return widths;
+  }
+
+  /**
+   * Recalculates the frozen column offsets of the last render, e.g. after a column was resized.
+   * @private
+   */
+  _refreshFrozenOffsets() {
+    const last = this._lastRender;
+    if (!last || !this.table) return;
+    this._applyStickyStyles(this.table, last.config, last.leafColumns, last.headerRows);
   }
 
   _ensureResizerStyle() {
     if (Renderer._resizerStyleApplied) return; // prevent multiple adds
     Renderer._resizerStyleApplied = true;
 
-    const style = document.createElement("style");
-    style.textContent = `
+    // Adopted by the document, so the rule survives renders that clear the container
+    const sheet = new CSSStyleSheet();
+    sheet.replaceSync(`
         .column-resizer:hover {
             background-color: #0000001a;
         }
         .column-resizer:active {
             background-color: #0000004d;
         }
-    `;
-    this.container.appendChild(style);
+    `);
+    document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
   }
 
   _ensureFaFilterStyle() {
@@ -793,10 +2055,27 @@ export class Renderer {
   }
 
   _loader() {
+    this._showBodyMessage("Loading data...");
+  }
+
+  /**
+   * Replaces the table body with a message that the data could not be loaded.
+   */
+  _loadError() {
+    this._showBodyMessage("The data could not be loaded.");
+  }
+
+  /**
+   * Replaces the table body with a single full-width message row.
+   * @param {string} message - The message text.
+   * @private
+   */
+  _showBodyMessage(message) {
     const table = this.container.querySelector("table");
     if (table) {
-      table.querySelector("tbody").innerHTML =
-        '<tr><td colspan="100%" style="text-align:center; padding: 10px;">Loading data...</td></tr>';
+      table.querySelector("tbody").innerHTML = `<tr><td colspan="100%" style="text-align:center; padding: 10px;">${this.escapeHTML(
+        message
+      )}</td></tr>`;
     }
   }
 }
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * SelectionModel keeps track of the selected rows of a grid by their key field value,
+ * so the selection survives sorting, filtering, paging and re-rendering.
+ *
+ * @class
+ *
+ * @example
+ * const selection = new SelectionModel({ mode: 'multi' });
+ * selection.toggle('1');
+ * selection.selectRange(['1', '2', '3', '4'], '3'); // selects 1..3 (anchor was '1')
+ * selection.getSelectedKeys(); // ['1', '2', '3']
+ *
+ * @param {Object} [options={}] - Selection options.
+ * @param {string} [options.mode='multi'] - 'single' (at most one row) or 'multi'.
+ *
+ * @property {string} mode - The selection mode.
+ * @property {string|null} anchorKey - The row a shift-click range starts from.
+ */
+export class SelectionModel {
+  /**
+   * Creates an empty selection.
+   * @param {Object} [options={}] - Selection options (mode).
+   */
+  constructor(options = {}) {
+    this.mode = options.mode === "single" ? "single" : "multi";
+    this.anchorKey = null;
+    this._keys = new Set();
+  }
+
+  /**
+   * Whether the row with the given key is selected.
+   * @param {string} key - The row key.
+   * @returns {boolean}
+   */
+  isSelected(key) {
+    return this._keys.has(String(key));
+  }
+
+  /**
+   * The keys of the selected rows, in selection order.
+   * @returns {Array<string>}
+   */
+  getSelectedKeys() {
+    return [...this._keys];
+  }
+
+  /**
+   * The number of selected rows.
+   * @returns {number}
+   */
+  get size() {
+    return this._keys.size;
+  }
+
+  /**
+   * Selects rows. In single mode only the last key is kept.
+   * @param {Array<string>} keys - The row keys.
+   * @param {Object} [opts={}] - Options.
+   * @param {boolean} [opts.append=true] - Keep the current selection (multi mode only).
+   */
+  select(keys, opts = {}) {
+    const list = keys.map(String);
+    if (list.length === 0) return;
+
+    if (this.mode === "single") {
+      this._keys = new Set([list[list.length - 1]]);
+    } else {
+      if (opts.append === false) this._keys.clear();
+      list.forEach((key) => this._keys.add(key));
+    }
+    this.anchorKey = list[list.length - 1];
+  }
+
+  /**
+   * Deselects rows.
+   * @param {Array<string>} keys - The row keys.
+   */
+  deselect(keys) {
+    keys.forEach((key) => this._keys.delete(String(key)));
+  }
+
+  /**
+   * Toggles one row and makes it the anchor of the next range selection.
+   * @param {string} key - The row key.
+   */
+  toggle(key) {
+    if (this.isSelected(key)) {
+      this._keys.delete(String(key));
+      this.anchorKey = String(key);
+    } else {
+      this.select([key]);
+    }
+  }
+
+  /**
+   * Selects every row between the anchor and the target row (inclusive), in the given order.
+   * Without an anchor (or in single mode) only the target row is selected.
+   * @param {Array<string>} orderedKeys - The keys of all rows in display order.
+   * @param {string} targetKey - The row the range ends at.
+   * @param {Object} [opts={}] - Options.
+   * @param {boolean} [opts.append=false] - Keep the rows selected outside of the range.
+   */
+  selectRange(orderedKeys, targetKey, opts = {}) {
+    const keys = orderedKeys.map(String);
+    const from = keys.indexOf(this.anchorKey);
+    const to = keys.indexOf(String(targetKey));
+
+    if (this.mode === "single" || from === -1 || to === -1) {
+      this.select([targetKey], { append: opts.append === true });
+      return;
+    }
+
+    const anchor = this.anchorKey;
+    if (!opts.append) this._keys.clear();
+    keys
+      .slice(Math.min(from, to), Math.max(from, to) + 1)
+      .forEach((key) => this._keys.add(key));
+    this.anchorKey = anchor; // Further shift-clicks extend from the same anchor
+  }
+
+  /**
+   * Deselects all rows.
+   */
+  clear() {
+    this._keys.clear();
+    this.anchorKey = null;
+  }
+
+  /**
+   * Drops the keys of rows that no longer exist.
+   * @param {Function} exists - `(key) => boolean`.
+   * @returns {Array<string>} The keys that were dropped.
+   */
+  prune(exists) {
+    const dropped = [...this._keys].filter((key) => !exists(key));
+    dropped.forEach((key) => this._keys.delete(key));
+    return dropped;
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * ServerDataSource loads one page of data at a time from a remote endpoint.
+ * Sorting, filtering and paging are delegated to the server: every load builds a
+ * request from the current grid state and expects the response to contain the rows
+ * of the requested page along with the total number of matching records.
+ *
+ * The request/response mapping is pluggable through `buildRequest` and `parseResponse`,
+ * and the `fetch` implementation can be swapped (e.g. for a local mock in tests).
+ *
+ * @class
+ *
+ * @example
+ * const source = new ServerDataSource({
+ *   source: '/api/vessels',
+ *   buildRequest: (query, url) => ({
+ *     url: `${url}?offset=${(query.page - 1) * query.pageSize}&limit=${query.pageSize}`,
+ *   }),
+ *   parseResponse: (json) => ({ rows: json.items, totalRecords: json.count }),
+ * });
+ * const { rows, totalRecords } = await source.load({ page: 1, pageSize: 20, sortState: [], filterState: {} });
+ *
+ * @param {Object} options - The `dataSource` section of the grid configuration.
+ * @param {string} options.source - The endpoint URL.
+ * @param {Object} [options.urlOpts] - Base options passed to `fetch` (headers, credentials, etc).
+ * @param {Function} [options.fetch] - A `fetch` compatible function. Defaults to `window.fetch`.
+ * @param {Function} [options.buildRequest] - `(query, url, urlOpts) => ({ url, options })`.
+ * @param {Function} [options.parseResponse] - `(json, response) => ({ rows, totalRecords, aggregates })`.
+ */
+export class ServerDataSource {
+  /**
+   * Creates a new ServerDataSource.
+   * @param {Object} options - The `dataSource` section of the grid configuration.
+   */
+  constructor(options = {}) {
+    this.url = options.source;
+    this.urlOpts = options.urlOpts || {};
+    this.fetch = options.fetch || ((...args) => window.fetch(...args));
+    this.buildRequest =
+      options.buildRequest || ServerDataSource.defaultBuildRequest;
+    this.parseResponse =
+      options.parseResponse || ServerDataSource.defaultParseResponse;
+
+    // Incremented on every load so that late responses of superseded requests are dropped
+    this._requestId = 0;
+  }
+
+  /**
+   * Default request mapping: a GET request with the query encoded in the URL.
+   * `?page=2&pageSize=10&sortKey=name&sortOrder=asc&sort=name:asc,age:desc&filters={"status":["Active"]}&search=abc`
+   * (`sortKey`/`sortOrder` carry the primary sort key, `sort` all of them).
+   * @param {Object} query - The query built by the grid.
+   * @param {string} url - The configured endpoint URL.
+   * @param {Object} urlOpts - The configured fetch options.
+   * @returns {{url: string, options: Object}}
+   */
+  static defaultBuildRequest(query, url, urlOpts) {
+    const params = new URLSearchParams();
+    params.set("page", query.page);
+    params.set("pageSize", query.pageSize);
+
+    const sortState = query.sortState || [];
+    if (sortState.length > 0) {
+      params.set("sortKey", sortState[0].key);
+      params.set("sortOrder", sortState[0].order || "asc");
+      params.set(
+        "sort",
+        sortState.map((entry) => `${entry.key}:${entry.order}`).join(",")
+      );
+    }
+    if (query.filterState && Object.keys(query.filterState).length > 0) {
+      params.set("filters", JSON.stringify(query.filterState));
+    }
+    if (query.search) {
+      params.set("search", query.search);
+    }
+
+    const separator = url.includes("?") ? "&" : "?";
+    return { url: `${url}${separator}${params.toString()}`, options: urlOpts };
+  }
+
+  /**
+   * Default response mapping. Accepts `{ rows, totalRecords }`, `{ data, total }`,
+   * or a plain array (in which case the total is the array length). An `aggregates`
+   * object (footer values by column key) is passed through.
+   * @param {*} json - The parsed response body.
+   * @returns {{rows: Array<Object>, totalRecords: number, aggregates: (Object|undefined)}}
+   */
+  static defaultParseResponse(json) {
+    if (Array.isArray(json)) {
+      return { rows: json, totalRecords: json.length };
+    }
+    const rows = json?.rows ?? json?.data ?? [];
+    return {
+      rows,
+      totalRecords: json?.totalRecords ?? json?.total ?? rows.length,
+      aggregates: json?.aggregates,
+    };
+  }
+
+  /**
+   * Requests one page of data from the server.
+   * @param {Object} query - The current grid state.
+   * @param {number} query.page - The requested page (1-based).
+   * @param {number} query.pageSize - The number of records per page.
+   * @param {Array<{key: string, order: string}>} query.sortState - The sort keys, highest priority first.
+   * @param {Object} query.filterState - The current filter state.
+   * @param {string} [query.search] - The quick-search term, if any.
+   * @returns {Promise<{rows: Array<Object>, totalRecords: number, aggregates: (Object|null)}|null>} The page data, or
+   * `null` if a newer request was started before this one completed (also when this one failed).
+   * @async
+   */
+  async load(query) {
+    const requestId = ++this._requestId;
+
+    const isSuperseded = () => requestId !== this._requestId;
+
+    let response;
+    let json;
+    try {
+      const request = this.buildRequest(query, this.url, this.urlOpts);
+      response = await this.fetch(request.url, request.options);
+      if (response.ok === false) {
+        throw new Error(
+          `Server data request failed with status ${response.status}.`
+        );
+      }
+      json = await response.json();
+    } catch (error) {
+      // A superseded request doesn't report its failure over the newer request's page
+      if (isSuperseded()) return null;
+      throw error;
+    }
+
+    if (isSuperseded()) {
+      return null; // Superseded by a newer request
+    }
+
+    const { rows, totalRecords, aggregates } = this.parseResponse(json, response);
+    return {
+      rows: Array.isArray(rows) ? rows : [],
+      totalRecords: Number(totalRecords) || 0,
+      aggregates: aggregates || null,
+    };
+  }
+}
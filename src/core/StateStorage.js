@@ -0,0 +1,101 @@
+/**
+ * StateStorage keeps serialized grid state (see {@link Grid#getState}) in the browser's
+ * localStorage or sessionStorage, or in a custom storage, under an id identifying the grid.
+ *
+ * Values are stored as JSON under `grid:<id>:<slot>`; the grid state uses the 'state' slot.
+ * A custom storage implements the Web Storage methods `getItem(key)`, `setItem(key, value)`
+ * and `removeItem(key)` (values are strings). Storage errors (quota exceeded, storage disabled,
+ * invalid JSON) are logged and otherwise ignored, so they never break the grid.
+ *
+ * @class
+ *
+ * @example
+ * const storage = new StateStorage({ id: 'vessels', storage: 'session' });
+ * storage.save(grid.getState());
+ * grid.setState(storage.load());
+ *
+ * @param {Object} options - The `stateStorage` section of the grid configuration.
+ * @param {string} options.id - The id of the grid, unique within the page's origin.
+ * @param {string|Object} [options.storage='local'] - 'local', 'session' or a custom storage object.
+ */
+export class StateStorage {
+  /**
+   * Creates a new StateStorage.
+   * @param {Object} options - The `stateStorage` section of the grid configuration.
+   */
+  constructor(options = {}) {
+    this.id = options.id;
+    this.storage = StateStorage.resolveStorage(options.storage);
+  }
+
+  /**
+   * Resolves the `storage` option to a Web Storage compatible object.
+   * @param {string|Object} [storage='local'] - 'local', 'session' or a custom storage object.
+   * @returns {Object|null} The storage, or null when it is not available.
+   */
+  static resolveStorage(storage = "local") {
+    if (storage && typeof storage === "object") return storage;
+    try {
+      return storage === "session" ? window.sessionStorage : window.localStorage;
+    } catch (error) {
+      // Accessing the storage throws when it is disabled (e.g. blocked cookies)
+      console.warn("StateStorage: Browser storage is not available.", error);
+      return null;
+    }
+  }
+
+  /**
+   * The storage key of a slot.
+   * @param {string} slot - The slot name.
+   * @returns {string}
+   */
+  getKey(slot) {
+    return `grid:${this.id}:${slot}`;
+  }
+
+  /**
+   * Reads a stored value.
+   * @param {string} [slot='state'] - The slot name.
+   * @returns {*} The stored value, or null when there is none or it can't be read.
+   */
+  load(slot = "state") {
+    if (!this.storage) return null;
+    try {
+      const raw = this.storage.getItem(this.getKey(slot));
+      return raw == null ? null : JSON.parse(raw);
+    } catch (error) {
+      console.warn(`StateStorage: Could not read "${this.getKey(slot)}".`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Stores a value as JSON.
+   * @param {*} value - The value to store.
+   * @param {string} [slot='state'] - The slot name.
+   * @returns {boolean} Whether the value was stored.
+   */
+  save(value, slot = "state") {
+    if (!this.storage) return false;
+    try {
+      this.storage.setItem(this.getKey(slot), JSON.stringify(value));
+      return true;
+    } catch (error) {
+      console.warn(`StateStorage: Could not write "${this.getKey(slot)}".`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Removes a stored value.
+   * @param {string} [slot='state'] - The slot name.
+   */
+  clear(slot = "state") {
+    if (!this.storage) return;
+    try {
+      this.storage.removeItem(this.getKey(slot));
+    } catch (error) {
+      console.warn(`StateStorage: Could not remove "${this.getKey(slot)}".`, error);
+    }
+  }
+}
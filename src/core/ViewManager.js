@@ -0,0 +1,359 @@
+import { Dropdown } from "./ui/Dropdown.js";
+import { downloadBlob } from "./utils/Download.js";
+
+/**
+ * Manages named views of a grid: saved combinations of sort, filters, search, grouping and
+ * column layout (the grid state without the page, see {@link Grid#getState}).
+ *
+ * Views are switched from the toolbar's views menu (a {@link Dropdown}), which also saves the
+ * current view under a name, deletes the active view, copies a link to it, and exports or
+ * imports all views as a JSON file. With `stateStorage` enabled the views are kept in the same
+ * storage as the grid state; otherwise they live as long as the page, and `viewsChanged` can be
+ * used to persist them elsewhere.
+ *
+ * A link carries a view in the URL fragment (`#view=<encoded view>`, the parameter name is
+ * `views.urlParam`). A grid created on a page whose URL has such a fragment shows that view.
+ *
+ * Enabled with `config.views.enabled`.
+ *
+ * @class
+ * @example
+ * const views = new ViewManager(gridInstance);
+ * views.saveView('My open items');
+ * views.applyView('My open items');
+ *
+ * @param {Grid} gridInstance - The grid whose views are managed.
+ *
+ * @property {Array<{name: string, state: Object}>} views - The saved views.
+ * @property {string|null} activeName - The name of the view last applied or saved.
+ */
+export class ViewManager {
+  /**
+   * Creates an instance of ViewManager.
+   * @param {Grid} gridInstance - The grid whose views are managed.
+   */
+  constructor(gridInstance) {
+    this.grid = gridInstance;
+    this.options = gridInstance.config.views;
+    this.labels = {
+      save: "Save view as...",
+      delete: "Delete view",
+      copyLink: "Copy link",
+      export: "Export views",
+      import: "Import views...",
+      namePrompt: "View name",
+      linkPrompt: "Link to this view",
+      ...this.options.labels,
+    };
+    this.views = [];
+    this.activeName = null;
+    this.dropdown = null;
+
+    const saved = this.grid.stateStorage?.load("views");
+    this._addViews(Array.isArray(saved) ? saved : this.options.views || []);
+  }
+
+  /**
+   * The names of the saved views, in menu order.
+   * @returns {Array<string>}
+   */
+  getViewNames() {
+    return this.views.map((view) => view.name);
+  }
+
+  /**
+   * Saves the current state of the grid as a view, replacing a view of the same name.
+   * @param {string} name - The view name.
+   * @returns {boolean} Whether the view was saved (false for an empty name).
+   * @fires Grid#viewsChanged
+   */
+  saveView(name) {
+    const viewName = String(name ?? "").trim();
+    if (!viewName) return false;
+
+    const view = { name: viewName, state: this._getViewState() };
+    const index = this.views.findIndex((entry) => entry.name === viewName);
+    if (index >= 0) {
+      this.views[index] = view;
+    } else {
+      this.views.push(view);
+    }
+    this.activeName = viewName;
+    this._onViewsChanged("save", viewName);
+    return true;
+  }
+
+  /**
+   * Shows a saved view. The grid goes back to its first page.
+   * @param {string} name - The view name.
+   * @returns {boolean} Whether the view exists and was applied.
+   * @fires Grid#viewApplied
+   */
+  applyView(name) {
+    const view = this.views.find((entry) => entry.name === name);
+    if (!view) {
+      console.error(`Grid: View "${name}" does not exist.`);
+      return false;
+    }
+    return this._apply(view);
+  }
+
+  /**
+   * Deletes a saved view.
+   * @param {string} name - The view name.
+   * @returns {boolean} Whether the view existed.
+   * @fires Grid#viewsChanged
+   */
+  deleteView(name) {
+    const index = this.views.findIndex((entry) => entry.name === name);
+    if (index < 0) return false;
+    this.views.splice(index, 1);
+    if (this.activeName === name) this.activeName = null;
+    this._onViewsChanged("delete", name);
+    return true;
+  }
+
+  /**
+   * The saved views as JSON, e.g. to share them in a file.
+   * @returns {string}
+   */
+  exportViews() {
+    return JSON.stringify(this.views, null, 2);
+  }
+
+  /**
+   * Adds views exported by {@link ViewManager#exportViews}. Views with the name of an existing
+   * view replace it; entries that are not views are skipped.
+   * @param {string|Array<Object>} json - The exported views, as JSON text or parsed.
+   * @returns {number} The number of imported views.
+   * @fires Grid#viewsChanged
+   */
+  importViews(json) {
+    let views;
+    try {
+      views = typeof json === "string" ? JSON.parse(json) : json;
+    } catch (error) {
+      console.error("Grid: Could not read the imported views.", error);
+      return 0;
+    }
+    const count = this._addViews(Array.isArray(views) ? views : [views]);
+    if (count > 0) this._onViewsChanged("import", null);
+    return count;
+  }
+
+  /**
+   * A link to the current page showing a view: the view is encoded in the URL fragment.
+   * @param {string} [name] - A saved view; by default the current state of the grid.
+   * @returns {string} The URL.
+   */
+  getViewLink(name) {
+    const view = name
+      ? this.views.find((entry) => entry.name === name)
+      : { name: this.activeName, state: this._getViewState() };
+    if (!view) {
+      console.error(`Grid: View "${name}" does not exist.`);
+      return "";
+    }
+
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    params.set(this.options.urlParam, JSON.stringify(view));
+    const { origin, pathname, search } = window.location;
+    return `${origin}${pathname}${search}#${params.toString()}`;
+  }
+
+  /**
+   * The view encoded in the URL fragment of the page, if any.
+   * @returns {{name: string|null, state: Object}|null}
+   */
+  getUrlView() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const encoded = params.get(this.options.urlParam);
+    if (!encoded) return null;
+    try {
+      const view = JSON.parse(encoded);
+      return view && typeof view.state === "object" ? view : null;
+    } catch (error) {
+      console.warn("Grid: Ignoring an invalid view in the URL.", error);
+      return null;
+    }
+  }
+
+  /**
+   * Shows the view encoded in the page URL, if any. Called before the grid's first load.
+   * @returns {boolean} Whether a view was applied.
+   */
+  restoreUrlView() {
+    const view = this.getUrlView();
+    if (!view || !this.grid._restoreInitialState({ ...view.state, page: 1 })) return false;
+    this.activeName = view.name ?? null;
+    return true;
+  }
+
+  /**
+   * Opens the views menu below the toolbar button, or closes it when it is open.
+   * @param {HTMLElement} triggerElement - The toolbar button.
+   */
+  toggleMenu(triggerElement) {
+    if (this.dropdown?.triggerElement === triggerElement) {
+      this.dropdown.setItems(this._getMenuItems());
+      this.dropdown.toggle();
+      return;
+    }
+    // The Dropdown opens itself and handles the following clicks on the button
+    this.dropdown?.panel?.remove(); // Menu of a button replaced by a re-render
+    this.dropdown = new Dropdown(triggerElement, { items: this._getMenuItems() });
+  }
+
+  /**
+   * The grid state stored in a view: everything but the page.
+   * @returns {Object}
+   * @private
+   */
+  _getViewState() {
+    const { page, ...state } = this.grid.getState();
+    return state;
+  }
+
+  /**
+   * Applies a view and makes it the active one.
+   * @param {{name: string|null, state: Object}} view - The view.
+   * @returns {boolean} Whether the state was applied.
+   * @private
+   */
+  _apply(view) {
+    const previousName = this.activeName;
+    // Set first, so the render of setState shows the name on the toolbar button
+    this.activeName = view.name ?? null;
+    if (!this.grid.setState({ ...view.state, page: 1 })) {
+      this.activeName = previousName;
+      return false;
+    }
+    this.dropdown?.setItems(this._getMenuItems());
+    this.grid._emit("viewApplied", { name: this.activeName, state: view.state });
+    return true;
+  }
+
+  /**
+   * Adds valid `{ name, state }` entries to the views, replacing views of the same name.
+   * @param {Array<Object>} views - The views to add.
+   * @returns {number} The number of added views.
+   * @private
+   */
+  _addViews(views) {
+    let count = 0;
+    views.forEach((view) => {
+      const name = typeof view?.name === "string" ? view.name.trim() : "";
+      if (!name || !view.state || typeof view.state !== "object") return;
+      const index = this.views.findIndex((entry) => entry.name === name);
+      const entry = { name, state: view.state };
+      if (index >= 0) {
+        this.views[index] = entry;
+      } else {
+        this.views.push(entry);
+      }
+      count++;
+    });
+    return count;
+  }
+
+  /**
+   * Persists the views, refreshes the menu and the toolbar button, and emits `viewsChanged`.
+   * @param {string} action - 'save', 'delete' or 'import'.
+   * @param {string|null} name - The saved or deleted view.
+   * @private
+   */
+  _onViewsChanged(action, name) {
+    this.grid.stateStorage?.save(this.views, "views");
+    this.dropdown?.setItems(this._getMenuItems());
+    this.grid.render();
+    this.grid._emit("viewsChanged", {
+      action,
+      name,
+      views: this.views.map((view) => ({ ...view })),
+    });
+  }
+
+  /**
+   * The items of the views menu: the saved views (the active one checked), then the actions.
+   * @returns {Array<Object>}
+   * @private
+   */
+  _getMenuItems() {
+    const items = this.views.map((view) => ({
+      label: `${view.name === this.activeName ? "✓ " : ""}${view.name}`,
+      attrs: { "aria-current": view.name === this.activeName ? "true" : "false" },
+      onClick: () => this.applyView(view.name),
+    }));
+
+    items.push({
+      label: this.labels.save,
+      onClick: () => {
+        const name = window.prompt(this.labels.namePrompt, this.activeName || "");
+        if (name !== null) this.saveView(name);
+      },
+    });
+    if (this.activeName && this.views.some((view) => view.name === this.activeName)) {
+      items.push({
+        label: `${this.labels.delete} "${this.activeName}"`,
+        onClick: () => this.deleteView(this.activeName),
+      });
+    }
+    items.push({
+      label: this.labels.copyLink,
+      onClick: () => {
+        const link = this.getViewLink();
+        const fallback = () => window.prompt(this.labels.linkPrompt, link);
+        if (navigator.clipboard?.writeText) {
+          navigator.clipboard.writeText(link).catch(fallback);
+        } else {
+          fallback();
+        }
+      },
+    });
+    if (this.views.length > 0) {
+      items.push({
+        label: this.labels.export,
+        onClick: () =>
+          downloadBlob(
+            new Blob([this.exportViews()], { type: "application/json" }),
+            this._getFileName()
+          ),
+      });
+    }
+    items.push({
+      label: this.labels.import,
+      onClick: () => this._pickFile((text) => this.importViews(text)),
+    });
+    return items;
+  }
+
+  /**
+   * The file name of exported views.
+   * @returns {string}
+   * @private
+   */
+  _getFileName() {
+    const id = this.grid.config.stateStorage.id;
+    return `${id ? `${id}-` : ""}views.json`;
+  }
+
+  /**
+   * Lets the user pick a JSON file and passes its text to a callback.
+   * @param {Function} onLoad - Called with the file text.
+   * @private
+   */
+  _pickFile(onLoad) {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.addEventListener("change", () => {
+      const file = input.files?.[0];
+      if (!file) return;
+      file
+        .text()
+        .then(onLoad)
+        .catch((error) => console.error("Grid: Could not read the views file.", error));
+    });
+    input.click();
+  }
+}
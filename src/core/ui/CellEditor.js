@@ -0,0 +1,253 @@
+import { parseDateValue, formatDate } from "../utils/DateFunctions.js";
+import { getDatatype } from "../utils/Columns.js";
+import { parseNumberValue } from "../utils/Numbers.js";
+
+/**
+ * CellEditor creates the input control used to edit one column value, chosen by the
+ * column's `editor` setting or, if not set, by its `datatype`:
+ *
+ * - `text` (default): `<input type="text">`
+ * - `number`: `<input type="number">`, returns a Number (or null when empty)
+ * - `date`: `<input type="date">` (or `datetime-local` with `withTime`), returns a value in the
+ *   same shape as the original one ("/Date(ms)/" string, timestamp, Date or ISO string)
+ * - `select`: `<select>` of `column.editorOptions` or the provided `choices`
+ * - `checkbox`: `<input type="checkbox">` for boolean columns
+ *
+ * @class
+ *
+ * @example
+ * const editor = new CellEditor({ key: 'age', datatype: 'number' }, 30);
+ * td.appendChild(editor.element);
+ * editor.focus();
+ * const value = editor.getValue(); // 30
+ *
+ * @param {Object} column - The column definition.
+ * @param {*} value - The current value of the cell.
+ * @param {Object} [options={}] - Editor options.
+ * @param {Array} [options.choices] - Values offered by a select editor when the column has no `editorOptions`.
+ * @param {boolean} [options.withTime=false] - Whether date editors also edit the time.
+ *
+ * @property {Object} column - The column definition.
+ * @property {string} type - The resolved editor type.
+ * @property {HTMLElement} element - The wrapper element holding the input and the error message.
+ * @property {HTMLElement} input - The input control.
+ */
+export class CellEditor {
+  /**
+   * Creates the editor control for a column value.
+   * @param {Object} column - The column definition.
+   * @param {*} value - The current value of the cell.
+   * @param {Object} [options={}] - Editor options (choices, withTime).
+   */
+  constructor(column, value, options = {}) {
+    this.column = column;
+    this.originalValue = value;
+    this.options = options;
+    this.type = CellEditor.resolveType(column);
+
+    this.element = document.createElement("div");
+    this.element.className = "cell-editor";
+    this.element.style.minWidth = "0";
+
+    this.input = this._createInput(value);
+    this.input.classList.add("cell-editor-input");
+    this.input.dataset.key = column.key;
+    if (this.type !== "checkbox") {
+      this.input.style.width = "100%";
+      this.input.style.boxSizing = "border-box";
+    }
+
+    this.errorElement = document.createElement("div");
+    this.errorElement.className = "cell-editor-error";
+    Object.assign(this.errorElement.style, {
+      color: "#dc3545",
+      fontSize: "0.8em",
+      display: "none",
+    });
+
+    this.element.appendChild(this.input);
+    this.element.appendChild(this.errorElement);
+  }
+
+  /**
+   * Determines which editor a column uses.
+   * @param {Object} column - The column definition.
+   * @returns {string} One of 'text', 'number', 'date', 'select', 'checkbox'.
+   */
+  static resolveType(column) {
+    if (column.editor) return column.editor.toLowerCase();
+    if (Array.isArray(column.editorOptions)) return "select";
+
+    switch (getDatatype(column)) {
+      case "number":
+        return "number";
+      case "date":
+        return "date";
+      case "boolean":
+        return "checkbox";
+      default:
+        return "text";
+    }
+  }
+
+  /**
+   * Validates a value against the column's `required` flag, the editor type and the
+   * column's `validate(value, rowData)` function. The validator may return `true`/`undefined`
+   * for a valid value, `false` for a generic error, or an error message string.
+   * @param {Object} column - The column definition.
+   * @param {*} value - The value to validate.
+   * @param {Object} rowData - The record being edited (with the new values applied).
+   * @returns {string|null} The error message, or null if the value is valid.
+   */
+  static validate(column, value, rowData) {
+    const isEmpty = value === null || value === undefined || value === "";
+    const title = column.title || column.key;
+
+    if (column.required && isEmpty) {
+      return `${title} is required.`;
+    }
+    if (
+      CellEditor.resolveType(column) === "number" &&
+      !isEmpty &&
+      isNaN(value)
+    ) {
+      return `${title} must be a number.`;
+    }
+    if (typeof column.validate === "function") {
+      const result = column.validate(value, rowData);
+      if (result === false) return `${title} is invalid.`;
+      if (typeof result === "string" && result !== "") return result;
+    }
+    return null;
+  }
+
+  /**
+   * Creates the input control for the resolved editor type.
+   * @param {*} value - The current value of the cell.
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createInput(value) {
+    switch (this.type) {
+      case "number": {
+        const input = document.createElement("input");
+        input.type = "number";
+        input.value = value ?? "";
+        return input;
+      }
+      case "date": {
+        const input = document.createElement("input");
+        input.type = this.options.withTime ? "datetime-local" : "date";
+        const date = parseDateValue(value);
+        input.value = date
+          ? formatDate(
+              date,
+              this.options.withTime ? "yyyy-MM-ddTHH:mm" : "yyyy-MM-dd"
+            )
+          : "";
+        return input;
+      }
+      case "checkbox": {
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.checked = value === true || value === "true" || value === 1;
+        return input;
+      }
+      case "select": {
+        const select = document.createElement("select");
+        this._choices = (this.column.editorOptions || this.options.choices || [])
+          .map((choice) =>
+            choice !== null && typeof choice === "object"
+              ? choice
+              : { value: choice, label: choice }
+          );
+        // Keep the current value selectable even if it's not among the choices
+        if (!this._choices.some((choice) => choice.value === value)) {
+          this._choices.unshift({ value, label: value ?? "" });
+        }
+        this._choices.forEach((choice, index) => {
+          const option = document.createElement("option");
+          option.value = index;
+          option.textContent = choice.label ?? "";
+          option.selected = choice.value === value;
+          select.appendChild(option);
+        });
+        return select;
+      }
+      default: {
+        const input = document.createElement("input");
+        input.type = "text";
+        input.value = value ?? "";
+        return input;
+      }
+    }
+  }
+
+  /**
+   * Reads the edited value, converted back to the column's type.
+   * @returns {*} The edited value.
+   */
+  getValue() {
+    switch (this.type) {
+      case "number":
+        return parseNumberValue(this.input.value);
+      case "checkbox":
+        return this.input.checked;
+      case "select":
+        return this._choices[this.input.selectedIndex]?.value ?? null;
+      case "date":
+        return this._toOriginalDateShape(this.input.value);
+      default:
+        return this.input.value;
+    }
+  }
+
+  /**
+   * Converts the value of a date input into the same shape as the original value,
+   * so edited records keep the format they were loaded with.
+   * @param {string} inputValue - The value of the date/datetime-local input.
+   * @returns {*} The converted value.
+   * @private
+   */
+  _toOriginalDateShape(inputValue) {
+    if (!inputValue) return null;
+
+    // "yyyy-MM-dd" is parsed as UTC by the Date constructor, so add a local midnight
+    const date = new Date(
+      inputValue.includes("T") ? inputValue : `${inputValue}T00:00`
+    );
+    const original = this.originalValue;
+
+    if (original instanceof Date) return date;
+    if (typeof original === "number") return date.getTime();
+    if (typeof original === "string" && /\/Date\(-?\d+\)\//.test(original)) {
+      return `/Date(${date.getTime()})/`;
+    }
+    return inputValue;
+  }
+
+  /**
+   * Shows or clears the inline validation error of the editor.
+   * @param {string|null} message - The error message, or null to clear it.
+   */
+  setError(message) {
+    this.errorElement.textContent = message || "";
+    this.errorElement.style.display = message ? "block" : "none";
+    this.input.style.borderColor = message ? "#dc3545" : "";
+    if (message) {
+      this.input.setAttribute("aria-invalid", "true");
+    } else {
+      this.input.removeAttribute("aria-invalid");
+    }
+  }
+
+  /**
+   * Moves the focus into the editor.
+   */
+  focus() {
+    this.input.focus();
+    if (typeof this.input.select === "function" && this.type === "text") {
+      this.input.select();
+    }
+  }
+}
@@ -0,0 +1,193 @@
+import { sortByIndex } from '../utils/Columns.js';
+
+/**
+ * A popup listing the columns of a grid with checkboxes to show or hide them.
+ *
+ * Column groups are listed with their children indented below them. A group's checkbox shows or
+ * hides the whole group and is indeterminate when only some of its columns are visible. Changes
+ * apply immediately through `onToggle`; the checkboxes are then re-synced with the `hidden` flags
+ * of the column definitions. Columns with `hideable: false` cannot be unchecked.
+ *
+ * ArrowDown/ArrowUp move between the checkboxes; Escape or an outside click closes the popup.
+ *
+ * @class
+ * @example
+ * const chooser = new ColumnChooser({
+ *   columns: grid.config.columns,
+ *   anchor: document.getElementById('columns-btn'),
+ *   onToggle: (column, visible) => grid.setColumnVisible(column, visible)
+ * });
+ *
+ * @param {Object} options - Configuration options for the column chooser.
+ * @param {Array<Object>} options.columns - The column definitions (nested groups have `children`).
+ * @param {HTMLElement} options.anchor - The DOM element to anchor the popup to.
+ * @param {Function} options.onToggle - Called with `(column, visible)` when a checkbox changes.
+ * @param {Object} [options.labels] - Texts: `title`.
+ */
+export class ColumnChooser {
+
+    /**
+     * Creates a new ColumnChooser instance and attaches it to the DOM.
+     * @param {Object} options - Options for the column chooser (columns, anchor, onToggle).
+     */
+    constructor(options) {
+        this.columns = options.columns;
+        this.onToggle = options.onToggle;
+        this.anchorElement = options.anchor;
+        this.labels = { title: 'Columns', ...options.labels };
+        this.entries = []; // { column, checkbox } per listed column
+
+        this.element = this._createElement();
+        document.body.appendChild(this.element);
+        this._position();
+        this.sync();
+
+        this._onKeyDown = (event) => {
+            if (event.key === 'Escape') {
+                event.stopPropagation();
+                this.close();
+                this.anchorElement?.focus?.();
+            }
+        };
+        document.addEventListener('keydown', this._onKeyDown, true);
+
+        this._onDocumentClick = () => this.close();
+        setTimeout(() => {
+            document.addEventListener('click', this._onDocumentClick, { once: true });
+        }, 0);
+
+        this.entries[0]?.checkbox.focus();
+    }
+
+    /**
+     * Creates the popup element: a title and one checkbox per column, in display order.
+     * @returns {HTMLDivElement}
+     * @private
+     */
+    _createElement() {
+        const element = document.createElement('div');
+        element.className = 'column-chooser';
+        element.setAttribute('role', 'dialog');
+        element.setAttribute('aria-label', this.labels.title);
+        Object.assign(element.style, {
+            position: 'absolute',
+            border: '1px solid #ccc',
+            backgroundColor: 'white',
+            zIndex: '999',
+            padding: '6px 0',
+            minWidth: '180px',
+            maxHeight: '300px',
+            overflowY: 'auto',
+            boxShadow: '0 2px 8px rgba(0,0,0,0.15)'
+        });
+        // Stop clicks inside the popup from closing it
+        element.addEventListener('click', e => e.stopPropagation());
+
+        const title = document.createElement('div');
+        title.className = 'column-chooser-title';
+        title.textContent = this.labels.title;
+        Object.assign(title.style, { fontWeight: 'bold', padding: '0 10px 4px' });
+        element.appendChild(title);
+
+        const list = document.createElement('ul');
+        list.className = 'column-chooser-list';
+        Object.assign(list.style, { listStyleType: 'none', margin: '0', padding: '0' });
+
+        const addColumns = (columns, depth) => {
+            columns.forEach((column) => {
+                const li = document.createElement('li');
+                li.style.padding = `2px 10px 2px ${10 + depth * 16}px`;
+                const label = document.createElement('label');
+                label.style.cursor = 'pointer';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = column.key ?? '';
+                checkbox.addEventListener('change', () => {
+                    this.onToggle(column, checkbox.checked);
+                    this.sync();
+                });
+                label.appendChild(checkbox);
+                label.appendChild(document.createTextNode(` ${column.title ?? column.key}`));
+                li.appendChild(label);
+                list.appendChild(li);
+                this.entries.push({ column, checkbox });
+
+                if (column.children && column.children.length > 0) {
+                    addColumns(sortByIndex(column.children), depth + 1);
+                }
+            });
+        };
+        addColumns(sortByIndex(this.columns), 0);
+
+        list.addEventListener('keydown', (event) => {
+            if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') return;
+            const checkboxes = this.entries.map(({ checkbox }) => checkbox);
+            const next = checkboxes[checkboxes.indexOf(event.target) + (event.key === 'ArrowDown' ? 1 : -1)];
+            if (!next) return;
+            event.preventDefault();
+            next.focus();
+        });
+
+        element.appendChild(list);
+        return element;
+    }
+
+    /**
+     * Updates the checkboxes from the `hidden` flags of the column definitions.
+     */
+    sync() {
+        // Counts the visible leaf columns of a column, and all of its leaf columns
+        const count = (column, parentVisible) => {
+            const visible = parentVisible && column.hidden !== true;
+            if (!column.children || column.children.length === 0) {
+                return { visible: visible ? 1 : 0, total: 1 };
+            }
+            return column.children.reduce((sum, child) => {
+                const childCount = count(child, visible);
+                return { visible: sum.visible + childCount.visible, total: sum.total + childCount.total };
+            }, { visible: 0, total: 0 });
+        };
+        const parentVisible = new Map(); // column -> whether all its ancestors are shown
+        const walk = (columns, visible) => columns.forEach((column) => {
+            parentVisible.set(column, visible);
+            if (column.children) walk(column.children, visible && column.hidden !== true);
+        });
+        walk(this.columns, true);
+
+        this.entries.forEach(({ column, checkbox }) => {
+            const { visible, total } = count(column, parentVisible.get(column));
+            checkbox.checked = visible > 0 && visible === total;
+            checkbox.indeterminate = visible > 0 && visible < total;
+            checkbox.disabled = column.hideable === false && visible > 0;
+        });
+    }
+
+    /**
+     * Positions the popup below the anchor, shifted left when it would overflow the viewport.
+     * @private
+     */
+    _position() {
+        const rect = this.anchorElement.getBoundingClientRect();
+        this.element.style.top = `${rect.bottom + window.scrollY}px`;
+        this.element.style.left = `${rect.left + window.scrollX}px`;
+
+        const popupRect = this.element.getBoundingClientRect();
+        const margin = 4;
+        if (popupRect.right > window.innerWidth - margin) {
+            const left = Math.max(margin, window.innerWidth - popupRect.width - margin);
+            this.element.style.left = `${left + window.scrollX}px`;
+        }
+    }
+
+    /**
+     * Closes and removes the popup from the DOM.
+     */
+    close() {
+        document.removeEventListener('keydown', this._onKeyDown, true);
+        document.removeEventListener('click', this._onDocumentClick);
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+}
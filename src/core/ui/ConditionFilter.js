@@ -0,0 +1,237 @@
+// src/core/ui/ConditionFilter.js
+import { parseNumberValue } from '../utils/Numbers.js';
+
+/**
+ * ConditionFilter renders the operator-based filter form used for number, date and text columns:
+ * two conditions (operator + value, or a range for 'between') joined by AND/OR.
+ *
+ * @class
+ *
+ * @example
+ * const filter = new ConditionFilter({
+ *   type: 'number',
+ *   filter: { type: 'number', logic: 'and', conditions: [{ operator: 'greaterThan', value: 5 }] }
+ * });
+ * document.body.appendChild(filter.element);
+ * console.log(filter.getFilter()); // { type: 'number', logic: 'and', conditions: [...] } or null
+ *
+ * @param {Object} options - Configuration options for the ConditionFilter.
+ * @param {string} options.type - The filter type: 'number', 'date' or 'text'.
+ * @param {Object} [options.filter] - The current condition filter `{ type, logic, conditions }`.
+ *
+ * @property {string} type - The filter type.
+ * @property {HTMLDivElement} element - The root element of the form.
+ *
+ * @method getFilter - Returns the entered condition filter, or null when no condition is complete.
+ * @method validate - Checks the entered values and flags invalid ones.
+ */
+export class ConditionFilter {
+    /**
+     * Operators offered per filter type, with their labels.
+     * @type {Object<string, Array<{value: string, label: string}>>}
+     */
+    static OPERATORS = {
+        number: [
+            { value: 'equals', label: 'Equals' },
+            { value: 'notEquals', label: 'Not equal' },
+            { value: 'greaterThan', label: 'Greater than' },
+            { value: 'greaterThanOrEqual', label: 'Greater than or equal' },
+            { value: 'lessThan', label: 'Less than' },
+            { value: 'lessThanOrEqual', label: 'Less than or equal' },
+            { value: 'between', label: 'Between' },
+            { value: 'blank', label: 'Blank' },
+            { value: 'notBlank', label: 'Not blank' }
+        ],
+        date: [
+            { value: 'equals', label: 'On' },
+            { value: 'notEquals', label: 'Not on' },
+            { value: 'before', label: 'Before' },
+            { value: 'after', label: 'After' },
+            { value: 'between', label: 'Between' },
+            { value: 'inLastDays', label: 'In the last N days' },
+            { value: 'blank', label: 'Blank' },
+            { value: 'notBlank', label: 'Not blank' }
+        ],
+        text: [
+            { value: 'contains', label: 'Contains' },
+            { value: 'notContains', label: 'Does not contain' },
+            { value: 'equals', label: 'Equals' },
+            { value: 'notEquals', label: 'Not equal' },
+            { value: 'startsWith', label: 'Starts with' },
+            { value: 'endsWith', label: 'Ends with' },
+            { value: 'regex', label: 'Matches pattern' },
+            { value: 'blank', label: 'Blank' },
+            { value: 'notBlank', label: 'Not blank' }
+        ]
+    };
+
+    /**
+     * Creates an instance of ConditionFilter.
+     * @param {Object} options - Configuration options (type, filter).
+     */
+    constructor(options) {
+        this.type = ConditionFilter.OPERATORS[options.type] ? options.type : 'text';
+        const current = options.filter || {};
+        this.conditions = [...(current.conditions || [])];
+        this.logic = current.logic === 'or' ? 'or' : 'and';
+
+        this.rows = [];
+        this.element = this.createFormElement();
+    }
+
+    /**
+     * Builds the form: the first condition, the AND/OR switch and the second condition.
+     * @returns {HTMLDivElement}
+     */
+    createFormElement() {
+        const form = document.createElement('div');
+        form.className = 'condition-filter';
+        Object.assign(form.style, { padding: '6px 8px', minWidth: '200px' });
+
+        form.appendChild(this._createConditionRow(this.conditions[0]));
+
+        const logic = document.createElement('div');
+        logic.className = 'condition-filter-logic';
+        logic.style.margin = '4px 0';
+        const name = `condition-logic-${Math.random().toString(36).slice(2)}`;
+        ['and', 'or'].forEach(value => {
+            const label = document.createElement('label');
+            label.style.marginRight = '10px';
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = name;
+            radio.value = value;
+            radio.checked = this.logic === value;
+            radio.addEventListener('change', () => { this.logic = value; });
+            label.appendChild(radio);
+            label.appendChild(document.createTextNode(` ${value.toUpperCase()}`));
+            logic.appendChild(label);
+        });
+        form.appendChild(logic);
+
+        form.appendChild(this._createConditionRow(this.conditions[1]));
+        return form;
+    }
+
+    /**
+     * Builds the operator select and value input(s) of one condition.
+     * @param {Object} [condition] - The condition to show.
+     * @returns {HTMLDivElement}
+     * @private
+     */
+    _createConditionRow(condition = {}) {
+        const row = document.createElement('div');
+        row.className = 'condition-filter-row';
+
+        const operators = ConditionFilter.OPERATORS[this.type];
+        const operator = document.createElement('select');
+        operator.className = 'condition-operator';
+        operator.setAttribute('aria-label', 'Condition');
+        Object.assign(operator.style, { display: 'block', width: '100%', marginBottom: '3px' });
+        operators.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            operator.appendChild(option);
+        });
+        operator.value = operators.some(op => op.value === condition.operator)
+            ? condition.operator
+            : operators[0].value;
+
+        const value = this._createInput('condition-value');
+        const value2 = this._createInput('condition-value2');
+
+        const updateInputs = () => {
+            const op = operator.value;
+            const noValue = op === 'blank' || op === 'notBlank';
+            value.style.display = noValue ? 'none' : '';
+            value2.style.display = op === 'between' ? '' : 'none';
+            // "In the last N days" takes a number of days rather than a date
+            value.type = op === 'inLastDays' ? 'number' : this._inputType();
+            value.placeholder = op === 'inLastDays' ? 'Days' : op === 'between' ? 'From' : 'Value';
+        };
+        operator.addEventListener('change', updateInputs);
+        updateInputs();
+        // Set the values once the inputs have their final type
+        if (condition.value != null) value.value = condition.value;
+        if (condition.value2 != null) value2.value = condition.value2;
+
+        row.appendChild(operator);
+        row.appendChild(value);
+        row.appendChild(value2);
+        this.rows.push({ operator, value, value2 });
+        return row;
+    }
+
+    /**
+     * Creates a value input for the filter type.
+     * @param {string} className - The input's class.
+     * @returns {HTMLInputElement}
+     * @private
+     */
+    _createInput(className) {
+        const input = document.createElement('input');
+        input.className = className;
+        input.type = this._inputType();
+        if (className === 'condition-value2') input.placeholder = 'To';
+        Object.assign(input.style, { display: 'block', width: '100%', boxSizing: 'border-box', marginBottom: '3px' });
+        return input;
+    }
+
+    /**
+     * The input type matching the filter type.
+     * @returns {string}
+     * @private
+     */
+    _inputType() {
+        return { number: 'number', date: 'date' }[this.type] || 'text';
+    }
+
+    /**
+     * Checks the entered values (currently: regular expressions must compile) and flags invalid inputs.
+     * @returns {boolean} Whether all values are valid.
+     */
+    validate() {
+        let valid = true;
+        this.rows.forEach(({ operator, value }) => {
+            let error = '';
+            if (operator.value === 'regex' && value.value !== '') {
+                try {
+                    new RegExp(value.value);
+                } catch (e) {
+                    error = 'Invalid pattern';
+                }
+            }
+            value.setCustomValidity?.(error);
+            value.style.borderColor = error ? '#dc3545' : '';
+            value.title = error;
+            if (error) valid = false;
+        });
+        return valid;
+    }
+
+    /**
+     * Returns the entered condition filter. Conditions without a value are left out.
+     * @returns {{type: string, logic: string, conditions: Array<Object>}|null} The filter, or null if no condition is complete.
+     */
+    getFilter() {
+        const conditions = [];
+        this.rows.forEach(({ operator, value, value2 }) => {
+            const op = operator.value;
+            if (op === 'blank' || op === 'notBlank') {
+                conditions.push({ operator: op });
+                return;
+            }
+            if (value.value === '') return;
+            if (op === 'between' && value2.value === '') return;
+
+            const read = input => (input.type === 'number' ? parseNumberValue(input.value) : input.value);
+            const condition = { operator: op, value: read(value) };
+            if (op === 'between') condition.value2 = read(value2);
+            conditions.push(condition);
+        });
+
+        if (conditions.length === 0) return null;
+        return { type: this.type, logic: this.logic, conditions };
+    }
+}
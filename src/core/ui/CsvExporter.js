@@ -0,0 +1,24 @@
+import { toCSV } from "../utils/Csv.js";
+import { downloadBlob } from "../utils/Download.js";
+
+/**
+ * Downloads rows of values as a CSV (or TSV) file.
+ */
+export class CsvExporter {
+  /**
+   * Serializes the rows and downloads them.
+   * @param {Array<Array<*>>} rows - The rows to write, header row included.
+   * @param {string} [filename="export.csv"] - The desired name for the downloaded file.
+   * @param {Object} [options] - Options of {@link toCSV} (`delimiter`, `quote`, `quoteAll`, `lineBreak`), plus:
+   * @param {boolean} [options.bom=true] - Starts the file with a UTF-8 byte order mark, so Excel reads it as UTF-8.
+   */
+  export(rows, filename = "export.csv", options = {}) {
+    const text = `${options.bom === false ? "" : "\uFEFF"}${toCSV(rows, options)}`;
+    const type =
+      options.delimiter === "\t"
+        ? "text/tab-separated-values;charset=utf-8"
+        : "text/csv;charset=utf-8";
+
+    downloadBlob(new Blob([text], { type }), filename);
+  }
+}
@@ -5,6 +5,9 @@
  * @classdesc
  * The Dropdown class provides a simple, configurable dropdown menu that can be attached to any trigger element.
  * It supports custom item rendering, click and hover interactions, and accessibility features.
+ * The panel is an ARIA menu: opening it focuses the first item, ArrowUp/ArrowDown (wrapping),
+ * Home and End move between items, Enter or Space selects, and Escape or Tab closes it and
+ * returns the focus to the trigger. ArrowDown/ArrowUp on the trigger open it as well.
  *
  * @example
  * const trigger = document.getElementById('dropdown-trigger');
@@ -36,6 +39,7 @@
  * @method toggle - Toggles the open/closed state of the dropdown.
  * @method open - Opens the dropdown panel.
  * @method close - Closes the dropdown panel.
+ * @method setItems - Replaces the items of the dropdown.
  */
 export class Dropdown {
     /**
@@ -61,6 +65,7 @@ export class Dropdown {
         };
         this.config = { ...defaultConfig, ...options.config };
 
+        this.triggerElement.setAttribute('aria-haspopup', 'menu');
         this._attachTriggerEvents();
         this.toggle()
     }
@@ -83,12 +88,15 @@ export class Dropdown {
 
         const list = document.createElement('ul');
         list.className = 'dropdown-list';
+        list.setAttribute('role', 'menu');
         Object.assign(list.style, this.config.list); // Apply list styles
 
         this.items.forEach((item, index) => {
             const li = document.createElement('li');
             li.className = 'dropdown-item';
             li.textContent = item.label;
+            li.setAttribute('role', 'menuitem');
+            li.tabIndex = -1;
             Object.assign(li.style, this.config.item); // Apply item styles
 
             // Apply any additional attributes
@@ -100,6 +108,9 @@ export class Dropdown {
 
             li.addEventListener('mouseenter', () => Object.assign(li.style, this.config.itemHover));
             li.addEventListener('mouseleave', () => Object.assign(li.style, this.config.item));
+            // The keyboard-focused item looks hovered
+            li.addEventListener('focus', () => Object.assign(li.style, this.config.itemHover));
+            li.addEventListener('blur', () => Object.assign(li.style, this.config.item));
 
             li.addEventListener('click', () => {
                 if (typeof item.onClick === 'function') {
@@ -112,10 +123,70 @@ export class Dropdown {
             list.appendChild(li);
         });
 
+        list.addEventListener('keydown', (event) => this._onListKeyDown(event));
+
         this.panel.appendChild(list);
         document.body.appendChild(this.panel);
     }
 
+    /**
+     * Keyboard navigation inside the open menu.
+     * @param {KeyboardEvent} event - The keydown event from an item.
+     * @private
+     */
+    _onListKeyDown(event) {
+        const items = this._getItemElements();
+        const index = items.indexOf(event.target);
+
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                this._focusItem((index + 1) % items.length);
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                this._focusItem((index - 1 + items.length) % items.length);
+                break;
+            case 'Home':
+                event.preventDefault();
+                this._focusItem(0);
+                break;
+            case 'End':
+                event.preventDefault();
+                this._focusItem(items.length - 1);
+                break;
+            case 'Enter':
+            case ' ':
+                event.preventDefault();
+                event.target.click();
+                break;
+            case 'Escape':
+            case 'Tab':
+                event.preventDefault();
+                event.stopPropagation();
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * The item elements of the panel.
+     * @returns {Array<HTMLElement>}
+     * @private
+     */
+    _getItemElements() {
+        return this.panel ? Array.from(this.panel.querySelectorAll('.dropdown-item')) : [];
+    }
+
+    /**
+     * Focuses an item of the open panel.
+     * @param {number} index - The item index.
+     * @private
+     */
+    _focusItem(index) {
+        this._getItemElements()[index]?.focus();
+    }
+
 
     /**
      * Attaches click event listener to the trigger element for the dropdown.
@@ -127,6 +198,13 @@ export class Dropdown {
             event.stopPropagation();
             this.toggle();
         });
+        this.triggerElement.addEventListener('keydown', (event) => {
+            if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') return;
+            event.preventDefault();
+            event.stopPropagation();
+            this.open();
+            this._focusItem(event.key === 'ArrowDown' ? 0 : this.items.length - 1);
+        });
     }
 
     
@@ -145,6 +223,23 @@ export class Dropdown {
         this.panel.style.left = `${rect.left + window.scrollX}px`;
     }
 
+    /**
+     * Replaces the items. An open panel is rebuilt; a closed one is rebuilt when opened.
+     * @param {Array<Object>} items - The new item objects.
+     */
+    setItems(items) {
+        this.items = items || [];
+        if (!this.panel) return;
+        const wasOpen = this.isOpen;
+        this.panel.remove();
+        this.panel = null;
+        if (wasOpen) {
+            this._createPanel();
+            this._positionPanel();
+            this._focusItem(0);
+        }
+    }
+
     /**
      * Toggles the open or closed state of the dropdown.
      * If the dropdown is currently open, it will be closed.
@@ -177,6 +272,7 @@ export class Dropdown {
 
         this._positionPanel();
         this.panel.style.display = 'block';
+        this._focusItem(0);
 
         // Add listeners to close the dropdown
         setTimeout(() => {
@@ -194,7 +290,10 @@ export class Dropdown {
         this.isOpen = false;
         this.triggerElement.setAttribute('aria-expanded', 'false');
         if (this.panel) {
+            // Hand the focus back to the trigger instead of losing it with the hidden panel
+            const hadFocus = this.panel.contains(document.activeElement);
             this.panel.style.display = 'none';
+            if (hadFocus) this.triggerElement.focus();
         }
     }
 }
\ No newline at end of file
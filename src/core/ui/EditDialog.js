@@ -0,0 +1,285 @@
+import { CellEditor } from "./CellEditor.js";
+
+/**
+ * EditDialog is a modal form generated from the grid's column definitions.
+ *
+ * Every editable leaf column gets a labelled editor (see {@link CellEditor}) pre-filled from the
+ * record; column groups (`children`) become fieldsets. The dialog traps the focus while open,
+ * closes on Escape, and validates the values before resolving.
+ *
+ * @class
+ *
+ * @example
+ * const dialog = new EditDialog({
+ *   title: 'Edit record',
+ *   columns: grid.config.columns,
+ *   rowData,
+ *   root: document.body,
+ * });
+ * const edited = await dialog.open(); // null if cancelled
+ *
+ * @param {Object} options - Dialog options.
+ * @param {Array<Object>} options.columns - The (possibly nested) column definitions.
+ * @param {Object} options.rowData - The record to edit.
+ * @param {HTMLElement|ShadowRoot} [options.root=document.body] - Where the dialog is attached.
+ * @param {string} [options.title='Edit record'] - The dialog title.
+ * @param {Function} [options.isEditable] - `(column) => boolean`, decides which leaf columns get a field.
+ * @param {Function} [options.choicesFor] - `(column) => Array`, values offered by select editors.
+ * @param {boolean} [options.withTime=false] - Whether date editors also edit the time.
+ * @param {Object} [options.labels] - Button labels `{ save, cancel }`.
+ *
+ * @property {HTMLElement|null} element - The overlay element while the dialog is open.
+ */
+export class EditDialog {
+  /**
+   * Creates the dialog. Call {@link EditDialog#open} to show it.
+   * @param {Object} options - Dialog options.
+   */
+  constructor(options) {
+    this.options = options;
+    this.root = options.root || document.body;
+    this.isEditable = options.isEditable || (() => true);
+    this.editors = [];
+    this.element = null;
+    this._resolve = null;
+  }
+
+  /**
+   * Shows the dialog and moves the focus to its first field.
+   * @returns {Promise<Object|null>} Resolves with the edited record, or null if the dialog was cancelled.
+   */
+  open() {
+    this._previousFocus =
+      (this.root.getRootNode?.() || document).activeElement ||
+      document.activeElement;
+
+    this.element = this._createOverlay();
+    this.root.appendChild(this.element);
+
+    const firstEditor = this.editors[0];
+    if (firstEditor) {
+      firstEditor.editor.focus();
+    } else {
+      this.element.querySelector("button")?.focus();
+    }
+
+    return new Promise((resolve) => {
+      this._resolve = resolve;
+    });
+  }
+
+  /**
+   * Builds the overlay, the dialog box, the generated fields and the buttons.
+   * @returns {HTMLDivElement}
+   * @private
+   */
+  _createOverlay() {
+    const overlay = document.createElement("div");
+    overlay.className = "grid-edit-overlay";
+    Object.assign(overlay.style, {
+      position: "fixed",
+      inset: "0",
+      background: "rgba(0, 0, 0, 0.4)",
+      display: "flex",
+      alignItems: "center",
+      justifyContent: "center",
+      zIndex: "1050",
+    });
+
+    const dialog = document.createElement("div");
+    dialog.className = "grid-edit-dialog";
+    dialog.setAttribute("role", "dialog");
+    dialog.setAttribute("aria-modal", "true");
+    Object.assign(dialog.style, {
+      background: "white",
+      borderRadius: "4px",
+      boxShadow: "0 4px 16px rgba(0,0,0,0.25)",
+      padding: "16px",
+      minWidth: "320px",
+      maxWidth: "90vw",
+      maxHeight: "90vh",
+      overflowY: "auto",
+    });
+
+    const title = document.createElement("h5");
+    title.className = "grid-edit-dialog-title";
+    title.id = `grid-edit-dialog-title-${Date.now()}`;
+    title.textContent = this.options.title || "Edit record";
+    dialog.setAttribute("aria-labelledby", title.id);
+    dialog.appendChild(title);
+
+    const form = document.createElement("form");
+    form.noValidate = true;
+    this._appendFields(form, this.options.columns);
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.save();
+    });
+
+    const buttons = document.createElement("div");
+    buttons.style.textAlign = "right";
+    buttons.style.marginTop = "12px";
+
+    const saveButton = document.createElement("button");
+    saveButton.type = "submit";
+    saveButton.className = "btn btn-primary grid-edit-save";
+    saveButton.textContent = this.options.labels?.save || "Save";
+
+    const cancelButton = document.createElement("button");
+    cancelButton.type = "button";
+    cancelButton.className = "btn btn-secondary grid-edit-cancel";
+    cancelButton.textContent = this.options.labels?.cancel || "Cancel";
+    cancelButton.style.marginLeft = "5px";
+    cancelButton.addEventListener("click", () => this.cancel());
+
+    buttons.appendChild(saveButton);
+    buttons.appendChild(cancelButton);
+    form.appendChild(buttons);
+    dialog.appendChild(form);
+    overlay.appendChild(dialog);
+
+    // Keep clicks inside the dialog away from the grid and document handlers
+    overlay.addEventListener("click", (event) => event.stopPropagation());
+    overlay.addEventListener("keydown", (event) => this._onKeyDown(event));
+    return overlay;
+  }
+
+  /**
+   * Appends a labelled field for every editable leaf column, and a fieldset for every
+   * column group that contains at least one editable column.
+   * @param {HTMLElement} parent - The form or fieldset to append to.
+   * @param {Array<Object>} columns - The columns of this level.
+   * @param {boolean} [parentEditable=true] - Whether the parent group allows editing.
+   * @private
+   */
+  _appendFields(parent, columns, parentEditable = true) {
+    [...columns]
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .forEach((column) => {
+        const editable = parentEditable && column.editable !== false;
+
+        if (column.children && column.children.length > 0) {
+          const fieldset = document.createElement("fieldset");
+          fieldset.style.border = "1px solid #ddd";
+          fieldset.style.padding = "4px 10px 8px";
+          fieldset.style.marginBottom = "8px";
+          const legend = document.createElement("legend");
+          legend.textContent = column.title;
+          legend.style.fontSize = "1em";
+          legend.style.width = "auto";
+          fieldset.appendChild(legend);
+
+          this._appendFields(fieldset, column.children, editable);
+          if (fieldset.querySelector(".cell-editor")) {
+            parent.appendChild(fieldset);
+          }
+          return;
+        }
+
+        if (!editable || !this.isEditable(column)) return;
+
+        const field = document.createElement("div");
+        field.className = "grid-edit-field";
+        field.style.marginBottom = "8px";
+
+        const editor = new CellEditor(column, this.options.rowData[column.key], {
+          choices: this.options.choicesFor?.(column),
+          withTime: this.options.withTime,
+        });
+        editor.input.id = `grid-edit-${column.key}-${Date.now()}`;
+
+        const label = document.createElement("label");
+        label.htmlFor = editor.input.id;
+        label.textContent = column.title || column.key;
+        label.style.display = "block";
+        if (column.required) label.textContent += " *";
+
+        field.appendChild(label);
+        field.appendChild(editor.element);
+        parent.appendChild(field);
+        this.editors.push({ column, editor });
+      });
+  }
+
+  /**
+   * Handles Escape (cancel) and keeps Tab / Shift+Tab inside the dialog.
+   * @param {KeyboardEvent} event
+   * @private
+   */
+  _onKeyDown(event) {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      this.cancel();
+      return;
+    }
+    if (event.key !== "Tab") return;
+
+    const focusable = Array.from(
+      this.element.querySelectorAll("input, select, textarea, button")
+    ).filter((el) => !el.disabled);
+    if (focusable.length === 0) return;
+
+    const active = this.element.getRootNode().activeElement;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (event.shiftKey && active === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && active === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Validates the fields and, if they are all valid, closes the dialog and resolves
+   * with the edited record.
+   * @returns {Object|null} The edited record, or null if a value is invalid.
+   */
+  save() {
+    const changes = {};
+    this.editors.forEach(({ column, editor }) => {
+      changes[column.key] = editor.getValue();
+    });
+    const record = { ...this.options.rowData, ...changes };
+
+    let firstInvalid = null;
+    this.editors.forEach(({ column, editor }) => {
+      const error = CellEditor.validate(column, changes[column.key], record);
+      editor.setError(error);
+      if (error && !firstInvalid) firstInvalid = editor;
+    });
+    if (firstInvalid) {
+      firstInvalid.focus();
+      return null;
+    }
+
+    this._close(record);
+    return record;
+  }
+
+  /**
+   * Closes the dialog without saving; the promise resolves with null.
+   */
+  cancel() {
+    this._close(null);
+  }
+
+  /**
+   * Removes the dialog, restores the previous focus and settles the promise.
+   * @param {Object|null} result - The value the promise resolves with.
+   * @private
+   */
+  _close(result) {
+    if (!this.element) return;
+    this.element.remove();
+    this.element = null;
+    this._previousFocus?.focus?.();
+
+    if (this._resolve) {
+      this._resolve(result);
+      this._resolve = null;
+    }
+  }
+}
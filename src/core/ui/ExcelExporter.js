@@ -1,9 +1,29 @@
 import { CssLogics } from "../utils/CssLogics.js";
 import { dateToExcelSerial } from "../utils/DateFunctions.js";
+import { downloadBlob, downloadUrl } from "../utils/Download.js";
+import { XlsxWriter } from "../utils/XlsxWriter.js";
 
+/**
+ * Downloads grid data as Excel files: a native .xlsx workbook built from sheet definitions
+ * ({@link ExcelExporter#exportXlsx}), or the legacy HTML-based .xls copy of a rendered table
+ * ({@link ExcelExporter#export}).
+ */
 export class ExcelExporter {
   /**
-   * Converts and downloads an HTML table as an Excel file.
+   * Builds an .xlsx workbook and downloads it.
+   * @param {Array<Object>} sheets - Sheet definitions (see {@link XlsxWriter}), one worksheet each.
+   * @param {string} [filename="export.xlsx"] - The desired name for the downloaded file.
+   * @param {Object} [options] - Options passed to the {@link XlsxWriter}.
+   */
+  exportXlsx(sheets, filename = "export.xlsx", options = {}) {
+    const writer = new XlsxWriter(options);
+    sheets.forEach((sheet) => writer.addSheet(sheet));
+
+    downloadBlob(writer.toBlob(), filename);
+  }
+
+  /**
+   * Converts and downloads an HTML table as an Excel file (MS-Office HTML saved as .xls).
    * @param {HTMLElement} tableElement - The HTML <table> element to export.
    * @param {string} filename - The desired name for the downloaded file.
    * @param {string} sheetName - The name of the worksheet inside the Excel file.
@@ -54,16 +74,7 @@ export class ExcelExporter {
     const uri = "data:application/vnd.ms-excel;base64,";
     const finalUri = uri + base64(template);
 
-    this._download(finalUri, filename);
-  }
-
-  _download(uri, filename) {
-    const link = document.createElement("a");
-    link.href = uri;
-    link.download = filename;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    downloadUrl(finalUri, filename);
   }
 
   /**
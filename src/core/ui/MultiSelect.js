@@ -3,6 +3,11 @@
  * MultiSelect provides a customizable multi-selection UI component using a styled HTML <ul> element.
  * Each selectable item is rendered as a checkbox within a list item, supporting custom styles and smooth scrolling.
  *
+ * Items are plain values or `{ value, label, count }` objects; the count is shown next to the label and
+ * a `null` value is labelled "(Blanks)". With `config.searchable` a search box filters the visible items,
+ * and with `config.selectAll` a "(Select all)" checkbox selects or clears every visible item.
+ * ArrowDown/ArrowUp move the focus between the search box, "(Select all)" and the visible items.
+ *
  * @class
  *
  * @example
@@ -13,25 +18,34 @@
  * document.body.appendChild(multi.element);
  * console.log(multi.getSelection()); // ['B']
  *
+ * const counted = new MultiSelect(
+ *   { items: [{ value: 'Active', count: 12 }, { value: null, count: 3 }] },
+ *   { searchable: true, selectAll: true }
+ * );
+ *
  * @param {Object} options - Configuration options for the MultiSelect.
- * @param {Array} [options.items=[]] - The list of selectable items.
- * @param {Array} [options.initialSelection=[]] - The initially selected items.
+ * @param {Array} [options.items=[]] - The list of selectable items (values or `{ value, label, count }`).
+ * @param {Array} [options.initialSelection=[]] - The initially selected values.
  * @param {Object} [config={}] - Additional configuration for styling and behavior.
  * @param {Object} [config.style] - CSS styles for the list element.
  * @param {Object} [config.scroll] - Scroll configuration (e.g., speed).
  * @param {Object} [config.children] - Configuration for child elements.
+ * @param {boolean} [config.searchable=false] - Adds a search box above the list.
+ * @param {boolean} [config.selectAll=false] - Adds a "(Select all)" checkbox above the list.
+ * @param {Object} [config.labels] - Texts: `search`, `selectAll`, `blanks`.
  *
  * @property {Array} items - The list of selectable items.
  * @property {Set} selection - The set of currently selected items.
  * @property {Object} config - The merged configuration object.
- * @property {HTMLUListElement} element - The root list element for the multi-select UI.
+ * @property {HTMLElement} element - The root element: the list, or a wrapper with the search box and select-all.
+ * @property {HTMLUListElement} list - The list element.
  *
  * @method getSelection - Returns a shallow copy of the current selection as an array.
  */
 export class MultiSelect {
     /**
      * Creates an instance of MultiSelect.
-     * 
+     *
      * @param {Object} options - Configuration options for the MultiSelect.
      * @param {Array} [options.items=[]] - The list of selectable items.
      * @param {Array} [options.initialSelection=[]] - The initially selected items.
@@ -43,9 +57,57 @@ export class MultiSelect {
     constructor(options, config) {
         this.items = options.items || []; // e.g., ['Active', 'Inactive']
         this.selection = new Set(options.initialSelection || []);
-        this.config = { style: { minWidth: '70px', maxHeight: '70px', padding: '0 8px', listStyleType: 'none' }, scroll: { speed: 1 }, children: { style: {} }, ...config }
+        this.config = { style: { minWidth: '70px', maxHeight: '70px', padding: '0 8px', listStyleType: 'none' }, scroll: { speed: 1 }, children: { style: {} }, searchable: false, selectAll: false, ...config }
+        this.labels = { search: 'Search...', selectAll: '(Select all)', blanks: '(Blanks)', ...this.config.labels };
 
-        this.element = this.createListElement();
+        this.checkboxes = []; // { value, label, checkbox, li } per item
+        this.list = this.createListElement();
+        this.element = this.config.searchable || this.config.selectAll
+            ? this._createWrapperElement()
+            : this.list;
+        this.element.addEventListener('keydown', (event) => this._onKeyDown(event));
+    }
+
+    /**
+     * Keyboard navigation: ArrowDown/ArrowUp move between the search box, "(Select all)" and the
+     * visible checkboxes; Home/End jump to the first/last checkbox (Space toggles it natively).
+     * Escape in the search box clears the search first.
+     * @param {KeyboardEvent} event - The keydown event.
+     * @private
+     */
+    _onKeyDown(event) {
+        const target = event.target;
+        if (event.key === 'Escape') {
+            if (target === this.searchInput && this.searchInput.value) {
+                event.preventDefault();
+                event.stopPropagation();
+                this.searchInput.value = '';
+                this.filter('');
+            }
+            return;
+        }
+
+        const focusables = [
+            this.searchInput,
+            this.selectAllCheckbox,
+            ...this._visibleEntries().map(({ checkbox }) => checkbox)
+        ].filter(Boolean);
+        const index = focusables.indexOf(target);
+        if (index === -1) return;
+
+        let next = null;
+        if (event.key === 'ArrowDown') {
+            next = focusables[index + 1];
+        } else if (event.key === 'ArrowUp') {
+            next = focusables[index - 1];
+        } else if (target !== this.searchInput && (event.key === 'Home' || event.key === 'End')) {
+            const checkboxes = focusables.filter((element) => element !== this.searchInput);
+            next = event.key === 'Home' ? checkboxes[0] : checkboxes[checkboxes.length - 1];
+        }
+        if (!next) return;
+        event.preventDefault();
+        next.focus();
+        next.closest('li')?.scrollIntoView?.({ block: 'nearest' });
     }
 
     /**
@@ -75,33 +137,138 @@ export class MultiSelect {
 
 
         this.items.forEach(item => {
+            const isObject = item !== null && typeof item === 'object';
+            const value = isObject ? item.value : item;
+            const label = isObject && item.label != null
+                ? String(item.label)
+                : value === null ? this.labels.blanks : String(value);
+
             const li = document.createElement('li');
             if (this.config.children.style) {
                 Object.assign(li.style, this.config.children.style);
             }
-            const label = document.createElement('label');
+            const labelElement = document.createElement('label');
             const checkbox = document.createElement('input');
             checkbox.type = 'checkbox';
-            checkbox.value = item;
-            checkbox.checked = this.selection.has(item);
+            checkbox.value = value ?? '';
+            checkbox.checked = this.selection.has(value);
 
             checkbox.addEventListener('change', (e) => {
                 if (e.target.checked) {
-                    this.selection.add(item);
+                    this.selection.add(value);
                 } else {
-                    this.selection.delete(item);
+                    this.selection.delete(value);
                 }
+                this._syncSelectAll();
             });
 
-            label.appendChild(checkbox);
-            label.appendChild(document.createTextNode(` ${item}`));
-            li.appendChild(label);
+            labelElement.appendChild(checkbox);
+            labelElement.appendChild(document.createTextNode(` ${label}`));
+            if (isObject && item.count != null) {
+                const count = document.createElement('span');
+                count.className = 'multiselect-count';
+                count.style.color = '#888';
+                count.textContent = ` (${item.count})`;
+                labelElement.appendChild(count);
+            }
+            li.appendChild(labelElement);
             list.appendChild(li);
+            this.checkboxes.push({ value, label, checkbox, li });
         });
 
         return list;
     }
 
+    /**
+     * Wraps the list with the optional search box and "(Select all)" checkbox.
+     * @returns {HTMLDivElement}
+     * @private
+     */
+    _createWrapperElement() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'multiselect';
+
+        if (this.config.searchable) {
+            this.searchInput = document.createElement('input');
+            this.searchInput.type = 'search';
+            this.searchInput.className = 'multiselect-search';
+            this.searchInput.placeholder = this.labels.search;
+            this.searchInput.setAttribute('aria-label', this.labels.search);
+            Object.assign(this.searchInput.style, { display: 'block', width: '100%', boxSizing: 'border-box', marginBottom: '4px' });
+            this.searchInput.addEventListener('input', () => this.filter(this.searchInput.value));
+            wrapper.appendChild(this.searchInput);
+        }
+
+        if (this.config.selectAll) {
+            const label = document.createElement('label');
+            label.className = 'multiselect-select-all';
+            label.style.display = 'block';
+            label.style.padding = '0 8px';
+            this.selectAllCheckbox = document.createElement('input');
+            this.selectAllCheckbox.type = 'checkbox';
+            this.selectAllCheckbox.addEventListener('change', (e) => {
+                this.setAllVisible(e.target.checked);
+            });
+            label.appendChild(this.selectAllCheckbox);
+            label.appendChild(document.createTextNode(` ${this.labels.selectAll}`));
+            wrapper.appendChild(label);
+            this._syncSelectAll();
+        }
+
+        wrapper.appendChild(this.list);
+        return wrapper;
+    }
+
+    /**
+     * Shows only the items whose label contains the search text (case-insensitive).
+     * @param {string} text - The search text.
+     */
+    filter(text) {
+        const needle = String(text || '').trim().toLowerCase();
+        this.checkboxes.forEach(({ label, li }) => {
+            li.style.display = !needle || label.toLowerCase().includes(needle) ? '' : 'none';
+        });
+        this._syncSelectAll();
+    }
+
+    /**
+     * Selects or clears every item currently visible (i.e. matching the search).
+     * @param {boolean} checked - Whether to select or clear.
+     */
+    setAllVisible(checked) {
+        this._visibleEntries().forEach(({ value, checkbox }) => {
+            checkbox.checked = checked;
+            if (checked) {
+                this.selection.add(value);
+            } else {
+                this.selection.delete(value);
+            }
+        });
+        this._syncSelectAll();
+    }
+
+    /**
+     * The entries of the items not hidden by the search.
+     * @returns {Array<Object>}
+     * @private
+     */
+    _visibleEntries() {
+        return this.checkboxes.filter(({ li }) => li.style.display !== 'none');
+    }
+
+    /**
+     * Updates the "(Select all)" checkbox: checked when all visible items are selected,
+     * indeterminate when only some are.
+     * @private
+     */
+    _syncSelectAll() {
+        if (!this.selectAllCheckbox) return;
+        const visible = this._visibleEntries();
+        const selectedCount = visible.filter(({ value }) => this.selection.has(value)).length;
+        this.selectAllCheckbox.checked = visible.length > 0 && selectedCount === visible.length;
+        this.selectAllCheckbox.indeterminate = selectedCount > 0 && selectedCount < visible.length;
+    }
+
     /**
      * Returns a shallow copy of the current selection.
      * @returns {Array} An array containing the selected items.
@@ -109,4 +276,4 @@ export class MultiSelect {
     getSelection() {
         return [...this.selection];
     }
-}
\ No newline at end of file
+}
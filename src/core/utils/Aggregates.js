@@ -0,0 +1,72 @@
+import { parseDateValue } from "./DateFunctions.js";
+import { parseNumberValue } from "./Numbers.js";
+import { getDatatype } from "./Columns.js";
+
+/**
+ * Display labels of the built-in aggregates.
+ * @type {Object<string, string>}
+ */
+export const AGGREGATE_LABELS = {
+  sum: "Sum",
+  avg: "Avg",
+  min: "Min",
+  max: "Max",
+  count: "Count",
+  distinct: "Distinct",
+};
+
+/**
+ * Computes a column aggregate over a set of rows.
+ * Built-in aggregates: 'sum', 'avg', 'min', 'max' (numbers, or dates for date columns) and
+ * 'count' (number of rows) and 'distinct' (number of different non-blank values). Blank and
+ * non-numeric values are ignored by sum/avg/min/max.
+ * A function aggregate is called with `(values, rows, column)` and its result is used as is.
+ * @param {string|Function} aggregate - The aggregate name or function.
+ * @param {Array<Object>} rows - The rows to aggregate.
+ * @param {Object} column - The leaf column definition (`key`, `datatype`).
+ * @returns {*} The aggregate value, or null when there is nothing to aggregate or the aggregate is unknown.
+ */
+export function computeAggregate(aggregate, rows, column) {
+  const values = rows.map((row) => row[column.key]);
+  if (typeof aggregate === "function") {
+    return aggregate(values, rows, column);
+  }
+
+  if (aggregate === "count") {
+    return rows.length;
+  }
+
+  if (aggregate === "distinct") {
+    return new Set(values.filter((value) => value != null && value !== "")).size;
+  }
+
+  const isDate = getDatatype(column) === "date";
+  if (isDate && (aggregate === "min" || aggregate === "max")) {
+    const times = values
+      .map((value) => parseDateValue(value))
+      .filter(Boolean)
+      .map((date) => date.getTime());
+    if (times.length === 0) return null;
+    return new Date(
+      times.reduce((a, b) => (aggregate === "min" ? Math.min(a, b) : Math.max(a, b)))
+    );
+  }
+
+  const numbers = values
+    .map((value) => parseNumberValue(value))
+    .filter((value) => Number.isFinite(value));
+  if (numbers.length === 0) return null;
+
+  switch (aggregate) {
+    case "sum":
+      return numbers.reduce((total, value) => total + value, 0);
+    case "avg":
+      return numbers.reduce((total, value) => total + value, 0) / numbers.length;
+    case "min":
+      return numbers.reduce((a, b) => Math.min(a, b));
+    case "max":
+      return numbers.reduce((a, b) => Math.max(a, b));
+    default:
+      return null; // Unknown aggregate: nothing to show, like an empty one
+  }
+}
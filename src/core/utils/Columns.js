@@ -0,0 +1,57 @@
+/**
+ * Sorts sibling column definitions by their `index`, the order they are displayed in.
+ * Columns without an `index` keep their position in the array.
+ * @param {Array<Object>} columns - Sibling column definitions (top-level or the children of a group).
+ * @returns {Array<Object>} A sorted copy of the array.
+ */
+export function sortByIndex(columns) {
+  return (columns || [])
+    .map((column, position) => ({ column, position }))
+    .sort(
+      (a, b) =>
+        (a.column.index ?? a.position) - (b.column.index ?? b.position) ||
+        a.position - b.position
+    )
+    .map(({ column }) => column);
+}
+
+/**
+ * Finds a column definition in a (nested) column tree.
+ * @param {Array<Object>} columns - The column definitions.
+ * @param {string|Object} target - The column key, or the column definition itself.
+ * @returns {Array<Object>|null} The path from the top-level column to the column (the column
+ *   last, its parent group before it), or null when there is no such column.
+ */
+export function findColumnPath(columns, target) {
+  for (const column of columns || []) {
+    if (column === target || (typeof target === "string" && column.key === target)) {
+      return [column];
+    }
+    const path = findColumnPath(column.children, target);
+    if (path) return [column, ...path];
+  }
+  return null;
+}
+
+// Accepted spellings of the column datatypes, by canonical datatype
+const DATATYPE_ALIASES = {
+  number: "number",
+  numeric: "number",
+  date: "date",
+  datetime: "date",
+  boolean: "boolean",
+  bool: "boolean",
+  string: "string",
+  text: "string",
+};
+
+/**
+ * The canonical datatype of a column. The aliases 'numeric', 'datetime', 'bool' and 'text'
+ * (in any case) map to 'number', 'date', 'boolean' and 'string'.
+ * @param {Object|string} column - The column definition, or its `datatype`.
+ * @returns {string} 'number', 'date', 'boolean', 'string', or '' when the datatype is missing or unknown.
+ */
+export function getDatatype(column) {
+  const datatype = typeof column === "string" ? column : column?.datatype;
+  return DATATYPE_ALIASES[String(datatype || "").toLowerCase()] || "";
+}
@@ -0,0 +1,103 @@
+/**
+ * Parses delimited text (RFC 4180 CSV, or TSV with a tab delimiter) into rows of fields.
+ * Fields may be quoted; quoted fields can contain delimiters, line breaks and doubled quotes
+ * (`""` stands for one `"`). CRLF, LF and CR line endings are accepted, a leading byte order
+ * mark is ignored and a final empty line does not produce a row.
+ * @param {string} text - The CSV text.
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=","] - The field delimiter.
+ * @param {string} [options.quote='"'] - The quote character.
+ * @returns {Array<Array<string>>} The rows, each an array of field strings.
+ */
+export function parseCSV(text, options = {}) {
+  const delimiter = options.delimiter || ",";
+  const quote = options.quote || '"';
+  const input = String(text ?? "").replace(/^\uFEFF/, "");
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let i = 0;
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    rows.push(row);
+    row = [];
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === quote) {
+        if (input[i + 1] === quote) {
+          field += quote; // Escaped quote
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === quote && field === "") {
+      inQuotes = true;
+    } else if (input.startsWith(delimiter, i)) {
+      endField();
+      i += delimiter.length;
+      continue;
+    } else if (char === "\r" || char === "\n") {
+      endRow();
+      if (char === "\r" && input[i + 1] === "\n") i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  // The last row, unless the text ended with a line break
+  if (field !== "" || row.length > 0 || inQuotes) {
+    endRow();
+  }
+  return rows;
+}
+
+/**
+ * Serializes rows of values as delimited text. Fields containing the delimiter, the quote,
+ * a line break or leading/trailing spaces are quoted, with quotes doubled.
+ * @param {Array<Array<*>>} rows - The rows; null and undefined become empty fields.
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=","] - The field delimiter ("\t" for TSV).
+ * @param {string} [options.quote='"'] - The quote character.
+ * @param {boolean} [options.quoteAll=false] - Quotes every field.
+ * @param {string} [options.lineBreak="\r\n"] - The row separator.
+ * @returns {string} The CSV text.
+ */
+export function toCSV(rows, options = {}) {
+  const delimiter = options.delimiter || ",";
+  const quote = options.quote || '"';
+  const lineBreak = options.lineBreak || "\r\n";
+
+  const formatField = (value) => {
+    const text = value == null ? "" : String(value);
+    const mustQuote =
+      options.quoteAll === true ||
+      text.includes(delimiter) ||
+      text.includes(quote) ||
+      /[\r\n]/.test(text) ||
+      text !== text.trim();
+    return mustQuote
+      ? `${quote}${text.split(quote).join(quote + quote)}${quote}`
+      : text;
+  };
+
+  return rows.map((row) => row.map(formatField).join(delimiter)).join(lineBreak);
+}
@@ -54,8 +54,66 @@ export function formatDate(date, format) {
   return formatted;
 }
 
+/**
+ * Converts a raw cell value into a Date object.
+ * Supports Date objects, the JSON date format "/Date(1234567890000)/", standard date
+ * strings (ISO, RFC, etc.) and numeric timestamps. Small numbers (like IDs) are not
+ * treated as timestamps.
+ * @param {*} value - The raw value.
+ * @returns {Date|null} The parsed date, or null if the value can't be read as a date.
+ */
+export function parseDateValue(value) {
+  let dateCandidate = null;
+
+  if (value instanceof Date) {
+    // Case 1: Value is already a Date object (most reliable)
+    dateCandidate = value;
+  } else if (typeof value === "string") {
+    const valueString = value.trim();
+
+    // Case 2: Handle common JSON date format like "/Date(1234567890000)/"
+    const match = valueString.match(/\/Date\((-?\d+)\)\//);
+
+    if (match) {
+      // Extract timestamp and create date
+      dateCandidate = new Date(parseInt(match[1], 10));
+    } else if (valueString !== "") {
+      // Case 3: Standard string parsing (ISO, RFC, etc.)
+      dateCandidate = new Date(valueString);
+    }
+  } else if (typeof value === "number" && value > 100000) {
+    // Case 4: Numeric timestamps. Skip small numbers (like IDs); a real timestamp
+    // is a very large number.
+    dateCandidate = new Date(value);
+  }
+
+  if (!dateCandidate || isNaN(dateCandidate.getTime())) {
+    return null;
+  }
+  return dateCandidate;
+}
+
+/**
+ * Returns the local midnight of the day a value falls on, as a timestamp.
+ * Plain "yyyy-MM-dd" strings (as produced by date inputs) are read as local dates
+ * rather than UTC, so they select the calendar day the user picked.
+ * @param {*} value - A Date, date string or timestamp (see {@link parseDateValue}).
+ * @returns {number|null} The timestamp of the day's start, or null if the value isn't a date.
+ */
+export function startOfDay(value) {
+  const dayMatch =
+    typeof value === "string" && value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = dayMatch
+    ? new Date(Number(dayMatch[1]), Number(dayMatch[2]) - 1, Number(dayMatch[3]))
+    : parseDateValue(value);
+  if (!date || isNaN(date.getTime())) return null;
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
 /**
  * Converts a JS Date to Excel serial number (days since 1899-12-30).
+ * The serial is computed from the date's local calendar fields, so a date shows in
+ * Excel with the same day and time as in the grid, whatever the time zone.
  * Returns blank string if date is invalid.
  * @param {Date|string|number} date - A Date object or valid date string/timestamp
  * @returns {number|string} Excel serial number, or '' if invalid
@@ -63,14 +121,60 @@ export function formatDate(date, format) {
 export function dateToExcelSerial(date) {
   if (!date) return ""; // empty/null check
 
-  let dateObj = date instanceof Date ? date : new Date(date);
-  if (isNaN(dateObj.getTime())) {
+  let dateObj = date instanceof Date ? date : parseDateValue(date);
+  if (!dateObj || isNaN(dateObj.getTime())) {
     return ""; // invalid date
   }
 
-  const excelEpoch = new Date(Date.UTC(1899, 11, 30)); // Excel's day 0 (Dec 30, 1899)
-  const diffInDays = (dateObj - excelEpoch) / (1000 * 60 * 60 * 24);
+  // Excel has no time zones: read the local wall-clock time as if it were UTC
+  const localAsUTC = Date.UTC(
+    dateObj.getFullYear(),
+    dateObj.getMonth(),
+    dateObj.getDate(),
+    dateObj.getHours(),
+    dateObj.getMinutes(),
+    dateObj.getSeconds(),
+    dateObj.getMilliseconds()
+  );
+  const excelEpoch = Date.UTC(1899, 11, 30); // Excel's day 0 (Dec 30, 1899)
+  const diffInDays = (localAsUTC - excelEpoch) / (1000 * 60 * 60 * 24);
 
   // Guard against any math edge cases
   return isFinite(diffInDays) ? diffInDays : "";
 }
+
+/**
+ * Translates a grid date format (see {@link formatDate}) into an Excel number format,
+ * e.g. 'yyyy-MM-dd HH:mm' becomes 'yyyy-mm-dd hh:mm'.
+ * @param {string} format - The grid date format.
+ * @returns {string} The Excel number format code.
+ */
+export function toExcelDateFormat(format) {
+  const tokens = {
+    yyyy: "yyyy",
+    yy: "yy",
+    MMM: "mmm",
+    MM: "mm",
+    M: "m",
+    dd: "dd",
+    d: "d",
+    HH: "hh",
+    H: "h",
+    hh: "hh",
+    h: "h",
+    mm: "mm",
+    m: "m",
+    ss: "ss",
+    s: "s",
+    tt: "AM/PM",
+  };
+  // Splitting on a capturing group puts the tokens at the odd indexes
+  return String(format || "yyyy-MM-dd")
+    .split(/(yyyy|yy|MMM|MM|M|dd|d|HH|H|hh|h|mm|m|ss|s|tt)/)
+    .map((part, index) => {
+      if (index % 2 === 1) return tokens[part];
+      // Literal text other than common separators is quoted
+      return /^[\s\-/:.,]*$/.test(part) ? part : `"${part.replace(/"/g, "")}"`;
+    })
+    .join("");
+}
@@ -0,0 +1,25 @@
+/**
+ * Downloads a URL (e.g. a data URI) as a file by clicking a temporary link.
+ * @param {string} url - The URL of the file content.
+ * @param {string} filename - The desired name for the downloaded file.
+ */
+export function downloadUrl(url, filename) {
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
+
+/**
+ * Downloads a Blob as a file through a temporary object URL.
+ * @param {Blob} blob - The file content.
+ * @param {string} filename - The desired name for the downloaded file.
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, filename);
+  // Give the browser time to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,105 @@
+/**
+ * A minimal publish/subscribe helper used by the grid to expose lifecycle and interaction events.
+ *
+ * Every handler receives a single event object made of the emitted detail plus `type`,
+ * `defaultPrevented` and `preventDefault()`. Handlers of cancellable events (the `before*` events)
+ * veto the default action by calling `event.preventDefault()` or returning `false`.
+ *
+ * @class
+ * @example
+ * const emitter = new EventEmitter();
+ * emitter.on('beforeSort', (event) => {
+ *   if (event.key === 'sno') event.preventDefault();
+ * });
+ * const event = emitter.emit('beforeSort', { key: 'sno' });
+ * event.defaultPrevented; // true
+ */
+export class EventEmitter {
+  /**
+   * Creates an empty emitter.
+   */
+  constructor() {
+    this._handlers = new Map();
+  }
+
+  /**
+   * Registers a handler for an event.
+   * @param {string} eventName - The event name.
+   * @param {Function} handler - Called with the event object.
+   */
+  on(eventName, handler) {
+    if (typeof handler !== "function") {
+      console.error(`EventEmitter: handler for '${eventName}' must be a function.`);
+      return;
+    }
+    if (!this._handlers.has(eventName)) {
+      this._handlers.set(eventName, []);
+    }
+    this._handlers.get(eventName).push(handler);
+  }
+
+  /**
+   * Registers a handler that is removed after its first call.
+   * @param {string} eventName - The event name.
+   * @param {Function} handler - Called with the event object.
+   */
+  once(eventName, handler) {
+    const wrapper = (event) => {
+      this.off(eventName, wrapper);
+      return handler(event);
+    };
+    wrapper.original = handler;
+    this.on(eventName, wrapper);
+  }
+
+  /**
+   * Removes a handler, or every handler of the event when no handler is given.
+   * @param {string} eventName - The event name.
+   * @param {Function} [handler] - The handler to remove.
+   */
+  off(eventName, handler) {
+    if (!handler) {
+      this._handlers.delete(eventName);
+      return;
+    }
+    const handlers = this._handlers.get(eventName);
+    if (!handlers) return;
+    const remaining = handlers.filter(
+      (h) => h !== handler && h.original !== handler
+    );
+    if (remaining.length > 0) {
+      this._handlers.set(eventName, remaining);
+    } else {
+      this._handlers.delete(eventName);
+    }
+  }
+
+  /**
+   * Calls every handler of an event. A throwing handler is logged and does not stop the others.
+   * @param {string} eventName - The event name.
+   * @param {Object} [detail={}] - Properties copied onto the event object.
+   * @returns {Object} The event object; check `defaultPrevented` for cancellable events.
+   */
+  emit(eventName, detail = {}) {
+    const event = {
+      ...detail,
+      type: eventName,
+      defaultPrevented: false,
+      preventDefault() {
+        this.defaultPrevented = true;
+      },
+    };
+
+    const handlers = [...(this._handlers.get(eventName) || [])];
+    handlers.forEach((handler) => {
+      try {
+        if (handler(event) === false) {
+          event.defaultPrevented = true;
+        }
+      } catch (error) {
+        console.error(`Error in '${eventName}' handler:`, error);
+      }
+    });
+    return event;
+  }
+}
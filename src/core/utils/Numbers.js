@@ -0,0 +1,21 @@
+// Commas are accepted only as thousands separators: "1,234" or "-1,234,567.89"
+const GROUPED_NUMBER_PATTERN = /^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/;
+
+/**
+ * Reads a value as a number. Strings use a dot as the decimal separator, like the values the
+ * grid displays, and may group thousands with commas. Other commas are rejected rather than
+ * dropped, so an ambiguous "1,5" is not read as 15.
+ * @param {*} value - The raw value.
+ * @returns {number|null} The number, or null if the value is blank or can't be read as a number.
+ */
+export function parseNumberValue(value) {
+  if (typeof value === "number") return isNaN(value) ? null : value;
+  if (value == null) return null;
+
+  const text = String(value).trim();
+  if (text === "") return null;
+  const number = Number(
+    GROUPED_NUMBER_PATTERN.test(text) ? text.replace(/,/g, "") : text
+  );
+  return isNaN(number) ? null : number;
+}
@@ -0,0 +1,352 @@
+import { ZipWriter } from "./ZipWriter.js";
+import { dateToExcelSerial } from "./DateFunctions.js";
+
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const REL_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PKG_REL_NS = "http://schemas.openxmlformats.org/package/2006/relationships";
+
+/**
+ * XlsxWriter builds an Office Open XML workbook (.xlsx) from plain sheet definitions.
+ *
+ * A sheet is `{ name, rows, merges, columns, freeze }`:
+ * - `rows`: an array of rows, each an array of cells. A cell is a string, number, boolean,
+ *   Date, null (empty) or `{ value, format, bold }` where `format` is an Excel number format.
+ *   Numbers and dates are written as real numbers (dates as serials with a date format).
+ * - `merges`: `{ row, col, rowspan, colspan }` ranges (0-based).
+ * - `columns`: `{ width }` per column, in characters.
+ * - `freeze`: `{ rows, cols }` frozen at the top/left.
+ *
+ * @class
+ *
+ * @example
+ * const writer = new XlsxWriter();
+ * writer.addSheet({
+ *   name: "Vessels",
+ *   rows: [[{ value: "Name", bold: true }, { value: "Built", bold: true }], ["Aurora", new Date(2019, 4, 1)]],
+ *   freeze: { rows: 1 },
+ * });
+ * const blob = writer.toBlob();
+ */
+export class XlsxWriter {
+  /**
+   * MIME type of .xlsx files.
+   * @type {string}
+   */
+  static MIME_TYPE =
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dateFormat='yyyy-mm-dd'] - Excel number format of Date cells without a `format`.
+   */
+  constructor(options = {}) {
+    this.sheets = [];
+    this.dateFormat = options.dateFormat || "yyyy-mm-dd";
+    // Cell formats (cellXfs) by "numFmtId|bold"; index 0 is the default format
+    this._styles = new Map([["0|0", 0]]);
+    this._numFmts = new Map(); // Custom number format code → id (from 164)
+  }
+
+  /**
+   * Adds a worksheet. Names are cut to Excel's 31 characters, stripped of the characters
+   * Excel rejects and made unique.
+   * @param {Object} sheet - The sheet definition (see the class description).
+   */
+  addSheet(sheet) {
+    let baseName =
+      String(sheet.name || `Sheet${this.sheets.length + 1}`)
+        .replace(/[\\/?*[\]:]/g, " ")
+        .trim()
+        .slice(0, 31) || `Sheet${this.sheets.length + 1}`;
+    let name = baseName;
+    for (let n = 2; this.sheets.some((s) => s.name.toLowerCase() === name.toLowerCase()); n++) {
+      name = `${baseName.slice(0, 31 - String(n).length - 1)} ${n}`;
+    }
+    this.sheets.push({ ...sheet, name });
+  }
+
+  /**
+   * Builds the workbook.
+   * @returns {Uint8Array} The .xlsx file bytes.
+   */
+  toUint8Array() {
+    if (this.sheets.length === 0) {
+      this.addSheet({ name: "Sheet1", rows: [] });
+    }
+
+    // Sheets first: they register the cell formats the stylesheet must contain
+    const sheetXml = this.sheets.map((sheet) => this._buildSheetXml(sheet));
+
+    const zip = new ZipWriter();
+    zip.addFile("[Content_Types].xml", this._buildContentTypesXml());
+    zip.addFile(
+      "_rels/.rels",
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${PKG_REL_NS}"><Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    );
+    zip.addFile("xl/workbook.xml", this._buildWorkbookXml());
+    zip.addFile("xl/_rels/workbook.xml.rels", this._buildWorkbookRelsXml());
+    zip.addFile("xl/styles.xml", this._buildStylesXml());
+    sheetXml.forEach((xml, index) => {
+      zip.addFile(`xl/worksheets/sheet${index + 1}.xml`, xml);
+    });
+    return zip.toUint8Array();
+  }
+
+  /**
+   * Builds the workbook as a Blob, ready to be downloaded.
+   * @returns {Blob}
+   */
+  toBlob() {
+    return new Blob([this.toUint8Array()], { type: XlsxWriter.MIME_TYPE });
+  }
+
+  /**
+   * Converts a 0-based column index to its letters (0 → A, 26 → AA).
+   * @param {number} index - The column index.
+   * @returns {string}
+   */
+  static columnName(index) {
+    let name = "";
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  /**
+   * The A1-style reference of a cell (0-based row and column).
+   * @param {number} row
+   * @param {number} col
+   * @returns {string}
+   */
+  static cellRef(row, col) {
+    return `${XlsxWriter.columnName(col)}${row + 1}`;
+  }
+
+  /**
+   * Builds a worksheet part.
+   * @param {Object} sheet - The sheet definition.
+   * @returns {string}
+   * @private
+   */
+  _buildSheetXml(sheet) {
+    const rows = sheet.rows || [];
+    let xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">`;
+
+    const freezeRows = sheet.freeze?.rows || 0;
+    const freezeCols = sheet.freeze?.cols || 0;
+    if (freezeRows > 0 || freezeCols > 0) {
+      const activePane =
+        freezeRows > 0 && freezeCols > 0
+          ? "bottomRight"
+          : freezeRows > 0
+          ? "bottomLeft"
+          : "topRight";
+      xml += `<sheetViews><sheetView workbookViewId="0"><pane${
+        freezeCols > 0 ? ` xSplit="${freezeCols}"` : ""
+      }${freezeRows > 0 ? ` ySplit="${freezeRows}"` : ""} topLeftCell="${XlsxWriter.cellRef(
+        freezeRows,
+        freezeCols
+      )}" activePane="${activePane}" state="frozen"/><selection pane="${activePane}"/></sheetView></sheetViews>`;
+    } else {
+      xml += `<sheetViews><sheetView workbookViewId="0"/></sheetViews>`;
+    }
+
+    const columns = sheet.columns || [];
+    if (columns.some((column) => column?.width)) {
+      xml += "<cols>";
+      columns.forEach((column, index) => {
+        if (!column?.width) return;
+        xml += `<col min="${index + 1}" max="${index + 1}" width="${
+          Math.round(column.width * 100) / 100
+        }" customWidth="1"/>`;
+      });
+      xml += "</cols>";
+    }
+
+    xml += "<sheetData>";
+    rows.forEach((cells, rowIndex) => {
+      xml += `<row r="${rowIndex + 1}">`;
+      (cells || []).forEach((cell, colIndex) => {
+        xml += this._buildCellXml(cell, XlsxWriter.cellRef(rowIndex, colIndex));
+      });
+      xml += "</row>";
+    });
+    xml += "</sheetData>";
+
+    const merges = (sheet.merges || []).filter(
+      (merge) => (merge.rowspan || 1) > 1 || (merge.colspan || 1) > 1
+    );
+    if (merges.length > 0) {
+      xml += `<mergeCells count="${merges.length}">`;
+      merges.forEach(({ row, col, rowspan = 1, colspan = 1 }) => {
+        xml += `<mergeCell ref="${XlsxWriter.cellRef(row, col)}:${XlsxWriter.cellRef(
+          row + rowspan - 1,
+          col + colspan - 1
+        )}"/>`;
+      });
+      xml += "</mergeCells>";
+    }
+
+    return `${xml}</worksheet>`;
+  }
+
+  /**
+   * Builds one `<c>` element. Strings are written inline, so no shared string table is needed.
+   * @param {*} cell - The cell (see the class description).
+   * @param {string} ref - The cell reference.
+   * @returns {string}
+   * @private
+   */
+  _buildCellXml(cell, ref) {
+    const isObject =
+      cell !== null && typeof cell === "object" && !(cell instanceof Date);
+    const value = isObject ? cell.value : cell;
+    const bold = isObject && cell.bold === true;
+    let format = isObject ? cell.format : undefined;
+
+    if (value === null || value === undefined || value === "") {
+      const style = this._getStyleId(format, bold);
+      return style ? `<c r="${ref}" s="${style}"/>` : "";
+    }
+
+    if (value instanceof Date) {
+      const serial = dateToExcelSerial(value);
+      if (serial === "") return `<c r="${ref}"/>`;
+      const style = this._getStyleId(format || this.dateFormat, bold);
+      return `<c r="${ref}" s="${style}"><v>${serial}</v></c>`;
+    }
+
+    const style = this._getStyleId(format, bold);
+    const styleAttr = style ? ` s="${style}"` : "";
+    if (typeof value === "number" && Number.isFinite(value)) {
+      return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+    }
+    if (typeof value === "boolean") {
+      return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${XlsxWriter.escapeXML(
+      value
+    )}</t></is></c>`;
+  }
+
+  /**
+   * Returns the cell format index for a number format and weight, registering it if needed.
+   * @param {string} [format] - An Excel number format code.
+   * @param {boolean} [bold=false]
+   * @returns {number}
+   * @private
+   */
+  _getStyleId(format, bold = false) {
+    let numFmtId = 0;
+    if (format) {
+      if (!this._numFmts.has(format)) {
+        this._numFmts.set(format, 164 + this._numFmts.size);
+      }
+      numFmtId = this._numFmts.get(format);
+    }
+    const key = `${numFmtId}|${bold ? 1 : 0}`;
+    if (!this._styles.has(key)) {
+      this._styles.set(key, this._styles.size);
+    }
+    return this._styles.get(key);
+  }
+
+  /**
+   * Builds the stylesheet: the custom number formats, a regular and a bold font, and the
+   * cell formats registered while building the sheets.
+   * @returns {string}
+   * @private
+   */
+  _buildStylesXml() {
+    let numFmts = "";
+    if (this._numFmts.size > 0) {
+      numFmts = `<numFmts count="${this._numFmts.size}">`;
+      this._numFmts.forEach((id, code) => {
+        numFmts += `<numFmt numFmtId="${id}" formatCode="${XlsxWriter.escapeXML(code)}"/>`;
+      });
+      numFmts += "</numFmts>";
+    }
+
+    let cellXfs = `<cellXfs count="${this._styles.size}">`;
+    this._styles.forEach((index, key) => {
+      const [numFmtId, bold] = key.split("|");
+      cellXfs += `<xf numFmtId="${numFmtId}" fontId="${bold}" fillId="0" borderId="0" xfId="0"${
+        numFmtId !== "0" ? ' applyNumberFormat="1"' : ""
+      }${bold === "1" ? ' applyFont="1"' : ""}/>`;
+    });
+    cellXfs += "</cellXfs>";
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="${MAIN_NS}">${numFmts}<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>${cellXfs}<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>`;
+  }
+
+  /**
+   * @returns {string}
+   * @private
+   */
+  _buildWorkbookXml() {
+    const sheets = this.sheets
+      .map(
+        (sheet, index) =>
+          `<sheet name="${XlsxWriter.escapeXML(sheet.name)}" sheetId="${index + 1}" r:id="rId${
+            index + 1
+          }"/>`
+      )
+      .join("");
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>${sheets}</sheets></workbook>`;
+  }
+
+  /**
+   * @returns {string}
+   * @private
+   */
+  _buildWorkbookRelsXml() {
+    const sheetRels = this.sheets
+      .map(
+        (sheet, index) =>
+          `<Relationship Id="rId${index + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${
+            index + 1
+          }.xml"/>`
+      )
+      .join("");
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${PKG_REL_NS}">${sheetRels}<Relationship Id="rId${
+      this.sheets.length + 1
+    }" Type="${REL_NS}/styles" Target="styles.xml"/></Relationships>`;
+  }
+
+  /**
+   * @returns {string}
+   * @private
+   */
+  _buildContentTypesXml() {
+    const sheetOverrides = this.sheets
+      .map(
+        (sheet, index) =>
+          `<Override PartName="/xl/worksheets/sheet${
+            index + 1
+          }.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+      )
+      .join("");
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${sheetOverrides}</Types>`;
+  }
+
+  /**
+   * Escapes text for XML content and attributes, dropping characters XML does not allow.
+   * @param {*} text
+   * @returns {string}
+   */
+  static escapeXML(text) {
+    return String(text)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+}
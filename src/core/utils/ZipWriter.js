@@ -0,0 +1,144 @@
+/**
+ * CRC-32 lookup table (IEEE polynomial), built on first use.
+ * @type {Uint32Array|null}
+ */
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum of a byte array, as required by the ZIP format.
+ * @param {Uint8Array} bytes - The data.
+ * @returns {number} The unsigned checksum.
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * ZipWriter builds an uncompressed ("stored") ZIP archive in memory.
+ * It is all the Office Open XML formats need and keeps the grid free of dependencies.
+ *
+ * @class
+ *
+ * @example
+ * const zip = new ZipWriter();
+ * zip.addFile("hello.txt", "Hello world");
+ * const bytes = zip.toUint8Array();
+ */
+export class ZipWriter {
+  constructor() {
+    this.files = [];
+    this.date = new Date();
+  }
+
+  /**
+   * Adds a file to the archive.
+   * @param {string} path - The path inside the archive (forward slashes).
+   * @param {string|Uint8Array} content - The file content; strings are encoded as UTF-8.
+   */
+  addFile(path, content) {
+    const encoder = new TextEncoder();
+    this.files.push({
+      name: encoder.encode(path),
+      data: typeof content === "string" ? encoder.encode(content) : content,
+    });
+  }
+
+  /**
+   * Serializes the archive: a local header and the data of every file, followed by
+   * the central directory.
+   * @returns {Uint8Array} The ZIP file bytes.
+   */
+  toUint8Array() {
+    const { time, date } = this._dosDateTime(this.date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    this.files.forEach(({ name, data }) => {
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true); // Local file header signature
+      local.setUint16(4, 20, true); // Version needed to extract
+      local.setUint16(6, 0x0800, true); // Flags: UTF-8 file names
+      local.setUint16(8, 0, true); // Compression: stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true); // Compressed size
+      local.setUint32(22, data.length, true); // Uncompressed size
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true); // Extra field length
+      localParts.push(new Uint8Array(local.buffer), name, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true); // Central directory header signature
+      central.setUint16(4, 20, true); // Version made by
+      central.setUint16(6, 20, true); // Version needed to extract
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      // Extra field, comment, disk number and attributes stay zero
+      central.setUint32(42, offset, true); // Offset of the local header
+      centralParts.push(new Uint8Array(central.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, this.files.length, true); // Entries on this disk
+    end.setUint16(10, this.files.length, true); // Total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true); // Offset of the central directory
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const result = new Uint8Array(
+      parts.reduce((size, part) => size + part.length, 0)
+    );
+    let position = 0;
+    parts.forEach((part) => {
+      result.set(part, position);
+      position += part.length;
+    });
+    return result;
+  }
+
+  /**
+   * Converts a date to the MS-DOS time and date fields used in ZIP headers.
+   * @param {Date} value - The date.
+   * @returns {{time: number, date: number}}
+   * @private
+   */
+  _dosDateTime(value) {
+    const year = Math.max(1980, value.getFullYear());
+    return {
+      time:
+        (value.getHours() << 11) |
+        (value.getMinutes() << 5) |
+        Math.floor(value.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate(),
+    };
+  }
+}